@@ -0,0 +1,70 @@
+'use strict';
+
+require('insulin').factory('Adapter', AdapterProducer);
+
+function AdapterProducer(RouteMounter, ProblemDetailsHandler, deferred) {
+  /**
+   * Base class for framework adapters.  GenericRouter is written against a
+   * small request/response abstraction, which is a subset of Express's:
+   *
+   * - req: params, query, body, headers, and optionally user, id, and
+   *   originalUrl.
+   * - res: status, set, get, json, send, end, write, on, once, and
+   *   headersSent (see ResponseShim).
+   * - next: called with an Error if the request fails.
+   *
+   * Adapters convert a framework's request and response to this abstraction,
+   * register the routes from RouteMounter, and render errors that are passed
+   * to next.
+   */
+  class Adapter {
+    /**
+     * Initialize the adapter.
+     * @memberOf Adapter
+     * @param {Object} [options={}] Adapter options.
+     * @param {Object} [options.errorHandler=new ProblemDetailsHandler()] An
+     *        object with a handleError(err, req, res, next) method that
+     *        renders errors.
+     */
+    constructor(options={}) {
+      this.mounter      = new RouteMounter();
+      this.errorHandler = options.errorHandler || new ProblemDetailsHandler();
+    }
+
+    /**
+     * Call a router method, rendering any error with the error handler.
+     * @memberOf Adapter
+     * @param {GenericRouter} router The router.
+     * @param {string} method The name of the router method, e.g. create.
+     * @param {Object} req A request object (see the class description).
+     * @param {ResponseShim} res A response object.
+     * @returns {Promise} A promise that is resolved when the response
+     *          finishes or the client disconnects.
+     */
+    dispatch(router, method, req, res) {
+      const done = deferred();
+
+      res.once('finish', () => done.resolve());
+      res.once('close',  () => done.resolve());
+
+      router[method](req, res, err => this.handleError(err, req, res));
+
+      return done.promise;
+    }
+
+    /**
+     * Render an error using the error handler.  If the error can't be
+     * rendered (e.g. the response has started), the response is ended.
+     * @memberOf Adapter
+     * @param {Error} err The error.
+     * @param {Object} req A request object.
+     * @param {ResponseShim} res A response object.
+     * @returns {void}
+     */
+    handleError(err, req, res) {
+      this.errorHandler.handleError(err, req, res, () => res.end());
+    }
+  }
+
+  return Adapter;
+}
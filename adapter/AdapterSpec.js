@@ -0,0 +1,327 @@
+describe('Adapter()', function() {
+  'use strict';
+
+  const insulin        = require('insulin').mock();
+  const EventEmitter   = require('events');
+  const stream         = require('stream');
+  const querystring    = require('querystring');
+  const GenericRouter  = insulin.get('GenericRouter');
+  const ResponseShim   = insulin.get('ResponseShim');
+  const ExpressAdapter = insulin.get('ExpressAdapter');
+  const KoaAdapter     = insulin.get('KoaAdapter');
+  const FastifyAdapter = insulin.get('FastifyAdapter');
+  const HttpAdapter    = insulin.get('HttpAdapter');
+  const ProblemHandler = insulin.get('ProblemDetailsHandler');
+  const deferred       = insulin.get('deferred');
+  const database       = insulin.get('ndm_testDB');
+  const users          = database.getTableByMapping('users');
+  const daoMethods     = [
+    'create', 'retrieve', 'retrieveByID', 'update', 'delete', 'replace', 'options'
+  ];
+
+  // Fake Node response (http.ServerResponse).  The body is collected, and
+  // the response emits finish when it ends.
+  class FakeResponse extends EventEmitter {
+    constructor() {
+      super();
+
+      this.statusCode  = 200;
+      this.headers     = {};
+      this.body        = '';
+      this.headersSent = false;
+    }
+
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    }
+
+    getHeader(name) {
+      return this.headers[name.toLowerCase()];
+    }
+
+    write(chunk) {
+      this.headersSent = true;
+      this.body += chunk;
+      return true;
+    }
+
+    end(chunk) {
+      this.write(chunk === undefined ? '' : chunk);
+      this.emit('finish');
+    }
+  }
+
+  // Each harness mounts a router using an adapter and a fake framework, and
+  // has a request function that resolves with the raw response.  Params are
+  // the route parameters, which frameworks parse from the path.
+  const harnesses = {
+    express(router) {
+      const app     = {};
+      const routes  = [];
+      const handler = new ProblemHandler();
+
+      ['head', 'get', 'post', 'put', 'patch', 'delete', 'options'].forEach(verb =>
+        app[verb] = (path, fn) => routes.push({verb, path, fn}));
+
+      new ExpressAdapter().mount(router, app);
+
+      return (verb, path, params, opts) => {
+        const raw   = new FakeResponse();
+        const res   = new ResponseShim(raw);
+        const req   = {params, query: opts.query, body: opts.body, headers: opts.headers};
+        const route = routes.find(route => route.verb === verb && route.path === path);
+        const done  = waitFor(raw);
+
+        route.fn(req, res, err => handler.handleError(err, req, res, () => res.end()));
+
+        return done;
+      };
+    },
+
+    koa(router) {
+      const koaRouter = {};
+      const routes    = [];
+
+      ['head', 'get', 'post', 'put', 'patch', 'delete', 'options'].forEach(verb =>
+        koaRouter[verb] = (path, fn) => routes.push({verb, path, fn}));
+
+      new KoaAdapter().mount(router, koaRouter);
+
+      return (verb, path, params, opts) => {
+        const raw   = new FakeResponse();
+        const route = routes.find(route => route.verb === verb && route.path === path);
+        const ctx   = {
+          method:  verb.toUpperCase(),
+          params,
+          query:   opts.query,
+          request: {body: opts.body},
+          headers: opts.headers,
+          state:   {},
+          res:     raw
+        };
+
+        return route.fn(ctx)
+          .then(() => {
+            expect(ctx.respond).toBe(false);
+            return raw;
+          });
+      };
+    },
+
+    fastify(router) {
+      const routes = [];
+
+      new FastifyAdapter().mount(router, {route: opts => routes.push(opts)});
+
+      return (verb, path, params, opts) => {
+        const raw   = new FakeResponse();
+        const reply = {raw, hijack: jasmine.createSpy('hijack')};
+        const route = routes.find(route => route.method === verb.toUpperCase() && route.url === path);
+        const done  = waitFor(raw);
+
+        route.handler({params, query: opts.query, body: opts.body, headers: opts.headers}, reply);
+        expect(reply.hijack).toHaveBeenCalled();
+
+        return done;
+      };
+    },
+
+    http(router) {
+      const adapter = new HttpAdapter();
+      const handle  = adapter.getHandler();
+
+      adapter.mount(router);
+
+      return (verb, path, params, opts) => {
+        const raw = new FakeResponse();
+        const req = new stream.Readable({read() {}});
+        const qs  = querystring.stringify(opts.query);
+
+        req.method  = verb.toUpperCase();
+        req.url     = path.replace(/:(\w+)/g, (match, key) => encodeURIComponent(params[key])) +
+          (qs ? `?${qs}` : '');
+        req.headers = opts.headers;
+
+        const done = waitFor(raw);
+
+        handle(req, raw);
+        if (opts.body !== undefined)
+          req.push(JSON.stringify(opts.body));
+
+        req.push(null);
+
+        return done;
+      };
+    }
+  };
+
+  // Resolve with a response when it finishes.
+  function waitFor(raw) {
+    const done = deferred();
+
+    raw.once('finish', () => done.resolve(raw));
+
+    return done.promise;
+  }
+
+  // The shared suite, which every adapter must pass.
+  Object.keys(harnesses).forEach(name => {
+    describe(`${name} adapter`, function() {
+      let dao, router, request;
+
+      beforeEach(function() {
+        insulin.forget();
+
+        dao     = jasmine.createSpyObj('dao', daoMethods);
+        router  = new GenericRouter(dao, users);
+        request = (verb, path, params={}, opts={}) => harnesses[name](router)(verb, path, params,
+          Object.assign({query: {}, headers: {}}, opts));
+      });
+
+      it('checks that a list is retrieved.', function(done) {
+        dao.retrieve.and.returnValue(deferred.resolve([{userID: 1}]));
+
+        request('get', '/users')
+          .then(raw => {
+            expect(raw.statusCode).toBe(200);
+            expect(raw.getHeader('Content-Type')).toMatch(/^application\/json/);
+            expect(JSON.parse(raw.body)).toEqual([{userID: 1}]);
+          })
+          .then(done, done.fail);
+      });
+
+      it('checks that params and the query are passed to the router.', function(done) {
+        dao.retrieveByID.and.returnValue(deferred.resolve({userID: 1, name: 'Ben'}));
+
+        request('get', '/users/:userID', {userID: '1'}, {query: {format: 'csv'}})
+          .then(raw => {
+            expect(dao.retrieveByID).toHaveBeenCalledWith('1');
+            expect(raw.getHeader('Content-Type')).toBe('text/csv; charset=utf-8');
+            expect(raw.getHeader('ETag')).toEqual(jasmine.any(String));
+            expect(raw.body).toContain('\r\n,,,,Ben,1\r\n');
+          })
+          .then(done, done.fail);
+      });
+
+      it('checks that a resource is created from the body.', function(done) {
+        const body = {email: 'ben@example.com', extUserID: 'ben'};
+
+        dao.create.and.callFake(user => deferred.resolve(Object.assign({userID: 2}, user)));
+
+        request('post', '/users', {}, {body})
+          .then(raw => {
+            expect(dao.create).toHaveBeenCalledWith(body);
+            expect(raw.statusCode).toBe(201);
+            expect(JSON.parse(raw.body).userID).toBe(2);
+          })
+          .then(done, done.fail);
+      });
+
+      it('checks that errors are rendered as problem details.', function(done) {
+        request('post', '/users', {}, {body: {name: 'Ben'}})
+          .then(raw => {
+            expect(dao.create).not.toHaveBeenCalled();
+            expect(raw.statusCode).toBe(400);
+            expect(raw.getHeader('Content-Type')).toMatch(/^application\/problem\+json/);
+            expect(JSON.parse(raw.body).code).toBe('VAL_ERROR_LIST');
+          })
+          .then(done, done.fail);
+      });
+
+      it('checks that headers are passed to the router.', function(done) {
+        dao.retrieveByID.and.returnValue(deferred.resolve({userID: 1}));
+
+        request('get', '/users/:userID', {userID: '1'})
+          .then(raw => request('get', '/users/:userID', {userID: '1'},
+            {headers: {'if-none-match': raw.getHeader('ETag')}}))
+          .then(raw => {
+            expect(raw.statusCode).toBe(304);
+            expect(raw.body).toBe('');
+          })
+          .then(done, done.fail);
+      });
+    });
+  });
+
+  describe('HttpAdapter', function() {
+    let dao, adapter, raw;
+
+    beforeEach(function() {
+      dao     = jasmine.createSpyObj('dao', daoMethods);
+      adapter = new HttpAdapter();
+      raw     = new FakeResponse();
+
+      adapter.mount(new GenericRouter(dao, users));
+    });
+
+    it('checks that unknown routes are not found.', function() {
+      adapter.handle({method: 'GET', url: '/courses', headers: {}}, raw);
+
+      expect(raw.statusCode).toBe(404);
+      expect(JSON.parse(raw.body).detail).toBe('Cannot GET /courses.');
+    });
+
+    it('checks that invalid JSON bodies are rejected.', function() {
+      const req = new stream.Readable({read() {}});
+
+      Object.assign(req, {method: 'POST', url: '/users', headers: {}});
+      adapter.handle(req, raw);
+      req.emit('data', '{"name":');
+      req.emit('end');
+
+      expect(raw.statusCode).toBe(400);
+      expect(JSON.parse(raw.body).code).toBe('VAL_JSON');
+    });
+
+    it('checks that bodies larger than the limit are rejected.', function() {
+      const req = new stream.Readable({read() {}});
+
+      adapter = new HttpAdapter({limit: 10});
+      adapter.mount(new GenericRouter(dao, users));
+
+      Object.assign(req, {method: 'POST', url: '/users', headers: {}});
+      adapter.handle(req, raw);
+      req.emit('data', '{"name":');
+      req.emit('data', '"Joe"}');
+      req.emit('end');
+
+      expect(raw.statusCode).toBe(413);
+      expect(JSON.parse(raw.body).code).toBe('PAYLOAD_TOO_LARGE_ERROR');
+      expect(dao.create).not.toHaveBeenCalled();
+    });
+
+    it('checks that the content length is checked against the limit.', function() {
+      const req = new stream.Readable({read() {}});
+
+      adapter = new HttpAdapter({limit: '1kb'});
+      adapter.mount(new GenericRouter(dao, users));
+
+      Object.assign(req, {method: 'POST', url: '/users', headers: {'content-length': '1025'}});
+      adapter.handle(req, raw);
+
+      expect(adapter.limit).toBe(1024);
+      expect(raw.statusCode).toBe(413);
+    });
+
+    it('checks that the default limit is 100kb.', function() {
+      expect(adapter.limit).toBe(100 * 1024);
+      expect(() => new HttpAdapter({limit: 'lots'})).toThrowError('Invalid body limit: lots.');
+    });
+
+    it('checks that malformed route parameters are rejected.', function() {
+      adapter.handle({method: 'GET', url: '/users/%E0%A4%A', headers: {}, body: {}}, raw);
+
+      expect(raw.statusCode).toBe(400);
+      expect(JSON.parse(raw.body).code).toBe('VAL_URI');
+      expect(dao.retrieveByID).not.toHaveBeenCalled();
+    });
+
+    it('checks that a parsed body and bulk routes are used.', function() {
+      dao.delete.and.returnValue(deferred.resolve({affectedRows: 1}));
+      adapter.handle({method: 'DELETE', url: '/users/bulk', headers: {}, body: [1]}, raw);
+
+      expect(dao.delete).toHaveBeenCalledWith({userID: 1});
+      expect(raw.statusCode).toBe(207);
+    });
+  });
+});
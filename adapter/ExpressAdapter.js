@@ -0,0 +1,34 @@
+'use strict';
+
+require('insulin').factory('ExpressAdapter', ExpressAdapterProducer);
+
+function ExpressAdapterProducer(RouteMounter) {
+  /**
+   * Mounts a GenericRouter on an Express app or Router.  Express's request
+   * and response are GenericRouter's native interface, so they are passed
+   * through unchanged, and errors are passed to Express's next (use
+   * ProblemDetailsHandler or ErrorHandler as error middleware).
+   */
+  class ExpressAdapter {
+    /**
+     * Initialize the adapter.
+     * @memberOf ExpressAdapter
+     */
+    constructor() {
+      this.mounter = new RouteMounter();
+    }
+
+    /**
+     * Register the routes for a GenericRouter (see RouteMounter).
+     * @memberOf ExpressAdapter
+     * @param {GenericRouter} router The router to mount.
+     * @param {Object} app An Express app or Router instance.
+     * @returns {Object[]} The route table.
+     */
+    mount(router, app) {
+      return this.mounter.mount(router, app);
+    }
+  }
+
+  return ExpressAdapter;
+}
@@ -0,0 +1,64 @@
+'use strict';
+
+require('insulin').factory('FastifyAdapter', FastifyAdapterProducer);
+
+function FastifyAdapterProducer(Adapter, ResponseShim) {
+  /**
+   * Mounts a GenericRouter on a Fastify instance.  Fastify parses params,
+   * the query string, and JSON bodies.  GenericRouter writes the response
+   * directly, so each reply is hijacked.
+   */
+  class FastifyAdapter extends Adapter {
+    /**
+     * Register the routes for a GenericRouter.
+     * @memberOf FastifyAdapter
+     * @param {GenericRouter} router The router to mount.
+     * @param {Object} fastify A Fastify instance (or plugin instance).
+     * @returns {Object[]} The route table (see RouteMounter.getRoutes).
+     */
+    mount(router, fastify) {
+      const routes = this.mounter.getRoutes(router);
+
+      routes.forEach(route => {
+        fastify.route({
+          method:  route.verb.toUpperCase(),
+          url:     route.path,
+          handler: (request, reply) => {
+            // Older versions of Fastify are hijacked by marking the reply sent.
+            if (typeof reply.hijack === 'function')
+              reply.hijack();
+            else
+              reply.sent = true;
+
+            this.dispatch(router, route.method, this.getRequest(request),
+              new ResponseShim(reply.raw || reply.res));
+          }
+        });
+      });
+
+      return routes;
+    }
+
+    /**
+     * Convert a Fastify request to a request object.
+     * @memberOf FastifyAdapter
+     * @param {Object} request The Fastify request.
+     * @returns {Object} The request object.
+     */
+    getRequest(request) {
+      return {
+        method:      request.method,
+        url:         request.url,
+        originalUrl: request.url,
+        params:      request.params || {},
+        query:       request.query || {},
+        body:        request.body,
+        headers:     request.headers,
+        user:        request.user,
+        id:          request.id
+      };
+    }
+  }
+
+  return FastifyAdapter;
+}
@@ -0,0 +1,206 @@
+'use strict';
+
+require('insulin').factory('HttpAdapter', HttpAdapterProducer);
+
+function HttpAdapterProducer(Adapter, ResponseShim, NotFoundError, ValidationError,
+  PayloadTooLargeError, deferred) {
+  const url         = require('url');
+  const querystring = require('querystring');
+
+  // Multipliers of the size units that a limit can be given in.
+  const UNITS = {b: 1, kb: 1024, mb: 1024 * 1024};
+
+  /**
+   * Serves GenericRouters using Node's http module, without a framework.
+   * Routes are matched in the order that they're mounted, the query string
+   * is parsed using querystring, and JSON request bodies are read and parsed
+   * (unless req.body is already set).  Bodies that exceed the size limit are
+   * rejected with a PayloadTooLargeError (413).
+   */
+  class HttpAdapter extends Adapter {
+    /**
+     * Initialize the adapter.
+     * @memberOf HttpAdapter
+     * @param {Object} [options={}] Adapter options (see Adapter).
+     * @param {number|string} [options.limit='100kb'] The maximum size of a
+     *        request body, in bytes, or as a string with a b, kb, or mb unit
+     *        (e.g. '1mb').
+     */
+    constructor(options={}) {
+      super(options);
+
+      this.routes = [];
+      this.limit  = this._parseLimit(options.limit === undefined ? '100kb' : options.limit);
+    }
+
+    /**
+     * Register the routes for a GenericRouter.
+     * @memberOf HttpAdapter
+     * @param {GenericRouter} router The router to mount.
+     * @returns {Object[]} The route table (see RouteMounter.getRoutes).
+     */
+    mount(router) {
+      const routes = this.mounter.getRoutes(router);
+
+      routes.forEach(route => {
+        const keys    = [];
+        const pattern = route.path.replace(/:(\w+)/g, (match, key) => {
+          keys.push(key);
+          return '([^/]+)';
+        });
+
+        this.routes.push({
+          verb:    route.verb,
+          pattern: new RegExp(`^${pattern}/?$`),
+          keys,
+          router,
+          method:  route.method
+        });
+      });
+
+      return routes;
+    }
+
+    /**
+     * Get a request listener, e.g. http.createServer(adapter.getHandler()).
+     * @memberOf HttpAdapter
+     * @returns {function} A function that handles a request and response.
+     */
+    getHandler() {
+      return (req, res) => this.handle(req, res);
+    }
+
+    /**
+     * Handle a request.  If no route matches, a NotFoundError is rendered.
+     * @memberOf HttpAdapter
+     * @param {http.IncomingMessage} req The Node request.
+     * @param {http.ServerResponse} res The Node response.
+     * @returns {void}
+     */
+    handle(req, res) {
+      const parsed  = url.parse(req.url);
+      const verb    = req.method.toLowerCase();
+      const shim    = new ResponseShim(res);
+      const request = {
+        method:      req.method,
+        url:         req.url,
+        originalUrl: req.url,
+        params:      {},
+        query:       querystring.parse(parsed.query || ''),
+        headers:     req.headers,
+        user:        req.user,
+        id:          req.id
+      };
+      const route   = this.routes.find(route =>
+        route.verb === verb && route.pattern.test(parsed.pathname));
+
+      if (!route) {
+        this.handleError(new NotFoundError(`Cannot ${req.method} ${parsed.pathname}.`), request, shim);
+        return;
+      }
+
+      this._readBody(req)
+        .then(body => {
+          const values = parsed.pathname.match(route.pattern).slice(1);
+
+          route.keys.forEach((key, i) => request.params[key] = this._decodeParam(key, values[i]));
+          request.body = body;
+
+          this.dispatch(route.router, route.method, request, shim);
+        })
+        .catch(err => this.handleError(err, request, shim));
+    }
+
+    /**
+     * Private helper that converts a size limit to a number of bytes.
+     */
+    _parseLimit(limit) {
+      if (typeof limit === 'number')
+        return limit;
+
+      const match = /^(\d+)\s*(b|kb|mb)?$/i.exec(String(limit).trim());
+
+      if (!match)
+        throw new Error(`Invalid body limit: ${limit}.`);
+
+      return Number(match[1]) * UNITS[(match[2] || 'b').toLowerCase()];
+    }
+
+    /**
+     * Private helper that decodes a route parameter.  A ValidationError is
+     * thrown if the parameter is not properly encoded (e.g. a stray %).
+     */
+    _decodeParam(key, value) {
+      try {
+        return decodeURIComponent(value);
+      }
+      catch (e) {
+        throw new ValidationError(`"${key}" is not a valid URI component.`,
+          'VAL_URI', key);
+      }
+    }
+
+    /**
+     * Private helper that reads and parses a JSON request body.  Returns a
+     * promise that is resolved with the body (an empty object if there is no
+     * body), or rejected with a ValidationError if the body is not valid
+     * JSON, or a PayloadTooLargeError if the body exceeds the limit.  The
+     * remainder of a body that is too large is discarded.
+     */
+    _readBody(req) {
+      if (req.body !== undefined)
+        return deferred(req.body);
+
+      const done     = deferred();
+      const chunks   = [];
+      const tooLarge = new PayloadTooLargeError(
+        `The request body exceeds the limit of ${this.limit} bytes.`);
+      let   length   = 0;
+      let   failed   = false;
+
+      const fail = err => {
+        if (!failed) {
+          failed = true;
+          done.reject(err);
+        }
+      };
+
+      if (Number(req.headers && req.headers['content-length']) > this.limit) {
+        fail(tooLarge);
+        req.resume();
+
+        return done.promise;
+      }
+
+      req.on('data',  chunk => {
+        const buf = Buffer.from(chunk);
+
+        length += buf.length;
+
+        if (length > this.limit)
+          fail(tooLarge);
+        else if (!failed)
+          chunks.push(buf);
+      });
+      req.on('error', err => fail(err));
+      req.on('end',   () => {
+        if (failed)
+          return;
+
+        const text = Buffer.concat(chunks).toString('utf8');
+
+        try {
+          done.resolve(text.trim() === '' ? {} : JSON.parse(text));
+        }
+        catch (e) {
+          done.reject(new ValidationError(`"body" does not contain valid JSON: ${e.message}`,
+            'VAL_JSON', 'body'));
+        }
+      });
+
+      return done.promise;
+    }
+  }
+
+  return HttpAdapter;
+}
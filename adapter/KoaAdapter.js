@@ -0,0 +1,57 @@
+'use strict';
+
+require('insulin').factory('KoaAdapter', KoaAdapterProducer);
+
+function KoaAdapterProducer(Adapter, ResponseShim) {
+  /**
+   * Mounts a GenericRouter on a Koa router (e.g. @koa/router or koa-router).
+   * Request bodies are read from ctx.request.body, so a body parser (e.g.
+   * koa-bodyparser) must run first.  The user and request ID are read from
+   * ctx.state.  GenericRouter writes the response directly, so Koa's
+   * response handling is disabled for these routes (ctx.respond = false).
+   */
+  class KoaAdapter extends Adapter {
+    /**
+     * Register the routes for a GenericRouter.
+     * @memberOf KoaAdapter
+     * @param {GenericRouter} router The router to mount.
+     * @param {Object} koaRouter A Koa router instance.
+     * @returns {Object[]} The route table (see RouteMounter.getRoutes).
+     */
+    mount(router, koaRouter) {
+      const routes = this.mounter.getRoutes(router);
+
+      routes.forEach(route => {
+        koaRouter[route.verb](route.path, ctx => {
+          ctx.respond = false;
+
+          return this.dispatch(router, route.method, this.getRequest(ctx), new ResponseShim(ctx.res));
+        });
+      });
+
+      return routes;
+    }
+
+    /**
+     * Convert a Koa context to a request object.
+     * @memberOf KoaAdapter
+     * @param {Object} ctx The Koa context.
+     * @returns {Object} The request object.
+     */
+    getRequest(ctx) {
+      return {
+        method:      ctx.method,
+        url:         ctx.url,
+        originalUrl: ctx.originalUrl,
+        params:      ctx.params || {},
+        query:       ctx.query || {},
+        body:        ctx.request.body,
+        headers:     ctx.headers,
+        user:        ctx.state.user,
+        id:          ctx.state.id
+      };
+    }
+  }
+
+  return KoaAdapter;
+}
@@ -0,0 +1,136 @@
+'use strict';
+
+require('insulin').factory('ResponseShim', ResponseShimProducer);
+
+function ResponseShimProducer() {
+  /**
+   * Wraps a Node http.ServerResponse (e.g. Koa's ctx.res, or Fastify's
+   * reply.raw) in the small subset of Express's response interface that
+   * GenericRouter uses: status, set, get, json, send, end, write, on, once,
+   * and headersSent.
+   */
+  class ResponseShim {
+    /**
+     * Initialize the shim.
+     * @memberOf ResponseShim
+     * @param {http.ServerResponse} raw The Node response.
+     */
+    constructor(raw) {
+      this.raw = raw;
+    }
+
+    /**
+     * Whether or not the headers have been sent.
+     * @memberOf ResponseShim
+     * @type {boolean}
+     */
+    get headersSent() {
+      return this.raw.headersSent;
+    }
+
+    /**
+     * Set the status code.
+     * @memberOf ResponseShim
+     * @param {number} code The HTTP status code.
+     * @returns {ResponseShim} this, for chaining.
+     */
+    status(code) {
+      this.raw.statusCode = code;
+      return this;
+    }
+
+    /**
+     * Set a header.
+     * @memberOf ResponseShim
+     * @param {string} name The header name.
+     * @param {string} value The header value.
+     * @returns {ResponseShim} this, for chaining.
+     */
+    set(name, value) {
+      this.raw.setHeader(name, value);
+      return this;
+    }
+
+    /**
+     * Get a header that has been set.
+     * @memberOf ResponseShim
+     * @param {string} name The header name.
+     * @returns {string} The header value, or undefined.
+     */
+    get(name) {
+      return this.raw.getHeader(name);
+    }
+
+    /**
+     * Send a body as JSON.  The Content-Type is application/json unless one
+     * has been set.
+     * @memberOf ResponseShim
+     * @param {*} body The body.
+     * @returns {ResponseShim} this, for chaining.
+     */
+    json(body) {
+      if (this.get('Content-Type') === undefined)
+        this.set('Content-Type', 'application/json; charset=utf-8');
+
+      return this.send(JSON.stringify(body === undefined ? null : body));
+    }
+
+    /**
+     * Send a string body and end the response.
+     * @memberOf ResponseShim
+     * @param {string} body The body.
+     * @returns {ResponseShim} this, for chaining.
+     */
+    send(body) {
+      this.set('Content-Length', String(Buffer.byteLength(body)));
+      return this.end(body);
+    }
+
+    /**
+     * End the response.
+     * @memberOf ResponseShim
+     * @param {string} [chunk] An optional final chunk.
+     * @returns {ResponseShim} this, for chaining.
+     */
+    end(chunk) {
+      this.raw.end(chunk);
+      return this;
+    }
+
+    /**
+     * Write a chunk of the body.
+     * @memberOf ResponseShim
+     * @param {string} chunk The chunk.
+     * @returns {boolean} false if the response needs to drain.
+     */
+    write(chunk) {
+      return this.raw.write(chunk);
+    }
+
+    /**
+     * Listen for an event (e.g. drain, or close) on the response.
+     * @memberOf ResponseShim
+     * @param {string} event The event name.
+     * @param {function} listener The listener.
+     * @returns {ResponseShim} this, for chaining.
+     */
+    on(event, listener) {
+      this.raw.on(event, listener);
+      return this;
+    }
+
+    /**
+     * Listen for an event once.
+     * @memberOf ResponseShim
+     * @param {string} event The event name.
+     * @param {function} listener The listener.
+     * @returns {ResponseShim} this, for chaining.
+     */
+    once(event, listener) {
+      this.raw.once(event, listener);
+      return this;
+    }
+  }
+
+  return ResponseShim;
+}
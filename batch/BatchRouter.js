@@ -0,0 +1,205 @@
+'use strict';
+
+require('insulin').factory('BatchRouter', BatchRouterProducer);
+
+function BatchRouterProducer(ValidationError, ValidationErrorList, deferred) {
+  // Router methods that can be batched.
+  const METHODS = ['create', 'update', 'patch', 'delete', 'replace'];
+
+  /**
+   * Runs an ordered list of operations against GenericRouters in a single
+   * transaction.  Each operation is handled by its router's method (so
+   * validation, authorization, and hooks apply) using a dao that is bound to
+   * the transaction.  Later operations can reference the results of earlier
+   * ones, e.g. the identifier of a created resource.
+   */
+  class BatchRouter {
+    /**
+     * Initialize the router.
+     * @memberOf BatchRouter
+     * @param {Object} routers The GenericRouters that operations can target,
+     *        keyed by name (e.g. users).
+     * @param {function} transaction A function that runs work in a
+     *        transaction.  It's called with a work function, which must be
+     *        called with a function that returns the transaction-bound dao of
+     *        a GenericRouter.  It returns a promise: the transaction should be
+     *        committed if the promise returned by work resolves, and rolled
+     *        back if it rejects.
+     */
+    constructor(routers, transaction) {
+      this.routers     = routers;
+      this.transaction = transaction;
+    }
+
+    /**
+     * Run a batch of operations.  req.body is an array of operations, each
+     * an object with the following properties: resource (the name of a
+     * router), method (create, update, patch, delete, or replace), params
+     * (the route parameters, e.g. {userID: 1}), body (the request body), and
+     * an optional id.  Any value in params or body can be a reference to the
+     * result of an earlier operation, e.g. {$ref: 'user.userID'}, where user
+     * is the operation's id (or index).
+     *
+     * The operations are run in order in a single transaction.  The response
+     * is an array of results, each with the operation's id, status, and body.
+     * If an operation fails, the transaction is rolled back and next is
+     * called with the operation's error, which has an operation property
+     * (the index of the operation).  Change events and cache invalidation
+     * happen after the transaction is committed.
+     * @memberOf BatchRouter
+     * @param {Object} req An Express request object with an array of
+     *        operations in body.
+     * @param {Object} res An Express response object.
+     * @param {function} next Called with an Error instance if an error occurs.
+     * @returns {void}
+     */
+    batch(req, res, next) {
+      try {
+        this._validate(req.body);
+      }
+      catch (err) {
+        next(err);
+        return;
+      }
+
+      const afterCommit = [];
+
+      this.transaction(getDao => req.body.reduce((promise, op, i) => promise
+        .then(results => {
+          const router = this.routers[op.resource];
+          const bound  = Object.create(router);
+
+          bound.dao = getDao(router);
+
+          return deferred(null)
+            .then(() => this._run(bound, op, results, req, afterCommit))
+            .then(result => results.concat(result))
+            .catch(err => {
+              err.operation = i;
+              throw err;
+            });
+        }),
+        deferred([])))
+        .then(results => deferred.map(afterCommit, fn => fn())
+          .then(() => res.json(results)))
+        .catch(next);
+    }
+
+    /**
+     * Register the batch route (POST) with an Express app or Router.
+     * @memberOf BatchRouter
+     * @param {Object} app An Express app or Router instance.
+     * @param {string} [path='/batch'] The path of the route.
+     * @returns {void}
+     */
+    mount(app, path='/batch') {
+      app.post(path, (req, res, next) => this.batch(req, res, next));
+    }
+
+    /**
+     * Private helper that validates the shape of each operation.  A
+     * ValidationErrorList is thrown if any operation is invalid.
+     */
+    _validate(ops) {
+      if (!Array.isArray(ops))
+        throw new ValidationErrorList([new ValidationError('"body" must be an array.', 'VAL_ARRAY', 'body')]);
+
+      const errors = [];
+
+      ops.forEach((op, i) => {
+        if (op === null || typeof op !== 'object' || Array.isArray(op)) {
+          errors.push(new ValidationError(`"[${i}]" must be an object.`, 'VAL_OBJECT', `[${i}]`));
+          return;
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(this.routers, op.resource)) {
+          errors.push(new ValidationError(`"[${i}].resource" must be one of ${Object.keys(this.routers).join(', ')}.`,
+            'VAL_BATCH', `[${i}].resource`));
+        }
+
+        if (METHODS.indexOf(op.method) === -1) {
+          errors.push(new ValidationError(`"[${i}].method" must be one of ${METHODS.join(', ')}.`,
+            'VAL_BATCH', `[${i}].method`));
+        }
+      });
+
+      if (errors.length)
+        throw new ValidationErrorList(errors);
+    }
+
+    /**
+     * Private helper that runs one operation using a router's method.
+     * Returns a promise that is resolved with the result, or rejected with
+     * the error that the method passes to next.
+     */
+    _run(router, op, results, req, afterCommit) {
+      const done   = deferred();
+      const result = {id: op.id === undefined ? results.length : op.id, status: 200};
+      const opReq  = {
+        params:      this._resolve(op.params || {}, results),
+        query:       {},
+        body:        this._resolve(op.body, results),
+        headers:     req.headers || {},
+        user:        req.user,
+        id:          req.id,
+        originalUrl: req.originalUrl,
+        afterCommit
+      };
+      // Captures the router's response.
+      const opRes  = {
+        status(code) {
+          result.status = code;
+          return this;
+        },
+        set()  { return this; },
+        get()  { return undefined; },
+        json(body) {
+          result.body = body;
+          done.resolve(result);
+        },
+        end() {
+          done.resolve(result);
+        }
+      };
+
+      router[op.method](opReq, opRes, err => done.reject(err));
+
+      return done.promise;
+    }
+
+    /**
+     * Private helper that replaces references ({$ref: 'id.path'}) in a value
+     * with values from the results of earlier operations.  A ValidationError
+     * is thrown if a reference can't be resolved.
+     */
+    _resolve(value, results) {
+      if (Array.isArray(value))
+        return value.map(item => this._resolve(item, results));
+
+      if (value === null || typeof value !== 'object' || value instanceof Date)
+        return value;
+
+      if (typeof value.$ref === 'string') {
+        const path   = value.$ref.split('.');
+        const source = results.find(result => String(result.id) === path[0]);
+        const found  = source && path.slice(1).reduce((obj, key) =>
+          obj === null || obj === undefined ? undefined : obj[key], source.body);
+
+        if (found === undefined) {
+          throw new ValidationError(`Reference "${value.$ref}" does not match an earlier operation.`,
+            'VAL_BATCH_REF', value.$ref);
+        }
+
+        return found;
+      }
+
+      const resolved = {};
+
+      Object.keys(value).forEach(key => resolved[key] = this._resolve(value[key], results));
+
+      return resolved;
+    }
+  }
+
+  return BatchRouter;
+}
@@ -0,0 +1,145 @@
+describe('BatchRouter()', function() {
+  'use strict';
+
+  const insulin       = require('insulin').mock();
+  const BatchRouter   = insulin.get('BatchRouter');
+  const GenericRouter = insulin.get('GenericRouter');
+  const deferred      = insulin.get('deferred');
+  const database      = insulin.get('ndm_testDB');
+  const users         = database.getTableByMapping('users');
+  const usersCourses  = database.getTableByMapping('usersCourses');
+  const daoMethods    = [
+    'create', 'retrieve', 'retrieveByID', 'update', 'delete', 'replace', 'options'
+  ];
+
+  let usersDao, coursesDao, txUsersDao, txCoursesDao, usersRouter, coursesRouter,
+    transaction, batch, req, res, next;
+
+  beforeEach(function() {
+    insulin.forget();
+
+    usersDao      = jasmine.createSpyObj('usersDao', daoMethods);
+    coursesDao    = jasmine.createSpyObj('coursesDao', daoMethods);
+    txUsersDao    = jasmine.createSpyObj('txUsersDao', daoMethods);
+    txCoursesDao  = jasmine.createSpyObj('txCoursesDao', daoMethods);
+    usersRouter   = new GenericRouter(usersDao, users);
+    coursesRouter = new GenericRouter(coursesDao, usersCourses, users);
+
+    // Fake transaction, which binds each router to a transaction-bound dao.
+    transaction = jasmine.createSpy('transaction').and.callFake(work =>
+      work(router => router === usersRouter ? txUsersDao : txCoursesDao));
+
+    batch = new BatchRouter({users: usersRouter, usersCourses: coursesRouter}, transaction);
+    req   = {headers: {}, body: []};
+    res   = jasmine.createSpyObj('res', ['json', 'status']);
+    next  = jasmine.createSpy('next');
+
+    txUsersDao.create.and.callFake(user => deferred.resolve(Object.assign({userID: 42}, user)));
+    txCoursesDao.create.and.callFake(course => deferred.resolve(Object.assign({userCourseID: 12}, course)));
+  });
+
+  describe('.batch()', function() {
+    it('checks that operations run in order in a transaction, with references.', function() {
+      req.body = [
+        {id: 'user', resource: 'users', method: 'create', body: {email: 'ben@example.com', extUserID: 'ben'}},
+        {
+          resource: 'usersCourses',
+          method:   'create',
+          params:   {userID: {$ref: 'user.userID'}},
+          body:     {name: 'Pine Hills', userID: {$ref: 'user.userID'}}
+        }
+      ];
+
+      batch.batch(req, res, next);
+
+      expect(transaction.calls.count()).toBe(1);
+      expect(usersDao.create).not.toHaveBeenCalled();
+      expect(coursesDao.create).not.toHaveBeenCalled();
+      expect(txCoursesDao.create).toHaveBeenCalledWith({name: 'Pine Hills', userID: 42});
+      expect(res.json).toHaveBeenCalledWith([
+        {id: 'user', status: 201, body: {userID: 42, email: 'ben@example.com', extUserID: 'ben'}},
+        {id: 1,      status: 201, body: {userCourseID: 12, name: 'Pine Hills', userID: 42}}
+      ]);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('checks that operations are validated before the transaction.', function() {
+      req.body = [null, {resource: 'courses', method: 'retrieve'}];
+
+      batch.batch(req, res, next);
+
+      expect(transaction).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].errors.map(err => err.field))
+        .toEqual(['[0]', '[1].resource', '[1].method']);
+
+      req.body = {};
+      batch.batch(req, res, next);
+      expect(next.calls.argsFor(1)[0].errors[0].code).toBe('VAL_ARRAY');
+    });
+
+    it('checks that the first failure rolls back the transaction.', function() {
+      let rolledBack = false;
+
+      transaction.and.callFake(work =>
+        work(router => router === usersRouter ? txUsersDao : txCoursesDao)
+          .catch(err => {
+            rolledBack = true;
+            throw err;
+          }));
+
+      req.body = [
+        {resource: 'users', method: 'create', body: {email: 'ben@example.com', extUserID: 'ben'}},
+        {resource: 'users', method: 'create', body: {name: 'No email'}},
+        {resource: 'users', method: 'create', body: {email: 'joe@example.com', extUserID: 'joe'}}
+      ];
+
+      batch.batch(req, res, next);
+
+      expect(rolledBack).toBe(true);
+      expect(txUsersDao.create.calls.count()).toBe(1);
+      expect(res.json).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].name).toBe('ValidationErrorList');
+      expect(next.calls.argsFor(0)[0].operation).toBe(1);
+    });
+
+    it('checks that unresolved references fail the batch.', function() {
+      req.body = [
+        {resource: 'usersCourses', method: 'delete', params: {userID: 42, userCourseID: {$ref: 'course.userCourseID'}}}
+      ];
+
+      batch.batch(req, res, next);
+
+      expect(txCoursesDao.delete).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].code).toBe('VAL_BATCH_REF');
+    });
+
+    it('checks that change events are sent after the transaction commits.', function() {
+      const sink   = jasmine.createSpyObj('sink', ['write']);
+      const commit = deferred();
+
+      usersRouter.addSink(sink);
+      transaction.and.callFake(work => work(() => txUsersDao).then(results =>
+        commit.promise.then(() => results)));
+      req.body = [{resource: 'users', method: 'create', body: {email: 'ben@example.com', extUserID: 'ben'}}];
+
+      batch.batch(req, res, next);
+      expect(sink.write).not.toHaveBeenCalled();
+
+      commit.resolve();
+      expect(sink.write.calls.argsFor(0)[0].ID).toBe(42);
+      expect(res.json).toHaveBeenCalled();
+    });
+  });
+
+  describe('.mount()', function() {
+    it('checks that the batch route is registered.', function() {
+      const app = jasmine.createSpyObj('app', ['post']);
+
+      batch.mount(app);
+      expect(app.post).toHaveBeenCalledWith('/batch', jasmine.any(Function));
+
+      app.post.calls.argsFor(0)[1](req, res, next);
+      expect(transaction).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+require('insulin').factory('LRUStore', LRUStoreProducer);
+
+function LRUStoreProducer() {
+  /**
+   * An in-memory cache store that evicts the least-recently used entry when
+   * it's full.  Entries expire after a time to live (TTL).
+   *
+   * This is the default store of GenericRouter's cache.  Other stores (e.g.
+   * one backed by Redis) implement the same interface: get, set, and clear.
+   * Each method can return a value or a promise.
+   */
+  class LRUStore {
+    /**
+     * Initialize the store.
+     * @memberOf LRUStore
+     * @param {Object} [options={}] Store options.
+     * @param {number} [options.maxSize=1000] The maximum number of entries.
+     */
+    constructor(options={}) {
+      this.maxSize = options.maxSize || 1000;
+      this.entries = new Map();
+    }
+
+    /**
+     * Get an entry, and mark it as recently used.
+     * @memberOf LRUStore
+     * @param {string} key The key of the entry.
+     * @returns {*} The value, or undefined if there is no entry or it has
+     *          expired.
+     */
+    get(key) {
+      const entry = this.entries.get(key);
+
+      if (entry === undefined)
+        return undefined;
+
+      this.entries.delete(key);
+
+      if (entry.expires <= Date.now())
+        return undefined;
+
+      // Maps iterate in insertion order, so the first entry is the least
+      // recently used.
+      this.entries.set(key, entry);
+
+      return entry.value;
+    }
+
+    /**
+     * Set an entry.  If the store is full, the least-recently used entry is
+     * evicted.
+     * @memberOf LRUStore
+     * @param {string} key The key of the entry.
+     * @param {*} value The value, which must not be undefined.
+     * @param {number} ttl The time to live, in seconds.
+     * @returns {void}
+     */
+    set(key, value, ttl) {
+      this.entries.delete(key);
+      this.entries.set(key, {value, expires: Date.now() + ttl * 1000});
+
+      if (this.entries.size > this.maxSize)
+        this.entries.delete(this.entries.keys().next().value);
+    }
+
+    /**
+     * Delete every entry with a key that starts with prefix.
+     * @memberOf LRUStore
+     * @param {string} [prefix=''] The key prefix.  By default every entry is
+     *        deleted.
+     * @returns {void}
+     */
+    clear(prefix='') {
+      Array.from(this.entries.keys())
+        .filter(key => key.startsWith(prefix))
+        .forEach(key => this.entries.delete(key));
+    }
+  }
+
+  return LRUStore;
+}
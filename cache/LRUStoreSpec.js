@@ -0,0 +1,62 @@
+describe('LRUStore()', function() {
+  'use strict';
+
+  const insulin  = require('insulin').mock();
+  const LRUStore = insulin.get('LRUStore');
+
+  let store;
+
+  beforeEach(function() {
+    insulin.forget();
+
+    store = new LRUStore({maxSize: 2});
+  });
+
+  describe('.get()', function() {
+    it('checks that missing entries are undefined.', function() {
+      expect(store.get('Users:1')).toBeUndefined();
+    });
+
+    it('checks that entries can be retrieved.', function() {
+      store.set('Users:1', {userID: 1}, 60);
+      expect(store.get('Users:1')).toEqual({userID: 1});
+    });
+
+    it('checks that expired entries are removed.', function() {
+      spyOn(Date, 'now').and.returnValue(1000);
+      store.set('Users:1', {userID: 1}, 60);
+
+      Date.now.and.returnValue(61000);
+      expect(store.get('Users:1')).toBeUndefined();
+      expect(store.entries.size).toBe(0);
+    });
+  });
+
+  describe('.set()', function() {
+    it('checks that the least-recently used entry is evicted.', function() {
+      store.set('Users:1', 1, 60);
+      store.set('Users:2', 2, 60);
+      store.get('Users:1');
+      store.set('Users:3', 3, 60);
+
+      expect(store.get('Users:1')).toBe(1);
+      expect(store.get('Users:2')).toBeUndefined();
+      expect(store.get('Users:3')).toBe(3);
+    });
+  });
+
+  describe('.clear()', function() {
+    it('checks that entries are cleared by prefix.', function() {
+      store = new LRUStore();
+      store.set('Users:1', 1, 60);
+      store.set('UsersCourses:1', 2, 60);
+
+      store.clear('Users:');
+      expect(store.get('Users:1')).toBeUndefined();
+      expect(store.get('UsersCourses:1')).toBe(2);
+
+      store.clear();
+      expect(store.entries.size).toBe(0);
+    });
+  });
+});
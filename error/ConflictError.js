@@ -0,0 +1,25 @@
+'use strict';
+
+require('insulin').factory('ConflictError', ConflictErrorProducer);
+
+function ConflictErrorProducer(DetailedError) {
+  /**
+   * Custom error instance that is used when a request conflicts with the
+   * state of the server, e.g. when a request with the same Idempotency-Key
+   * is in progress.
+   */
+  class ConflictError extends DetailedError {
+    /**
+     * Create the Error instance with a user-supplied message.
+     * @param {string} [message] The description of the error.
+     */
+    constructor(message) {
+      super(message, 'CONFLICT_ERROR');
+      this.name    = 'ConflictError';
+      this.message = message || 'Conflict.';
+      this.detail  = this.message;
+    }
+  }
+
+  return ConflictError;
+}
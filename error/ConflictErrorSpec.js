@@ -0,0 +1,23 @@
+describe('ConflictError()', function() {
+  'use strict';
+
+  const insulin       = require('insulin').mock();
+  const ConflictError = insulin.get('ConflictError');
+
+  it('checks the ctor.', function() {
+    const err = new ConflictError('The request is in progress.');
+
+    expect(err instanceof Error).toBe(true);
+    expect(err.name).toBe('ConflictError');
+    expect(err.code).toBe('CONFLICT_ERROR');
+    expect(err.message).toBe('The request is in progress.');
+    expect(err.detail).toBe('The request is in progress.');
+  });
+
+  it('checks the default message.', function() {
+    const err = new ConflictError();
+
+    expect(err.message).toBe('Conflict.');
+    expect(err.detail).toBe('Conflict.');
+  });
+});
@@ -0,0 +1,24 @@
+'use strict';
+
+require('insulin').factory('NotAcceptableError', NotAcceptableErrorProducer);
+
+function NotAcceptableErrorProducer(DetailedError) {
+  /**
+   * Custom error instance that is used when none of the representations that
+   * a client accepts (e.g. in an Accept header) can be produced.
+   */
+  class NotAcceptableError extends DetailedError {
+    /**
+     * Create the Error instance with a user-supplied message.
+     * @param {string} [message] The description of the error.
+     */
+    constructor(message) {
+      super(message, 'NOT_ACCEPTABLE_ERROR');
+      this.name    = 'NotAcceptableError';
+      this.message = message || 'Not acceptable.';
+      this.detail  = this.message;
+    }
+  }
+
+  return NotAcceptableError;
+}
@@ -0,0 +1,23 @@
+describe('NotAcceptableError()', function() {
+  'use strict';
+
+  const insulin            = require('insulin').mock();
+  const NotAcceptableError = insulin.get('NotAcceptableError');
+
+  it('checks the ctor.', function() {
+    const err = new NotAcceptableError('Format "xml" is not supported.');
+
+    expect(err instanceof Error).toBe(true);
+    expect(err.name).toBe('NotAcceptableError');
+    expect(err.code).toBe('NOT_ACCEPTABLE_ERROR');
+    expect(err.message).toBe('Format "xml" is not supported.');
+    expect(err.detail).toBe('Format "xml" is not supported.');
+  });
+
+  it('checks the default message.', function() {
+    const err = new NotAcceptableError();
+
+    expect(err.message).toBe('Not acceptable.');
+    expect(err.detail).toBe('Not acceptable.');
+  });
+});
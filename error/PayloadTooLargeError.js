@@ -0,0 +1,24 @@
+'use strict';
+
+require('insulin').factory('PayloadTooLargeError', PayloadTooLargeErrorProducer);
+
+function PayloadTooLargeErrorProducer(DetailedError) {
+  /**
+   * Custom error instance that is used when a request body exceeds the
+   * configured size limit.
+   */
+  class PayloadTooLargeError extends DetailedError {
+    /**
+     * Create the Error instance with a user-supplied message.
+     * @param {string} [message] The description of the error.
+     */
+    constructor(message) {
+      super(message, 'PAYLOAD_TOO_LARGE_ERROR');
+      this.name    = 'PayloadTooLargeError';
+      this.message = message || 'Payload too large.';
+      this.detail  = this.message;
+    }
+  }
+
+  return PayloadTooLargeError;
+}
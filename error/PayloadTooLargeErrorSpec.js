@@ -0,0 +1,23 @@
+describe('PayloadTooLargeError()', function() {
+  'use strict';
+
+  const insulin              = require('insulin').mock();
+  const PayloadTooLargeError = insulin.get('PayloadTooLargeError');
+
+  it('checks the ctor.', function() {
+    const err = new PayloadTooLargeError('The body exceeds 100 bytes.');
+
+    expect(err instanceof Error).toBe(true);
+    expect(err.name).toBe('PayloadTooLargeError');
+    expect(err.code).toBe('PAYLOAD_TOO_LARGE_ERROR');
+    expect(err.message).toBe('The body exceeds 100 bytes.');
+    expect(err.detail).toBe('The body exceeds 100 bytes.');
+  });
+
+  it('checks the default message.', function() {
+    const err = new PayloadTooLargeError();
+
+    expect(err.message).toBe('Payload too large.');
+    expect(err.detail).toBe('Payload too large.');
+  });
+});
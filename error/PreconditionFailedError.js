@@ -0,0 +1,24 @@
+'use strict';
+
+require('insulin').factory('PreconditionFailedError', PreconditionFailedErrorProducer);
+
+function PreconditionFailedErrorProducer(DetailedError) {
+  /**
+   * Custom error instance that is used when a conditional request fails,
+   * e.g. when an If-Match header does not match the stored resource.
+   */
+  class PreconditionFailedError extends DetailedError {
+    /**
+     * Create the Error instance with a user-supplied message.
+     * @param {string} [message] The description of the error.
+     */
+    constructor(message) {
+      super(message, 'PRECONDITION_FAILED_ERROR');
+      this.name    = 'PreconditionFailedError';
+      this.message = message || 'Precondition failed.';
+      this.detail  = this.message;
+    }
+  }
+
+  return PreconditionFailedError;
+}
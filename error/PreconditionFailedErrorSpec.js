@@ -0,0 +1,23 @@
+describe('PreconditionFailedError()', function() {
+  'use strict';
+
+  const insulin                 = require('insulin').mock();
+  const PreconditionFailedError = insulin.get('PreconditionFailedError');
+
+  it('checks the ctor.', function() {
+    const err = new PreconditionFailedError('The resource has changed.');
+
+    expect(err instanceof Error).toBe(true);
+    expect(err.name).toBe('PreconditionFailedError');
+    expect(err.code).toBe('PRECONDITION_FAILED_ERROR');
+    expect(err.message).toBe('The resource has changed.');
+    expect(err.detail).toBe('The resource has changed.');
+  });
+
+  it('checks the default message.', function() {
+    const err = new PreconditionFailedError();
+
+    expect(err.message).toBe('Precondition failed.');
+    expect(err.detail).toBe('Precondition failed.');
+  });
+});
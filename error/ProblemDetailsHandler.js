@@ -0,0 +1,214 @@
+'use strict';
+
+require('insulin').factory('ProblemDetailsHandler', ProblemDetailsHandlerProducer);
+
+function ProblemDetailsHandlerProducer() {
+  const http = require('http');
+
+  // Status codes of the error types, by error name.
+  const STATUSES = {
+    ValidationError:          400,
+    ValidationErrorList:      400,
+    UnauthorizedError:        401,
+    ForbiddenError:           403,
+    NotFoundError:            404,
+    NotAcceptableError:       406,
+    DuplicateError:           409,
+    ConflictError:            409,
+    PreconditionFailedError:  412,
+    PayloadTooLargeError:     413,
+    UnprocessableEntityError: 422
+  };
+
+  /**
+   * Error handler for Express that renders errors as RFC 7807 problem
+   * details (application/problem+json).  bsy-error types (and the errors
+   * raised by GenericRouter) are mapped to their status codes, and database
+   * errors are translated: duplicate keys are 409s, and foreign key
+   * violations are 422s that name the offending field.  Unhandled errors are
+   * 500s.  Error details and stack traces are hidden outside development.
+   */
+  class ProblemDetailsHandler {
+    /**
+     * Initialize the handler.
+     * @memberOf ProblemDetailsHandler
+     * @param {Object} [options={}] Handler options.
+     * @param {ndm.Database} [options.database=null] The database, which is
+     *        used to convert column names in database errors to mappings.
+     * @param {boolean} [options.development=NODE_ENV === 'development']
+     *        Whether or not to include unhandled error messages and stack
+     *        traces in responses.
+     */
+    constructor(options={}) {
+      this.database    = options.database || null;
+      this.development = options.development !== undefined ?
+        !!options.development : process.env.NODE_ENV === 'development';
+    }
+
+    /**
+     * Handle the error.  Use as Express error-handling middleware, e.g.
+     * app.use((err, req, res, next) => handler.handleError(err, req, res, next)).
+     * @memberOf ProblemDetailsHandler
+     * @param {Error} err The error object.
+     * @param {Object} req The Express request object.
+     * @param {Object} res The Express response object.
+     * @param {function} next function to call to proceed to the next route.
+     * @returns {void}
+     */
+    handleError(err, req, res, next) {
+      // The response has started (e.g. a streamed list), so defer to Express.
+      if (res.headersSent) {
+        next(err);
+        return;
+      }
+
+      const problem = this.getProblem(err, req);
+
+      if (!problem) {
+        this.onUnhandledError(err, req, res, next);
+        return;
+      }
+
+      this.send(problem, res);
+    }
+
+    /**
+     * Convert an error to problem details.
+     * @memberOf ProblemDetailsHandler
+     * @param {Error} err The error object.
+     * @param {Object} req The Express request object.
+     * @returns {Object} The problem details, or null if the error is not
+     *          handled.
+     */
+    getProblem(err, req) {
+      if (STATUSES[err.name] !== undefined) {
+        const problem = this._createProblem(STATUSES[err.name], err.message, req, err.code);
+
+        if (err.field !== undefined)
+          problem.field = err.field;
+
+        if (err.name === 'ValidationErrorList') {
+          problem.errors = err.errors.map(error =>
+            ({code: error.code, field: error.field, detail: error.message}));
+        }
+
+        return problem;
+      }
+
+      switch (err.code) {
+        // Duplicate key, e.g. a unique index.
+        case 'ER_DUP_ENTRY':
+          return this._createProblem(409, 'The resource conflicts with an existing resource.',
+            req, 'DUPE_ERROR');
+
+        // A foreign key references a row that does not exist.
+        case 'ER_NO_REFERENCED_ROW':
+        case 'ER_NO_REFERENCED_ROW_2': {
+          const field   = this._getForeignKeyField(err);
+          const problem = this._createProblem(422,
+            field ? `"${field}" references a resource that does not exist.` :
+              'A referenced resource does not exist.',
+            req, 'FOREIGN_KEY_ERROR');
+
+          if (field)
+            problem.field = field;
+
+          return problem;
+        }
+
+        // The row is referenced by a foreign key, so it can't be deleted.
+        case 'ER_ROW_IS_REFERENCED':
+        case 'ER_ROW_IS_REFERENCED_2':
+          return this._createProblem(409, 'The resource is referenced by other resources.',
+            req, 'FOREIGN_KEY_ERROR');
+      }
+
+      return null;
+    }
+
+    /**
+     * Send problem details.
+     * @memberOf ProblemDetailsHandler
+     * @param {Object} problem The problem details, as returned by getProblem.
+     * @param {Object} res The Express response object.
+     * @returns {void}
+     */
+    send(problem, res) {
+      res.status(problem.status);
+      res.set('Content-Type', 'application/problem+json; charset=utf-8');
+      res.json(problem);
+    }
+
+    /**
+     * On unhandled error, this method is called.  By default the error is
+     * logged and a 500 is sent.  This method can be specialized for
+     * application-specific error handling.
+     * @memberOf ProblemDetailsHandler
+     * @param {Error} err The error object.
+     * @param {Object} req The Express request object.
+     * @param {Object} res The Express response object.
+     * @param {function} next function to call to proceed to the next route.
+     * @returns {void}
+     */
+    onUnhandledError(err, req, res, next) { // jshint ignore:line
+      const problem = this._createProblem(500,
+        this.development ? err.message : 'Internal server error.', req);
+
+      console.error(err.message);
+      console.error(err.stack);
+
+      if (this.development)
+        problem.stack = String(err.stack).split('\n');
+
+      this.send(problem, res);
+    }
+
+    /**
+     * Private helper to create problem details.
+     */
+    _createProblem(status, detail, req, code) {
+      const problem = {
+        type:   'about:blank',
+        title:  http.STATUS_CODES[status],
+        status,
+        detail
+      };
+
+      if (code !== undefined)
+        problem.code = code;
+
+      if (req.originalUrl || req.url)
+        problem.instance = req.originalUrl || req.url;
+
+      return problem;
+    }
+
+    /**
+     * Private helper that pulls the offending field out of a MySQL foreign key
+     * error, e.g. "... CONSTRAINT `Users_userID_fk` FOREIGN KEY (`userID`)
+     * ...".  The column name is converted to a mapping if the table is in
+     * the database.
+     */
+    _getForeignKeyField(err) {
+      const message = String(err.sqlMessage || err.message);
+      const match   = message.match(/`([^`]+)`, CONSTRAINT `[^`]+` FOREIGN KEY \(`([^`]+)`\)/);
+
+      if (!match)
+        return null;
+
+      const tableName = match[1];
+      const colName   = match[2];
+
+      if (this.database && this.database.isTableName(tableName)) {
+        const table = this.database.getTableByName(tableName);
+
+        if (table.isColumnName(colName))
+          return table.getColumnByName(colName).mapTo;
+      }
+
+      return colName;
+    }
+  }
+
+  return ProblemDetailsHandler;
+}
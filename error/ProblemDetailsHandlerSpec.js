@@ -0,0 +1,159 @@
+describe('ProblemDetailsHandler()', function() {
+  'use strict';
+
+  const insulin                  = require('insulin').mock();
+  const ProblemDetailsHandler    = insulin.get('ProblemDetailsHandler');
+  const ValidationError          = insulin.get('ValidationError');
+  const ValidationErrorList      = insulin.get('ValidationErrorList');
+  const NotFoundError            = insulin.get('NotFoundError');
+  const DuplicateError           = insulin.get('DuplicateError');
+  const ForbiddenError           = insulin.get('ForbiddenError');
+  const PreconditionFailedError  = insulin.get('PreconditionFailedError');
+  const PayloadTooLargeError     = insulin.get('PayloadTooLargeError');
+  const NotAcceptableError       = insulin.get('NotAcceptableError');
+  const ConflictError            = insulin.get('ConflictError');
+  const UnprocessableEntityError = insulin.get('UnprocessableEntityError');
+  const database                 = insulin.get('ndm_testDB');
+
+  let handler, req, res, next;
+
+  // Create an error like the ones raised by the mysql driver.
+  function createMySQLError(code, sqlMessage) {
+    const err = new Error(`${code}: ${sqlMessage}`);
+
+    err.code       = code;
+    err.sqlMessage = sqlMessage;
+
+    return err;
+  }
+
+  beforeEach(function() {
+    insulin.forget();
+
+    handler = new ProblemDetailsHandler({database, development: false});
+    req     = {originalUrl: '/users/42'};
+    res     = jasmine.createSpyObj('res', ['status', 'set', 'json']);
+    next    = jasmine.createSpy('next');
+
+    res.status.and.returnValue(res);
+    spyOn(console, 'error');
+  });
+
+  /**
+   * Handle error.
+   */
+  describe('.handleError()', function() {
+    it('checks that problem details are sent.', function() {
+      handler.handleError(new NotFoundError('Resource not found.'), req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.set).toHaveBeenCalledWith('Content-Type', 'application/problem+json; charset=utf-8');
+      expect(res.json).toHaveBeenCalledWith({
+        type:     'about:blank',
+        title:    'Not Found',
+        status:   404,
+        detail:   'Resource not found.',
+        code:     'NOT_FOUND_ERROR',
+        instance: '/users/42'
+      });
+    });
+
+    it('checks that bsy-error and router errors are mapped to status codes.', function() {
+      [
+        [new ValidationError('Bad.', 'VAL_INT', 'userID'), 400],
+        [new ForbiddenError(), 403],
+        [new NotAcceptableError(), 406],
+        [new DuplicateError('Duplicate email.', 'email', 42), 409],
+        [new ConflictError(), 409],
+        [new PreconditionFailedError(), 412],
+        [new PayloadTooLargeError(), 413],
+        [new UnprocessableEntityError(), 422]
+      ].forEach(pair => {
+        res.status.calls.reset();
+        handler.handleError(pair[0], req, res, next);
+        expect(res.status).toHaveBeenCalledWith(pair[1]);
+      });
+    });
+
+    it('checks that fields and nested errors are included.', function() {
+      const err = new ValidationErrorList([new ValidationError('"email" is required.', 'VAL_REQUIRED', 'email')]);
+
+      handler.handleError(err, req, res, next);
+      expect(res.json.calls.argsFor(0)[0].errors).toEqual([
+        {code: 'VAL_REQUIRED', field: 'email', detail: '"email" is required.'}
+      ]);
+
+      handler.handleError(new DuplicateError('Duplicate email.', 'email', 42), req, res, next);
+      expect(res.json.calls.argsFor(1)[0].field).toBe('email');
+    });
+
+    it('checks that duplicate keys are 409s.', function() {
+      handler.handleError(createMySQLError('ER_DUP_ENTRY',
+        'Duplicate entry \'joe@example.com\' for key \'email_UNIQUE\''), req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json.calls.argsFor(0)[0].detail)
+        .toBe('The resource conflicts with an existing resource.');
+      expect(console.error).not.toHaveBeenCalled();
+    });
+
+    it('checks that foreign key violations are 422s that name the field.', function() {
+      handler.handleError(createMySQLError('ER_NO_REFERENCED_ROW_2',
+        'Cannot add or update a child row: a foreign key constraint fails ' +
+        '(`disc_golf_tracker`.`UsersCourses`, CONSTRAINT `Users_userID_fk` ' +
+        'FOREIGN KEY (`userID`) REFERENCES `Users` (`userID`))'), req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.json).toHaveBeenCalledWith(jasmine.objectContaining({
+        title:  'Unprocessable Entity',
+        detail: '"userID" references a resource that does not exist.',
+        code:   'FOREIGN_KEY_ERROR',
+        field:  'userID'
+      }));
+    });
+
+    it('checks that foreign key violations without a field are still 422s.', function() {
+      handler.handleError(createMySQLError('ER_NO_REFERENCED_ROW', 'Unknown.'), req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.json.calls.argsFor(0)[0].field).toBeUndefined();
+    });
+
+    it('checks that deleting a referenced resource is a 409.', function() {
+      handler.handleError(createMySQLError('ER_ROW_IS_REFERENCED_2',
+        'Cannot delete or update a parent row: a foreign key constraint fails'), req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+    });
+
+    it('checks that unhandled errors are hidden outside development.', function() {
+      handler.handleError(new Error('Secret SQL.'), req, res, next);
+
+      const problem = res.json.calls.argsFor(0)[0];
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(problem.detail).toBe('Internal server error.');
+      expect(problem.stack).toBeUndefined();
+      expect(console.error).toHaveBeenCalled();
+    });
+
+    it('checks that unhandled errors are detailed in development.', function() {
+      handler = new ProblemDetailsHandler({development: true});
+      handler.handleError(new Error('Secret SQL.'), req, res, next);
+
+      const problem = res.json.calls.argsFor(0)[0];
+
+      expect(problem.detail).toBe('Secret SQL.');
+      expect(Array.isArray(problem.stack)).toBe(true);
+    });
+
+    it('checks that errors after the response has started go to next.', function() {
+      const err = new Error('Connection lost.');
+
+      res.headersSent = true;
+      handler.handleError(err, req, res, next);
+      expect(next).toHaveBeenCalledWith(err);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+});
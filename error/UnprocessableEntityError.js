@@ -0,0 +1,25 @@
+'use strict';
+
+require('insulin').factory('UnprocessableEntityError', UnprocessableEntityErrorProducer);
+
+function UnprocessableEntityErrorProducer(DetailedError) {
+  /**
+   * Custom error instance that is used when a well-formed request can't be
+   * processed, e.g. when an Idempotency-Key is reused with a different
+   * request.
+   */
+  class UnprocessableEntityError extends DetailedError {
+    /**
+     * Create the Error instance with a user-supplied message.
+     * @param {string} [message] The description of the error.
+     */
+    constructor(message) {
+      super(message, 'UNPROCESSABLE_ENTITY_ERROR');
+      this.name    = 'UnprocessableEntityError';
+      this.message = message || 'Unprocessable entity.';
+      this.detail  = this.message;
+    }
+  }
+
+  return UnprocessableEntityError;
+}
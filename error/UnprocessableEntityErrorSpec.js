@@ -0,0 +1,23 @@
+describe('UnprocessableEntityError()', function() {
+  'use strict';
+
+  const insulin                  = require('insulin').mock();
+  const UnprocessableEntityError = insulin.get('UnprocessableEntityError');
+
+  it('checks the ctor.', function() {
+    const err = new UnprocessableEntityError('The key has been used.');
+
+    expect(err instanceof Error).toBe(true);
+    expect(err.name).toBe('UnprocessableEntityError');
+    expect(err.code).toBe('UNPROCESSABLE_ENTITY_ERROR');
+    expect(err.message).toBe('The key has been used.');
+    expect(err.detail).toBe('The key has been used.');
+  });
+
+  it('checks the default message.', function() {
+    const err = new UnprocessableEntityError();
+
+    expect(err.message).toBe('Unprocessable entity.');
+    expect(err.detail).toBe('Unprocessable entity.');
+  });
+});
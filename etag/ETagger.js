@@ -0,0 +1,78 @@
+'use strict';
+
+require('insulin').factory('ETagger', ETaggerProducer);
+
+function ETaggerProducer() {
+  const crypto = require('crypto');
+
+  /**
+   * Generates and compares strong entity tags (ETags) for resources.  By
+   * default the tag is a hash of the serialized resource.  If a version
+   * column is configured (e.g. a version number or an updatedOn timestamp)
+   * then only that column is hashed.
+   */
+  class ETagger {
+    /**
+     * Initialize the tagger.
+     * @memberOf ETagger
+     * @param {Object} [options={}] ETag options.
+     * @param {string} [options.versionColumn=null] The mapping of a column
+     *        that changes every time a resource changes.
+     */
+    constructor(options={}) {
+      this.versionColumn = options.versionColumn || null;
+    }
+
+    /**
+     * Generate an ETag for a resource or a list of resources.
+     * @memberOf ETagger
+     * @param {Object|Object[]} resource The resource(s).
+     * @returns {string} A strong ETag (a quoted string).
+     */
+    generate(resource) {
+      let value = resource;
+
+      if (this.versionColumn && resource) {
+        value = Array.isArray(resource) ?
+          resource.map(r => r && r[this.versionColumn]) :
+          resource[this.versionColumn];
+      }
+
+      const hash = crypto
+        .createHash('sha1')
+        .update(JSON.stringify(value === undefined ? null : value))
+        .digest('hex');
+
+      return `"${hash}"`;
+    }
+
+    /**
+     * Check if an ETag matches a conditional header (If-Match or
+     * If-None-Match).  The header can contain a comma-separated list of tags,
+     * or *, which matches any tag.
+     * @memberOf ETagger
+     * @param {string} header The value of the header.
+     * @param {string} etag The ETag to check.
+     * @param {boolean} [weak=false] Whether to use weak comparison (which
+     *        ignores the W/ prefix), as required for If-None-Match.
+     * @returns {boolean} true if the header matches the tag.
+     */
+    matches(header, etag, weak=false) {
+      return String(header)
+        .split(',')
+        .map(tag => tag.trim())
+        .some(tag => {
+          if (tag === '*')
+            return true;
+
+          // Weak tags never match using strong comparison.
+          if (!weak && /^W\//.test(tag))
+            return false;
+
+          return tag.replace(/^W\//, '') === etag.replace(/^W\//, '');
+        });
+    }
+  }
+
+  return ETagger;
+}
@@ -0,0 +1,73 @@
+describe('ETagger()', function() {
+  'use strict';
+
+  const insulin = require('insulin').mock();
+  const ETagger = insulin.get('ETagger');
+
+  beforeEach(function() {
+    insulin.forget();
+  });
+
+  /**
+   * Generate.
+   */
+  describe('.generate()', function() {
+    it('checks that the tag is a quoted hash of the resource.', function() {
+      const tagger = new ETagger();
+      const etag   = tagger.generate({userID: 42, name: 'Joe'});
+
+      expect(etag).toMatch(/^"[0-9a-f]{40}"$/);
+      expect(tagger.generate({userID: 42, name: 'Joe'})).toBe(etag);
+      expect(tagger.generate({userID: 42, name: 'Jack'})).not.toBe(etag);
+    });
+
+    it('checks that lists of resources are tagged.', function() {
+      const tagger = new ETagger();
+
+      expect(tagger.generate([{userID: 1}, {userID: 2}]))
+        .not.toBe(tagger.generate([{userID: 1}]));
+    });
+
+    it('checks that only the version column is hashed if configured.', function() {
+      const tagger = new ETagger({versionColumn: 'version'});
+
+      expect(tagger.generate({userID: 42, name: 'Joe', version: 3}))
+        .toBe(tagger.generate({userID: 42, name: 'Jack', version: 3}));
+      expect(tagger.generate({userID: 42, version: 3}))
+        .not.toBe(tagger.generate({userID: 42, version: 4}));
+      expect(tagger.generate([{version: 3}]))
+        .not.toBe(tagger.generate([{version: 4}]));
+    });
+
+    it('checks that a missing resource can be tagged.', function() {
+      const tagger = new ETagger({versionColumn: 'version'});
+      expect(() => tagger.generate(null)).not.toThrow();
+    });
+  });
+
+  /**
+   * Matches.
+   */
+  describe('.matches()', function() {
+    const tagger = new ETagger();
+    const etag   = '"abc"';
+
+    it('checks that an identical tag matches.', function() {
+      expect(tagger.matches('"abc"', etag)).toBe(true);
+      expect(tagger.matches('"def"', etag)).toBe(false);
+    });
+
+    it('checks that a list of tags is matched.', function() {
+      expect(tagger.matches('"def", "abc"', etag)).toBe(true);
+    });
+
+    it('checks that * matches any tag.', function() {
+      expect(tagger.matches('*', etag)).toBe(true);
+    });
+
+    it('checks that weak tags only match using weak comparison.', function() {
+      expect(tagger.matches('W/"abc"', etag)).toBe(false);
+      expect(tagger.matches('W/"abc"', etag, true)).toBe(true);
+    });
+  });
+});
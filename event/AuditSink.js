@@ -0,0 +1,65 @@
+'use strict';
+
+require('insulin').factory('AuditSink', AuditSinkProducer);
+
+function AuditSinkProducer() {
+  /**
+   * A change event sink (see GenericRouter.addSink) that writes an
+   * append-only audit trail: each event is converted to a row and passed to
+   * the create method of a dao for the audit table.  Rows are never updated
+   * or deleted.
+   */
+  class AuditSink {
+    /**
+     * Initialize the sink.
+     * @memberOf AuditSink
+     * @param {Object} dao A data-access object for the audit table,
+     *        implementing a create method that returns a promise.
+     */
+    constructor(dao) {
+      this.dao = dao;
+    }
+
+    /**
+     * Write an event to the audit table.
+     * @memberOf AuditSink
+     * @param {Object} event The change event.
+     * @returns {Promise} A promise that is resolved with the created row.
+     */
+    write(event) {
+      return this.dao.create(this.toRow(event));
+    }
+
+    /**
+     * Overridable method that converts an event to an audit row, keyed by
+     * column mapping.  By default the row has tableName, operation,
+     * resourceID, before, after, user, requestID, and createdOn properties.
+     * The identifier, snapshots, and user are serialized as JSON (null
+     * values are stored as null).
+     * @memberOf AuditSink
+     * @param {Object} event The change event.
+     * @returns {Object} The row.
+     */
+    toRow(event) {
+      return {
+        tableName:  event.table,
+        operation:  event.operation,
+        resourceID: this._toJSON(event.ID),
+        before:     this._toJSON(event.before),
+        after:      this._toJSON(event.after),
+        user:       this._toJSON(event.request.user),
+        requestID:  event.request.requestID,
+        createdOn:  event.date
+      };
+    }
+
+    /**
+     * Private helper that serializes a value as JSON, or returns null.
+     */
+    _toJSON(value) {
+      return value === null || value === undefined ? null : JSON.stringify(value);
+    }
+  }
+
+  return AuditSink;
+}
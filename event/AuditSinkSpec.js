@@ -0,0 +1,66 @@
+describe('AuditSink()', function() {
+  'use strict';
+
+  const insulin   = require('insulin').mock();
+  const AuditSink = insulin.get('AuditSink');
+  const deferred  = insulin.get('deferred');
+
+  let dao, sink, event;
+
+  beforeEach(function() {
+    insulin.forget();
+
+    dao  = jasmine.createSpyObj('dao', ['create']);
+    sink = new AuditSink(dao);
+
+    event = {
+      table:     'Users',
+      operation: 'update',
+      ID:        42,
+      before:    {userID: 42, name: 'Ben'},
+      after:     {userID: 42, name: 'Benjamin'},
+      request:   {user: {userID: 7}, requestID: 'abc'},
+      date:      new Date(0)
+    };
+  });
+
+  describe('.write()', function() {
+    it('checks that each event is created as a row.', function() {
+      dao.create.and.returnValue(deferred.resolve({auditID: 1}));
+
+      sink.write(event).then(row => expect(row).toEqual({auditID: 1}));
+      expect(dao.create).toHaveBeenCalledWith({
+        tableName:  'Users',
+        operation:  'update',
+        resourceID: '42',
+        before:     '{"userID":42,"name":"Ben"}',
+        after:      '{"userID":42,"name":"Benjamin"}',
+        user:       '{"userID":7}',
+        requestID:  'abc',
+        createdOn:  new Date(0)
+      });
+    });
+
+    it('checks that null values are stored as null.', function() {
+      event.before  = null;
+      event.request = {user: null, requestID: null};
+
+      sink.write(event);
+
+      expect(dao.create.calls.argsFor(0)[0].before).toBeNull();
+      expect(dao.create.calls.argsFor(0)[0].user).toBeNull();
+    });
+
+    it('checks that toRow can be specialized.', function() {
+      class UserAuditSink extends AuditSink {
+        toRow(event) {
+          return Object.assign(super.toRow(event), {user: event.request.user.userID});
+        }
+      }
+
+      new UserAuditSink(dao).write(event);
+
+      expect(dao.create.calls.argsFor(0)[0].user).toBe(7);
+    });
+  });
+});
@@ -0,0 +1,218 @@
+'use strict';
+
+require('insulin').factory('Formatter', FormatterProducer);
+
+function FormatterProducer(NotAcceptableError) {
+  // Supported formats, and the corresponding media types.
+  const MEDIA_TYPES = {
+    json:   'application/json',
+    csv:    'text/csv',
+    ndjson: 'application/x-ndjson'
+  };
+
+  /**
+   * Helper class that negotiates the response format of a request (using
+   * the Accept header or a format query parameter), and serializes resources
+   * as CSV or newline-delimited JSON (NDJSON).  JSON responses are sent using
+   * res.json, so they are not serialized here.
+   */
+  class Formatter {
+    /**
+     * Initialize the formatter.
+     * @memberOf Formatter
+     * @param {ndm.Table} table The table that resources come from.  CSV
+     *        columns are the table's column mappings, in table order.
+     * @param {string[]} [formats=['json', 'csv', 'ndjson']] The formats that
+     *        can be produced, in order of preference.
+     * @param {Object} [options={}] Serialization options.
+     * @param {bool} [options.escapeFormulas=true] Whether or not CSV string
+     *        values that start with =, +, -, @, a tab, or a carriage return
+     *        are prefixed with a single quote, so that spreadsheets don't
+     *        evaluate them as formulas.
+     */
+    constructor(table, formats=['json', 'csv', 'ndjson'], options={}) {
+      this.table          = table;
+      this.formats        = formats;
+      this.escapeFormulas = options.escapeFormulas !== false;
+    }
+
+    /**
+     * Negotiate the format of a response.  A format query parameter (e.g.
+     * format=csv) takes precedence over the Accept header.  If neither is
+     * present then the first format is used.
+     * @memberOf Formatter
+     * @param {Object} req An Express request object.
+     * @returns {string} The name of the format, e.g. csv.
+     * @throws {NotAcceptableError} If none of the accepted formats can be
+     *         produced.
+     */
+    negotiate(req) {
+      const format = (req.query || {}).format;
+      const accept = (req.headers || {}).accept;
+
+      if (format !== undefined) {
+        if (this.formats.indexOf(format) === -1)
+          throw new NotAcceptableError(`Format "${format}" is not supported.`);
+
+        return format;
+      }
+
+      if (!accept)
+        return this.formats[0];
+
+      const ranges = this._parseAccept(accept);
+      let   best   = null;
+      let   bestQ  = 0;
+
+      // The format with the highest quality wins.  Ties go to the first format.
+      this.formats.forEach(format => {
+        const q = this._getQuality(ranges, MEDIA_TYPES[format]);
+
+        if (q > bestQ) {
+          best  = format;
+          bestQ = q;
+        }
+      });
+
+      if (best === null) {
+        throw new NotAcceptableError('None of the accepted types are supported.  ' +
+          `Supported types: ${this.formats.map(format => MEDIA_TYPES[format]).join(', ')}.`);
+      }
+
+      return best;
+    }
+
+    /**
+     * Get the Content-Type header for a format.
+     * @memberOf Formatter
+     * @param {string} format The name of the format.
+     * @returns {string} The content type, including the charset.
+     */
+    getContentType(format) {
+      return `${MEDIA_TYPES[format]}; charset=utf-8`;
+    }
+
+    /**
+     * Get the column mappings that are serialized.
+     * @memberOf Formatter
+     * @param {string[]} [columns] Fully-qualified column names (as returned
+     *        by FieldParser).  If not supplied, every column is used.
+     * @returns {string[]} The column mappings, in table order.
+     */
+    getMappings(columns) {
+      return this.table.columns
+        .filter(col => !columns || columns.indexOf(`${this.table.name}.${col.name}`) !== -1)
+        .map(col => col.mapTo);
+    }
+
+    /**
+     * Serialize a resource or list of resources.
+     * @memberOf Formatter
+     * @param {string} format The name of the format (csv or ndjson).
+     * @param {Object|Object[]} resources The resource(s).
+     * @param {string[]} mappings The column mappings to serialize (see
+     *        getMappings).
+     * @returns {string} The serialized resources.
+     */
+    serialize(format, resources, mappings) {
+      return [].concat(resources === null || resources === undefined ? [] : resources)
+        .reduce((body, resource) => body + this.serializeRow(format, resource, mappings),
+          this.serializeHeader(format, mappings));
+    }
+
+    /**
+     * Serialize the header of a list: a row of column mappings for CSV, and
+     * nothing for NDJSON.
+     * @memberOf Formatter
+     * @param {string} format The name of the format.
+     * @param {string[]} mappings The column mappings to serialize.
+     * @returns {string} The header, including the line terminator.
+     */
+    serializeHeader(format, mappings) {
+      if (format === 'csv')
+        return mappings.map(mapping => this._escapeCSV(mapping)).join(',') + '\r\n';
+
+      return '';
+    }
+
+    /**
+     * Serialize a single resource as a CSV row, or a line of NDJSON.
+     * @memberOf Formatter
+     * @param {string} format The name of the format.
+     * @param {Object} resource The resource.
+     * @param {string[]} mappings The column mappings to serialize.
+     * @returns {string} The row, including the line terminator.
+     */
+    serializeRow(format, resource, mappings) {
+      if (format === 'csv')
+        return mappings.map(mapping => this._escapeCSV(resource[mapping])).join(',') + '\r\n';
+
+      return JSON.stringify(resource) + '\n';
+    }
+
+    /**
+     * Private helper that parses an Accept header into an array of media
+     * ranges, each with a type, subtype, and quality (q).
+     */
+    _parseAccept(accept) {
+      return String(accept)
+        .split(',')
+        .map(range => {
+          const parts = range.split(';').map(part => part.trim());
+          const type  = parts[0].toLowerCase().split('/');
+          const param = parts.slice(1).find(part => /^q=/i.test(part));
+          const q     = param ? Number(param.substring(2)) : 1;
+
+          return {type: type[0], subtype: type[1], q: isNaN(q) ? 0 : q};
+        })
+        .filter(range => range.subtype !== undefined);
+    }
+
+    /**
+     * Private helper that gets the quality of a media type: the q value of
+     * the most specific matching range, or 0 if no range matches.
+     */
+    _getQuality(ranges, mediaType) {
+      const type = mediaType.split('/');
+      let   best = null;
+
+      ranges.forEach(range => {
+        const specificity =
+          range.type === type[0] && range.subtype === type[1] ? 2 :
+          range.type === type[0] && range.subtype === '*'     ? 1 :
+          range.type === '*'     && range.subtype === '*'     ? 0 : -1;
+
+        if (specificity !== -1 && (best === null || specificity > best.specificity))
+          best = {specificity, q: range.q};
+      });
+
+      return best ? best.q : 0;
+    }
+
+    /**
+     * Private helper that escapes a CSV field (RFC 4180).  null and undefined
+     * are empty, dates are ISO 8601, and objects are JSON.  Strings that look
+     * like formulas are prefixed with a quote (see escapeFormulas).
+     */
+    _escapeCSV(value) {
+      if (value === null || value === undefined)
+        return '';
+
+      if (value instanceof Date)
+        value = value.toISOString();
+      else if (typeof value === 'object')
+        value = JSON.stringify(value);
+      else if (typeof value === 'string' && this.escapeFormulas && /^[=+\-@\t\r]/.test(value))
+        value = `'${value}`;
+      else
+        value = String(value);
+
+      if (/[",\r\n]/.test(value))
+        return `"${value.replace(/"/g, '""')}"`;
+
+      return value;
+    }
+  }
+
+  return Formatter;
+}
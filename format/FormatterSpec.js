@@ -0,0 +1,137 @@
+describe('Formatter()', function() {
+  'use strict';
+
+  const insulin   = require('insulin').mock();
+  const Formatter = insulin.get('Formatter');
+  const database  = insulin.get('ndm_testDB');
+  const users     = database.getTableByMapping('users');
+
+  beforeEach(function() {
+    insulin.forget();
+  });
+
+  /**
+   * Negotiate.
+   */
+  describe('.negotiate()', function() {
+    const formatter = new Formatter(users);
+
+    function negotiate(accept, query={}) {
+      return formatter.negotiate({headers: accept ? {accept} : {}, query});
+    }
+
+    it('checks that the first format is used if there is no Accept header.', function() {
+      expect(negotiate()).toBe('json');
+      expect(new Formatter(users, ['csv', 'json']).negotiate({})).toBe('csv');
+    });
+
+    it('checks that exact types are matched.', function() {
+      expect(negotiate('application/json')).toBe('json');
+      expect(negotiate('text/csv')).toBe('csv');
+      expect(negotiate('application/x-ndjson')).toBe('ndjson');
+    });
+
+    it('checks that wildcards are matched.', function() {
+      expect(negotiate('*/*')).toBe('json');
+      expect(negotiate('text/*')).toBe('csv');
+      expect(negotiate('text/html, */*;q=0.8')).toBe('json');
+    });
+
+    it('checks that quality values are honored.', function() {
+      expect(negotiate('application/json;q=0.5, text/csv')).toBe('csv');
+      expect(negotiate('text/csv;q=0, */*')).toBe('json');
+      expect(negotiate('*/*;q=0.1, text/csv;q=0.2')).toBe('csv');
+    });
+
+    it('checks that the format parameter takes precedence.', function() {
+      expect(negotiate('text/csv', {format: 'ndjson'})).toBe('ndjson');
+    });
+
+    it('checks that unsupported types are not acceptable.', function() {
+      ['application/xml', 'text/csv;q=0'].forEach(accept => {
+        try {
+          negotiate(accept);
+          expect(true).toBe(false);
+        }
+        catch (err) {
+          expect(err.name).toBe('NotAcceptableError');
+          expect(err.code).toBe('NOT_ACCEPTABLE_ERROR');
+        }
+      });
+
+      expect(() => negotiate(null, {format: 'xml'}))
+        .toThrowError('Format "xml" is not supported.');
+      expect(() => new Formatter(users, ['json']).negotiate({query: {format: 'csv'}}))
+        .toThrowError('Format "csv" is not supported.');
+    });
+  });
+
+  /**
+   * Mappings.
+   */
+  describe('.getMappings()', function() {
+    it('checks that all mappings are returned by default.', function() {
+      expect(new Formatter(users).getMappings())
+        .toEqual(['createdOn', 'email', 'extUserID', 'lastLogin', 'name', 'userID']);
+    });
+
+    it('checks that the mappings can be narrowed.', function() {
+      expect(new Formatter(users).getMappings(['Users.userID', 'Users.email']))
+        .toEqual(['email', 'userID']);
+    });
+  });
+
+  /**
+   * Serialize.
+   */
+  describe('.serialize()', function() {
+    const formatter = new Formatter(users);
+    const mappings  = ['userID', 'name', 'createdOn'];
+
+    it('checks that CSV has a header row.', function() {
+      expect(formatter.serialize('csv', [], mappings)).toBe('userID,name,createdOn\r\n');
+    });
+
+    it('checks that CSV values are escaped.', function() {
+      const created = new Date(Date.UTC(2016, 0, 2, 3, 4, 5));
+
+      expect(formatter.serialize('csv', [
+        {userID: 1, name: 'Joe, "The Man"', createdOn: created},
+        {userID: 2, name: 'Two\nLines', createdOn: null}
+      ], mappings)).toBe(
+        'userID,name,createdOn\r\n' +
+        '1,"Joe, ""The Man""",2016-01-02T03:04:05.000Z\r\n' +
+        '2,"Two\nLines",\r\n');
+    });
+
+    it('checks that CSV formulas are escaped.', function() {
+      expect(formatter.serialize('csv', [
+        {userID: 1, name: '=HYPERLINK("http://evil.example")', createdOn: '+1'},
+        {userID: -2, name: '-2+3', createdOn: '@SUM(A1)'},
+        {userID: 3, name: '\tTab', createdOn: 'a=b'}
+      ], mappings)).toBe(
+        'userID,name,createdOn\r\n' +
+        '1,"\'=HYPERLINK(""http://evil.example"")",\'+1\r\n' +
+        '-2,\'-2+3,\'@SUM(A1)\r\n' +
+        '3,\'\tTab,a=b\r\n');
+    });
+
+    it('checks that formula escaping can be disabled.', function() {
+      const unescaped = new Formatter(users, undefined, {escapeFormulas: false});
+
+      expect(unescaped.serialize('csv', {userID: 1, name: '=1+1'}, mappings))
+        .toBe('userID,name,createdOn\r\n1,=1+1,\r\n');
+    });
+
+    it('checks that a single resource is serialized as one row.', function() {
+      expect(formatter.serialize('csv', {userID: 1, name: 'Joe'}, mappings))
+        .toBe('userID,name,createdOn\r\n1,Joe,\r\n');
+    });
+
+    it('checks that NDJSON has one resource per line.', function() {
+      expect(formatter.serialize('ndjson', [{userID: 1}, {userID: 2}], mappings))
+        .toBe('{"userID":1}\n{"userID":2}\n');
+      expect(formatter.serialize('ndjson', null, mappings)).toBe('');
+    });
+  });
+});
@@ -0,0 +1,191 @@
+'use strict';
+
+require('insulin').factory('StreamWriter', StreamWriterProducer);
+
+function StreamWriterProducer(deferred) {
+  /**
+   * Helper class that writes a list of resources to a response incrementally,
+   * as the resources are read from a source.  The source is a readable object
+   * stream, or an async iterator.  The response is written with backpressure:
+   * reading is paused until the response drains.  If the client disconnects,
+   * or if the source or transform fails, then the source is stopped
+   * (destroyed, or returned).
+   */
+  class StreamWriter {
+    /**
+     * Initialize the writer.
+     * @memberOf StreamWriter
+     * @param {Formatter} formatter The formatter that is used to serialize
+     *        CSV and NDJSON.
+     */
+    constructor(formatter) {
+      this.formatter = formatter;
+    }
+
+    /**
+     * Check if a value can be streamed: a readable stream, or an async
+     * iterator.
+     * @memberOf StreamWriter
+     * @param {*} source The value to check.
+     * @returns {bool} true if the value can be streamed.
+     */
+    static isStreamable(source) {
+      if (source === null || typeof source !== 'object')
+        return false;
+
+      if (typeof source.on === 'function' && typeof source.pipe === 'function')
+        return true;
+
+      return typeof Symbol.asyncIterator === 'symbol' &&
+        typeof source[Symbol.asyncIterator] === 'function';
+    }
+
+    /**
+     * Write the resources from a source to a response.  The response headers
+     * must already be set.  JSON is written as an array.
+     * @memberOf StreamWriter
+     * @param {Object} source A readable object stream, or an async iterator.
+     * @param {string} format The name of the format (json, csv, or ndjson).
+     * @param {string[]} mappings The column mappings to serialize (CSV).
+     * @param {Object} res An Express response object.
+     * @param {function} [transform] An optional function that is called with
+     *        each resource, and returns an array of resources to write (or a
+     *        promise).
+     * @returns {Promise} A promise that is resolved when the response ends
+     *          (or the client disconnects), or rejected if the source or
+     *          transform fails.
+     */
+    write(source, format, mappings, res, transform=resource => [resource]) {
+      const done     = deferred();
+      let   rows     = 0;
+      let   finished = false;
+      let   failed   = false;
+      let   stop     = null;
+
+      const finish = err => {
+        if (finished)
+          return;
+
+        finished = true;
+
+        if (err) {
+          failed = true;
+
+          // The source can fail before _read returns, in which case it's
+          // stopped below.
+          if (stop)
+            stop();
+
+          done.reject(err);
+          return;
+        }
+
+        res.end(format === 'json' ? ']' : '');
+        done.resolve();
+      };
+
+      // Transform, serialize, and write a resource.  Resolves to false if the
+      // response needs to drain.
+      const writeRow = resource => deferred(null)
+        .then(() => transform(resource))
+        .then(resources => [].concat(resources).reduce((ok, resource) => {
+          let chunk = this._serialize(format, resource, mappings);
+
+          if (format === 'json' && rows > 0)
+            chunk = ',' + chunk;
+
+          ++rows;
+
+          return res.write(chunk) && ok;
+        }, true));
+
+      // Stop reading if the client disconnects.
+      res.on('close', () => {
+        if (!finished) {
+          finished = true;
+          stop();
+          done.resolve();
+        }
+      });
+
+      res.write(format === 'json' ? '[' : this.formatter.serializeHeader(format, mappings));
+      stop = this._read(source, writeRow, res, finish);
+
+      if (failed)
+        stop();
+
+      return done.promise;
+    }
+
+    /**
+     * Private helper that serializes one resource.
+     */
+    _serialize(format, resource, mappings) {
+      if (format === 'json')
+        return JSON.stringify(resource);
+
+      return this.formatter.serializeRow(format, resource, mappings);
+    }
+
+    /**
+     * Private helper that reads each resource from source, calling writeRow,
+     * and then calls finish (with an error, if one occurs).  Returns a
+     * function that stops the source.
+     */
+    _read(source, writeRow, res, finish) {
+      if (typeof source.pipe === 'function') {
+        source.on('data', resource => {
+          source.pause();
+
+          writeRow(resource)
+            .then(ok => ok ? source.resume() : res.once('drain', () => source.resume()))
+            .catch(err => finish(err));
+        });
+
+        source.on('end',   () => finish());
+        source.on('error', err => finish(err));
+
+        return () => {
+          if (typeof source.destroy === 'function')
+            source.destroy();
+          else
+            source.pause();
+        };
+      }
+
+      const iterator = source[Symbol.asyncIterator]();
+      let   stopped  = false;
+
+      // Each step is scheduled separately so that synchronous iterators don't
+      // overflow the stack.
+      const step = () => {
+        if (stopped)
+          return;
+
+        deferred(null)
+          .then(() => iterator.next())
+          .then(next => {
+            if (next.done) {
+              finish();
+              return;
+            }
+
+            return writeRow(next.value)
+              .then(ok => ok ? setImmediate(step) : res.once('drain', step));
+          })
+          .catch(err => finish(err));
+      };
+
+      step();
+
+      return () => {
+        stopped = true;
+
+        if (typeof iterator.return === 'function')
+          iterator.return();
+      };
+    }
+  }
+
+  return StreamWriter;
+}
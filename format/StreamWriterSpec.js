@@ -0,0 +1,250 @@
+describe('StreamWriter()', function() {
+  'use strict';
+
+  const insulin      = require('insulin').mock();
+  const StreamWriter = insulin.get('StreamWriter');
+  const Formatter    = insulin.get('Formatter');
+  const deferred     = insulin.get('deferred');
+  const database     = insulin.get('ndm_testDB');
+  const users        = database.getTableByMapping('users');
+  const stream       = require('stream');
+  const EventEmitter = require('events');
+  const rows         = [{userID: 1, name: 'Joe'}, {userID: 2, name: 'Jack'}];
+
+  let writer, res;
+
+  // Create a readable object stream from an array.
+  function createReadable(resources) {
+    const readable = new stream.Readable({objectMode: true, read() {}});
+
+    resources.forEach(resource => readable.push(resource));
+    readable.push(null);
+
+    return readable;
+  }
+
+  // Create an async iterator from an array.
+  function createIterator(resources) {
+    let i = 0;
+
+    return {
+      [Symbol.asyncIterator]() {
+        return {
+          next:   () => Promise.resolve(i < resources.length ?
+            {done: false, value: resources[i++]} : {done: true}),
+          return: jasmine.createSpy('return')
+        };
+      }
+    };
+  }
+
+  beforeEach(function() {
+    insulin.forget();
+
+    writer = new StreamWriter(new Formatter(users));
+
+    // Fake response that collects the body.
+    res      = new EventEmitter();
+    res.body = '';
+    res.write = jasmine.createSpy('write').and.callFake(chunk => {
+      res.body += chunk;
+      return true;
+    });
+    res.end = jasmine.createSpy('end').and.callFake(chunk => res.body += chunk);
+  });
+
+  /**
+   * Is streamable.
+   */
+  describe('.isStreamable()', function() {
+    it('checks that streams and async iterators can be streamed.', function() {
+      expect(StreamWriter.isStreamable(createReadable([]))).toBe(true);
+      expect(StreamWriter.isStreamable(createIterator([]))).toBe(true);
+    });
+
+    it('checks that other values cannot be streamed.', function() {
+      expect(StreamWriter.isStreamable(rows)).toBe(false);
+      expect(StreamWriter.isStreamable(null)).toBe(false);
+      expect(StreamWriter.isStreamable('abc')).toBe(false);
+    });
+  });
+
+  /**
+   * Write.
+   */
+  describe('.write()', function() {
+    it('checks that a stream is written as a JSON array.', function(done) {
+      writer.write(createReadable(rows), 'json', [], res)
+        .then(() => {
+          expect(JSON.parse(res.body)).toEqual(rows);
+          expect(res.end).toHaveBeenCalled();
+          done();
+        });
+    });
+
+    it('checks that an empty stream is an empty JSON array.', function(done) {
+      writer.write(createReadable([]), 'json', [], res)
+        .then(() => {
+          expect(res.body).toBe('[]');
+          done();
+        });
+    });
+
+    it('checks that an async iterator is written as NDJSON.', function(done) {
+      writer.write(createIterator(rows), 'ndjson', [], res)
+        .then(() => {
+          expect(res.body).toBe('{"userID":1,"name":"Joe"}\n{"userID":2,"name":"Jack"}\n');
+          done();
+        });
+    });
+
+    it('checks that CSV has a header row.', function(done) {
+      writer.write(createReadable(rows), 'csv', ['userID', 'name'], res)
+        .then(() => {
+          expect(res.body).toBe('userID,name\r\n1,Joe\r\n2,Jack\r\n');
+          done();
+        });
+    });
+
+    it('checks that resources are transformed.', function(done) {
+      const transform = user => deferred.resolve(user.userID === 1 ? [] : [{id: user.userID}]);
+
+      writer.write(createIterator(rows), 'json', [], res, transform)
+        .then(() => {
+          expect(res.body).toBe('[{"id":2}]');
+          done();
+        });
+    });
+
+    it('checks that reading waits for the response to drain.', function(done) {
+      const readable = createReadable(rows);
+
+      res.write.and.callFake(chunk => {
+        res.body += chunk;
+        return false;
+      });
+
+      writer.write(readable, 'ndjson', [], res)
+        .then(() => {
+          expect(res.body).toBe('{"userID":1,"name":"Joe"}\n{"userID":2,"name":"Jack"}\n');
+          done();
+        });
+
+      setTimeout(() => {
+        expect(res.body).toBe('{"userID":1,"name":"Joe"}\n');
+        res.emit('drain');
+        setTimeout(() => res.emit('drain'), 10);
+      }, 10);
+    });
+
+    it('checks that the source is stopped if the client disconnects.', function(done) {
+      const readable = new stream.Readable({objectMode: true, read() {}});
+
+      spyOn(readable, 'destroy').and.callThrough();
+      readable.push(rows[0]);
+
+      writer.write(readable, 'json', [], res)
+        .then(() => {
+          expect(readable.destroy).toHaveBeenCalled();
+          expect(res.end).not.toHaveBeenCalled();
+          done();
+        });
+
+      setTimeout(() => res.emit('close'), 10);
+    });
+
+    it('checks that the iterator is returned if the client disconnects.', function(done) {
+      const source   = createIterator(rows);
+      const iterator = source[Symbol.asyncIterator]();
+
+      source[Symbol.asyncIterator] = () => iterator;
+      res.write.and.returnValue(false);
+
+      writer.write(source, 'json', [], res)
+        .then(() => {
+          expect(iterator.return).toHaveBeenCalled();
+          done();
+        });
+
+      setTimeout(() => res.emit('close'), 10);
+    });
+
+    it('checks that source errors reject the promise.', function(done) {
+      const readable = new stream.Readable({objectMode: true, read() {}});
+      const err      = new Error('Connection lost.');
+
+      writer.write(readable, 'json', [], res)
+        .catch(e => {
+          expect(e).toBe(err);
+          expect(res.end).not.toHaveBeenCalled();
+          done();
+        });
+
+      readable.emit('error', err);
+    });
+
+    it('checks that the source is stopped if it fails.', function(done) {
+      const readable = new stream.Readable({objectMode: true, read() {}});
+      const err      = new Error('Connection lost.');
+
+      spyOn(readable, 'destroy').and.callThrough();
+
+      writer.write(readable, 'json', [], res)
+        .catch(e => {
+          expect(e).toBe(err);
+          expect(readable.destroy).toHaveBeenCalled();
+          done();
+        });
+
+      readable.emit('error', err);
+    });
+
+    it('checks that the source is stopped if the transform fails.', function(done) {
+      const readable  = createReadable(rows);
+      const err       = new Error('Hook failed.');
+      const transform = () => deferred.reject(err);
+
+      spyOn(readable, 'destroy').and.callThrough();
+
+      writer.write(readable, 'json', [], res, transform)
+        .catch(e => {
+          expect(e).toBe(err);
+          expect(readable.destroy).toHaveBeenCalled();
+          expect(res.end).not.toHaveBeenCalled();
+          done();
+        });
+    });
+
+    it('checks that the iterator is returned if the transform fails.', function(done) {
+      const source    = createIterator(rows);
+      const iterator  = source[Symbol.asyncIterator]();
+      const err       = new Error('Include failed.');
+      const transform = () => { throw err; };
+
+      source[Symbol.asyncIterator] = () => iterator;
+
+      writer.write(source, 'json', [], res, transform)
+        .catch(e => {
+          expect(e).toBe(err);
+          expect(iterator.return).toHaveBeenCalled();
+          done();
+        });
+    });
+
+    it('checks that the iterator is returned if it fails immediately.', function(done) {
+      const source   = createIterator(rows);
+      const iterator = source[Symbol.asyncIterator]();
+      const err      = new Error('Query failed.');
+
+      iterator.next = () => { throw err; };
+      source[Symbol.asyncIterator] = () => iterator;
+
+      writer.write(source, 'json', [], res)
+        .catch(e => {
+          expect(e).toBe(err);
+          expect(iterator.return).toHaveBeenCalled();
+          done();
+        });
+    });
+  });
+});
@@ -2,7 +2,31 @@
 
 require('insulin').factory('GenericRouter', GenericRouterProducer);
 
-function GenericRouterProducer(NotFoundError, ValidationError) {
+function GenericRouterProducer(NotFoundError, ForbiddenError, ValidationError,
+  ValidationErrorList, PreconditionFailedError, ConflictError,
+  UnprocessableEntityError, Paginator, OrderParser,
+  FieldParser, FilterParser, IncludeParser, AggregateParser, ResourceValidator, ETagger,
+  Formatter, StreamWriter, LRUStore, IdempotencyStore, deferred) {
+  const crypto = require('crypto');
+
+  // Router methods that have before and after hooks.
+  const HOOK_METHODS = [
+    'create', 'retrieve', 'retrieveByID', 'retrieveWhere', 'update', 'delete', 'replace'
+  ];
+
+  // Router methods that are authorized using the policy of another method if
+  // they don't have a policy of their own.  Top-level collections are mounted
+  // as retrieveWhere, so a retrieve policy covers them too.
+  const POLICY_FALLBACKS = {
+    patch:         'update',
+    createMany:    'create',
+    retrieveWhere: 'retrieve'
+  };
+
+  // How often (in milliseconds) to check on a request with the same
+  // Idempotency-Key that is in progress.
+  const IDEMPOTENCY_POLL = 50;
+
   /**
    * A base class for CRUD routers.
    */
@@ -16,11 +40,655 @@ function GenericRouterProducer(NotFoundError, ValidationError) {
      * @param {ndm.Table} table This is the
      *        table that CRUD is performed on.
      * @param {ndm.Table} [parentTable=null]An optional parent table.
+     * @param {Object} [options={}] Router options.
+     * @param {Object} [options.paging={}] Paging options for lists of
+     *        resources.  See Paginator.
+     * @param {Object} [options.filters={}] A whitelist of columns and
+     *        operators that can be used to filter retrieveWhere using query
+     *        parameters.  See FilterParser.
+     * @param {boolean} [options.validate=true] Whether or not to validate
+     *        request bodies against the table before calling the dao.  See
+     *        ResourceValidator.
+     * @param {Object} [options.bulk={}] Options for bulk operations.
+     * @param {boolean} [options.bulk.atomic=false] If true, bulk operations
+     *        are all-or-nothing: they run in a single dao transaction, and any
+     *        failure fails the entire request.
+     * @param {Object|boolean} [options.etag={}] ETag options (see ETagger),
+     *        or false to disable ETags and conditional requests.
+     * @param {Object} [options.policies={}] Authorization policies, keyed by
+     *        router method name (e.g. delete, or createMany).  Each policy is
+     *        either an allow function, or an object with allow and/or deny
+     *        functions.  The functions are called with the request and, for
+     *        item routes (retrieveByID, update, patch, delete, restore, and
+     *        purge), the stored resource, and return a boolean (or a
+     *        promise).  If a request is not allowed, or is denied, next is
+     *        called with a ForbiddenError before the dao is called.  patch,
+     *        createMany, and retrieveWhere fall back to the update, create,
+     *        and retrieve policies, and each item of updateMany and
+     *        deleteMany is also checked against the update and delete
+     *        policies.
+     * @param {string[]} [options.formats=['json', 'csv', 'ndjson']] The
+     *        formats that retrieve, retrieveWhere, and retrieveByID can
+     *        respond with, in order of preference.  See Formatter.
+     * @param {Object} [options.csv={}] CSV options, e.g. {escapeFormulas:
+     *        false} to disable formula escaping.  See Formatter.
+     * @param {Object} [options.hooks={}] Lifecycle hooks, keyed by hook name
+     *        (e.g. beforeCreate).  Each value is a hook function or an array
+     *        of hook functions.  See addHook.
+     * @param {Object} [options.relations={}] Relations that can be included
+     *        in retrieved resources, keyed by name (e.g. usersCourses).  Each
+     *        value is the GenericRouter of the related table.  See
+     *        addRelation.
+     * @param {Object} [options.include={}] Include options.
+     * @param {number} [options.include.maxDepth=1] The maximum nesting depth
+     *        of included relations (e.g. 2 allows usersCourses.rounds).
+     * @param {Object} [options.softDelete=null] Soft delete options.  If set,
+     *        delete (and deleteMany) marks resources as deleted instead of
+     *        removing them, deleted resources are excluded from retrieve,
+     *        retrieveByID, and retrieveWhere, and the retrieveDeleted,
+     *        restore, and purge methods are available.
+     * @param {string} options.softDelete.column The mapping of the column
+     *        that holds the deletion date (e.g. deletedOn), which is null for
+     *        resources that are not deleted.
+     * @param {Object[]} [options.sinks=[]] Sinks that receive a change event
+     *        after each successful mutation.  See addSink.
+     * @param {Object} [options.cache=null] Read-through cache options.  If
+     *        set, the results of the dao's retrieve, retrieveByID, and count
+     *        methods are cached, keyed by table, dao method, and arguments
+     *        (the parent ID or identifier, where, params, and query options).
+     *        Every entry of the table, and of the parent table, is
+     *        invalidated after each successful mutation.
+     * @param {Object} [options.cache.store=new LRUStore()] The cache store.
+     *        Routers of related tables should share a store, so that parent
+     *        entries are invalidated.  See LRUStore for the interface.
+     * @param {number|Object} [options.cache.ttl=60] The time to live of
+     *        entries, in seconds, or an object keyed by router method
+     *        (retrieve, retrieveByID, and retrieveWhere).  Methods without a
+     *        TTL are not cached.
+     * @param {Object} [options.idempotency=null] Idempotency options.  If
+     *        set, create and replace honor an Idempotency-Key header: the
+     *        first response is stored against the key and a fingerprint of
+     *        the request, and retries with the same key are sent the stored
+     *        response.  See _sendIdempotent.
+     * @param {Object} [options.idempotency.store=new IdempotencyStore()] The
+     *        store of responses.  See IdempotencyStore for the interface.
+     * @param {number} [options.idempotency.ttl=86400] The time to live of
+     *        stored responses, in seconds.
+     * @param {number} [options.idempotency.wait=0] How long (in
+     *        milliseconds) a request waits for a request with the same key
+     *        that is in progress before failing with a ConflictError.
+     * @param {Object} [options.aggregates=null] A whitelist of the columns
+     *        that can be grouped by and aggregated.  If set, the aggregate
+     *        method is available.  See AggregateParser.
+     */
+    constructor(dao, table, parentTable=null, options={}) {
+      if (options.softDelete && !table.isColumnMapping(options.softDelete.column))
+        throw new Error(`Soft delete column ${options.softDelete.column} is not in ${table.name}.`);
+
+      this.dao             = dao;
+      this.table           = table;
+      this.parentTable     = parentTable;
+      this.config          = options;
+      this.paginator       = new Paginator(table, options.paging);
+      this.orderParser     = new OrderParser(table);
+      this.fieldParser     = new FieldParser(table);
+      this.filterParser    = new FilterParser(table, options.filters);
+      this.validator       = new ResourceValidator(table);
+      this.etagger         = options.etag === false ? null : new ETagger(options.etag);
+      this.formatter       = new Formatter(table, options.formats, options.csv);
+      this.streamWriter    = new StreamWriter(this.formatter);
+      this.hooks           = {};
+      this.relations       = {};
+      this.includeParser   = new IncludeParser(this.relations, (options.include || {}).maxDepth);
+      this.aggregateParser = options.aggregates ?
+        new AggregateParser(table, options.aggregates) : null;
+      this.softDelete      = options.softDelete ?
+        table.getColumnByMapping(options.softDelete.column) : null;
+      this.sinks           = [];
+      this.cache           = options.cache ? {
+        store: options.cache.store || new LRUStore(),
+        ttl:   options.cache.ttl === undefined ? 60 : options.cache.ttl
+      } : null;
+      this.idempotency     = options.idempotency ? {
+        store: options.idempotency.store || new IdempotencyStore(),
+        ttl:   options.idempotency.ttl  || 86400,
+        wait:  options.idempotency.wait || 0
+      } : null;
+
+      Object.keys(options.hooks || {}).forEach(name =>
+        [].concat(options.hooks[name]).forEach(hook => this.addHook(name, hook)));
+
+      Object.keys(options.relations || {}).forEach(name =>
+        this.addRelation(name, options.relations[name]));
+
+      (options.sinks || []).forEach(sink => this.addSink(sink));
+    }
+
+    /**
+     * Register a lifecycle hook.  Hooks are named before<Method> or
+     * after<Method>, where method is create, retrieve, retrieveByID,
+     * retrieveWhere, update, delete, or replace (e.g. beforeCreate, or
+     * afterRetrieve).  Hooks are called with a payload and the request, and
+     * can return a replacement payload, or a promise that resolves to one.  If
+     * a hook returns undefined then the payload is unchanged, and if a hook
+     * throws or rejects then the request is aborted and next is called with
+     * the error.  Hooks with the same name are run in the order that they are
+     * registered.
+     *
+     * Before hooks are run after validation and authorization, immediately
+     * before the dao is called, and receive the dao's input: the resource
+     * (create and update), the array of resources (replace), the identifier
+     * (retrieveByID), the primary key object (delete), the parent ID
+     * (retrieve), or an object with where and params properties
+     * (retrieveWhere).  After hooks receive the dao's result before it is
+     * sent.  patch runs the update hooks with the merged resource.
+     * @memberOf GenericRouter
+     * @param {string} name The name of the hook, e.g. beforeCreate.
+     * @param {function} hook The hook function.
+     * @returns {GenericRouter} this, for chaining.
+     * @throws {Error} If the hook name is not valid.
+     */
+    addHook(name, hook) {
+      const match = name.match(/^(before|after)(\w+)$/);
+      const valid = match && HOOK_METHODS.some(method =>
+        method[0].toUpperCase() + method.substring(1) === match[2]);
+
+      if (!valid)
+        throw new Error(`Invalid hook name: ${name}.`);
+
+      if (typeof hook !== 'function')
+        throw new Error(`Hook ${name} must be a function.`);
+
+      (this.hooks[name] = this.hooks[name] || []).push(hook);
+
+      return this;
+    }
+
+    /**
+     * Declare a relation that can be included in retrieved resources using an
+     * include query parameter, e.g. include=usersCourses.  The relation is
+     * joined using a foreign key from the ndm schema: if the related table
+     * references this table, each resource includes an array of related
+     * resources, and if this table references the related table, each
+     * resource includes a single related resource (or null).  Related
+     * resources are retrieved using the related router's dao (retrieve,
+     * with where and params arguments, even if the related router is a
+     * sub-resource router whose dao is otherwise called with a parent ID) and
+     * are subject to the policy of the method that serves the related list:
+     * retrieve for sub-resource routers, otherwise retrieveWhere.  Relations
+     * of the related router can be nested, e.g.
+     * include=usersCourses.rounds, up to the include.maxDepth option.
+     * @memberOf GenericRouter
+     * @param {string} name The name of the relation, which is the property
+     *        that related resources are included in.
+     * @param {GenericRouter} router The router of the related table.
+     * @returns {GenericRouter} this, for chaining.
+     * @throws {Error} If the tables are not related by a foreign key.
+     */
+    addRelation(name, router) {
+      if (!this._getJoin(router))
+        throw new Error(`Relation ${name}: ${this.table.name} and ${router.table.name} are not related.`);
+
+      this.relations[name] = router;
+
+      return this;
+    }
+
+    /**
+     * Register a sink for change events.  After each successful mutation
+     * (create, update, patch, delete, replace, restore, purge, and each item
+     * of a bulk operation), the sink's write method is called with an event
+     * object that has the following properties: table (the table name),
+     * operation (create, update, delete, replace, restore, or purge), ID
+     * (the resource identifier, or the parent ID for replace), before (the
+     * stored resource, or null), after (the dao's result), request (see
+     * getEventMetadata), and date.  Before snapshots are only available if
+     * the dao has a retrieveByID method, and are null for replace and bulk
+     * operations.  write can return a promise; the response does not wait
+     * for it, and errors are passed to onSinkError.
+     * @memberOf GenericRouter
+     * @param {Object} sink An object with a write method.  See AuditSink.
+     * @returns {GenericRouter} this, for chaining.
+     * @throws {Error} If the sink does not have a write method.
+     */
+    addSink(sink) {
+      if (!sink || typeof sink.write !== 'function')
+        throw new Error('Sink must have a write method.');
+
+      this.sinks.push(sink);
+
+      return this;
+    }
+
+    /**
+     * Overridable method that gets the request metadata of a change event.
+     * By default the metadata has a user property (req.user, or null), and
+     * a requestID property (req.id, the X-Request-ID header, or null).
+     * @memberOf GenericRouter
+     * @param {Object} req An Express request object.
+     * @returns {Object} The request metadata.
+     */
+    getEventMetadata(req) {
+      return {
+        user:      req.user === undefined ? null : req.user,
+        requestID: req.id || this._getHeader(req, 'X-Request-ID') || null
+      };
+    }
+
+    /**
+     * Overridable method that gets the scope of a request's Idempotency-Key:
+     * keys are only shared by requests with the same scope, so that one
+     * requester can't be replayed another's response.  By default the scope
+     * is the user (req.user, serialized as JSON), or null if there is no
+     * user.
+     * @memberOf GenericRouter
+     * @param {Object} req An Express request object.
+     * @returns {string} The scope, or null if keys are not scoped.
+     */
+    getIdempotencyScope(req) {
+      return req.user === undefined || req.user === null ?
+        null : JSON.stringify(req.user);
+    }
+
+    /**
+     * Overridable method that is called when a sink fails to write an event.
+     * The request has already succeeded, so by default the error is logged.
+     * @memberOf GenericRouter
+     * @param {Error} err The error object.
+     * @param {Object} event The change event.
+     * @returns {void}
+     */
+    onSinkError(err, event) {
+      console.error(`Failed to write ${event.operation} event for ${event.table}.`);
+      console.error(err.stack);
+    }
+
+    /**
+     * Private helper that is called after each successful mutation: the
+     * cache is invalidated, and a change event is sent to each sink.  If ID
+     * is null, it's taken from the primary key of the after (or before)
+     * resource.  Returns a promise that is resolved with after once the cache
+     * is invalidated.  In a batch (see BatchRouter), req has an afterCommit
+     * array, and this is deferred until the transaction is committed.
+     */
+    _afterMutation(operation, ID, before, after, req) {
+      if (req.afterCommit) {
+        req.afterCommit.push(() => this._afterMutation(operation, ID, before, after,
+          Object.assign({}, req, {afterCommit: null})));
+
+        return deferred(after);
+      }
+
+      if (!this.sinks.length)
+        return this._invalidate().then(() => after);
+
+      const event = {
+        table:   this.table.name,
+        operation,
+        ID:      ID === null ? this._getResourceID(after || before) : ID,
+        before:  before || null,
+        after:   after === undefined ? null : after,
+        request: this.getEventMetadata(req),
+        date:    new Date()
+      };
+
+      this.sinks.forEach(sink => deferred(null)
+        .then(() => sink.write(event))
+        .catch(err => this.onSinkError(err, event)));
+
+      return this._invalidate().then(() => after);
+    }
+
+    /**
+     * Private helper that runs work (a function that returns a promise of a
+     * resource, or list of resources) and sends the result with status.  If
+     * idempotency is enabled and the request has an Idempotency-Key header,
+     * the key is reserved first, and the response is stored against it once
+     * it's sent.  A retry with the same key and request (params and body) is
+     * sent the stored response with an Idempotent-Replayed header, and work
+     * is not run.  Keys are scoped to the requester (see
+     * getIdempotencyScope).  If the first request is still in progress, a retry waits
+     * for it (see the wait option), then fails with a ConflictError.
+     * Reusing a key with a different request fails with an
+     * UnprocessableEntityError.  Keys are released if work fails, so the
+     * request can be retried.  Operations in a batch (see BatchRouter) are
+     * not idempotent, because their responses aren't final until the
+     * transaction is committed.
+     */
+    _sendIdempotent(method, status, work, req, res) {
+      const key = this._getHeader(req, 'Idempotency-Key');
+
+      if (!this.idempotency || key === undefined || req.afterCommit) {
+        return work()
+          .then(body => res.status(status).json(body));
+      }
+
+      if (typeof key !== 'string' || key === '' || key.length > 255) {
+        return deferred.reject(new ValidationError(
+          '"Idempotency-Key" must be a string of 1 to 255 characters.',
+          'VAL_IDEMPOTENCY_KEY', 'Idempotency-Key'));
+      }
+
+      const store       = this.idempotency.store;
+      const ttl         = this.idempotency.ttl;
+      const scope       = this.getIdempotencyScope(req);
+      const storeKey    = scope === null ? `${this.table.name}:${method}:${key}` :
+        `${this.table.name}:${method}:${this._hash(scope)}:${key}`;
+      const fingerprint = this._hash(JSON.stringify({params: req.params || {}, body: req.body}));
+
+      return this._reserveIdempotencyKey(storeKey, fingerprint, Date.now() + this.idempotency.wait)
+        .then(stored => {
+          if (stored) {
+            res.set('Idempotent-Replayed', 'true');
+            res.status(stored.status).json(stored.body);
+            return;
+          }
+
+          return work()
+            .catch(err => deferred(null)
+              .then(() => store.release(storeKey))
+              .then(() => {
+                throw err;
+              }))
+            .then(body => deferred(store.complete(storeKey, {status, body}, ttl))
+              .then(() => res.status(status).json(body)));
+        });
+    }
+
+    /**
+     * Private helper that hashes a string (SHA-256, hex).
+     */
+    _hash(str) {
+      return crypto.createHash('sha256').update(str).digest('hex');
+    }
+
+    /**
+     * Private helper that reserves an idempotency key.  Returns a promise
+     * that is resolved with null if the key is reserved, or with the stored
+     * response (status and body) of an earlier request with the key.  A
+     * request that is in progress is polled until the deadline.
+     */
+    _reserveIdempotencyKey(key, fingerprint, deadline) {
+      return deferred(null)
+        .then(() => this.idempotency.store.reserve(key, fingerprint, this.idempotency.ttl))
+        .then(entry => {
+          if (!entry)
+            return null;
+
+          if (entry.fingerprint !== fingerprint) {
+            throw new UnprocessableEntityError(
+              'The Idempotency-Key has been used with a different request.');
+          }
+
+          if (entry.response)
+            return entry.response;
+
+          if (Date.now() >= deadline) {
+            throw new ConflictError(
+              'A request with the same Idempotency-Key is in progress.');
+          }
+
+          const wait = deferred();
+
+          setTimeout(() => this._reserveIdempotencyKey(key, fingerprint, deadline)
+            .then(wait.resolve, wait.reject), IDEMPOTENCY_POLL);
+
+          return wait.promise;
+        });
+    }
+
+    /**
+     * Private helper that gets the cache TTL of a router method, or 0 if the
+     * method's results are not cached.
+     */
+    _getTTL(method) {
+      if (!this.cache)
+        return 0;
+
+      if (typeof this.cache.ttl === 'number')
+        return this.cache.ttl;
+
+      return this.cache.ttl[method] || 0;
+    }
+
+    /**
+     * Private helper that calls a dao method (daoMethod) with args through
+     * the cache, if the router method's results are cached.  Streams are not
+     * cached.  Returns a promise that is resolved with the result, which is
+     * copied so that cached resources can't be modified (e.g. by hooks).
+     */
+    _cached(method, daoMethod, args, dao=this.dao) {
+      const ttl   = this._getTTL(method);
+      const fetch = () => deferred(null)
+        .then(() => dao[daoMethod].apply(dao, args));
+
+      if (!ttl)
+        return fetch();
+
+      const store = this.cache.store;
+      const key   = `${this.table.name}:${daoMethod}:${JSON.stringify(args)}`;
+      const copy  = value => Array.isArray(value) ? value.map(copy) :
+        value !== null && typeof value === 'object' ? Object.assign({}, value) : value;
+
+      return deferred(null)
+        .then(() => store.get(key))
+        .then(cached => {
+          if (cached !== undefined)
+            return copy(cached);
+
+          return fetch()
+            .then(value => {
+              if (value === undefined || StreamWriter.isStreamable(value))
+                return value;
+
+              return deferred(store.set(key, value, ttl))
+                .then(() => copy(value));
+            });
+        });
+    }
+
+    /**
+     * Private helper that invalidates the cache entries of the table and the
+     * parent table.  Returns a promise.
+     */
+    _invalidate() {
+      if (!this.cache)
+        return deferred(null);
+
+      const tables = [this.table].concat(this.parentTable || []);
+
+      return deferred.map(tables, table => this.cache.store.clear(`${table.name}:`));
+    }
+
+    /**
+     * Private helper that gets the identifier of a resource (see _getID), or
+     * null if the resource is missing part of the primary key.
+     */
+    _getResourceID(resource) {
+      if (!resource || typeof resource !== 'object' ||
+        this.table.primaryKey.some(col => resource[col.mapTo] === undefined)) {
+        return null;
+      }
+
+      return this._getID(this.table, resource);
+    }
+
+    /**
+     * Private helper that gets the join between this table and the table of a
+     * related router.  Returns an object with a many property (true if there
+     * are many related resources per resource), the mapping of the local
+     * column, and the foreign column; or null if the tables are not related.
+     */
+    _getJoin(router) {
+      const child = router.table.foreignKeys
+        .find(fk => fk.references.table === this.table.name);
+
+      if (child) {
+        return {
+          many:    true,
+          local:   this.table.getColumnByName(child.references.column).mapTo,
+          foreign: router.table.getColumnByName(child.column)
+        };
+      }
+
+      const parent = this.table.foreignKeys
+        .find(fk => fk.references.table === router.table.name);
+
+      if (parent) {
+        return {
+          many:    false,
+          local:   this.table.getColumnByName(parent.column).mapTo,
+          foreign: router.table.getColumnByName(parent.references.column)
+        };
+      }
+
+      return null;
+    }
+
+    /**
+     * Private helper that adds the relations in an include tree (see
+     * IncludeParser) to a resource or list of resources.  Returns a promise
+     * that is resolved with copies of the resources.  Each relation is
+     * retrieved with a single query, regardless of the number of resources.
+     */
+    _include(resources, include, req) {
+      if (!include || resources === null || resources === undefined)
+        return deferred(resources);
+
+      const single = !Array.isArray(resources);
+      const list   = [].concat(resources).map(resource => Object.assign({}, resource));
+
+      return Object.keys(include)
+        .reduce((promise, name) => promise
+          .then(() => this._includeRelation(name, include[name], list, req)),
+          deferred(null))
+        .then(() => single ? list[0] : list);
+    }
+
+    /**
+     * Private helper that retrieves the related resources of a single
+     * relation (including any nested relations), and adds them to each
+     * resource in list.  Soft-deleted related resources are excluded.  The
+     * request is authorized with the policy of the related router's list
+     * method (see addRelation).
      */
-    constructor(dao, table, parentTable=null) {
-      this.dao         = dao;
-      this.table       = table;
-      this.parentTable = parentTable;
+    _includeRelation(name, include, list, req) {
+      const related = this.relations[name];
+      const method  = related.parentTable ? 'retrieve' : 'retrieveWhere';
+      const join    = this._getJoin(related);
+      const column  = `${related.table.name}.${join.foreign.name}`;
+      const params  = {};
+      const values  = list
+        .map(resource => resource[join.local])
+        .filter((value, i, values) => value !== null && value !== undefined &&
+          values.findIndex(v => String(v) === String(value)) === i);
+
+      const cond    = {
+        $in: {
+          [column]: values.map((value, i) => {
+            params[`include_${name}_${i}`] = value;
+            return `:include_${name}_${i}`;
+          })
+        }
+      };
+
+      // Soft-deleted resources are never included.
+      const where    = related.softDelete ?
+        {$and: [cond, related._getDeletedCondition(false)]} : cond;
+      const retrieve = () => related._cached(method, 'retrieve', [where, params]);
+
+      const fetch = values.length === 0 ? deferred([]) :
+        related._authorize(method, req)
+          .then(retrieve)
+          .then(rows => related._include(rows, include, req));
+
+      return fetch.then(rows => list.forEach(resource => {
+        const matches = rows.filter(row =>
+          String(row[join.foreign.mapTo]) === String(resource[join.local]));
+
+        resource[name] = join.many ? matches : (matches[0] || null);
+      }));
+    }
+
+    /**
+     * Private helper that adds the local join columns of included relations
+     * to a sparse fieldset, so that related resources can be matched.
+     */
+    _selectJoinColumns(queryOpts, include) {
+      if (!include || !queryOpts || !queryOpts.columns)
+        return;
+
+      Object.keys(include).forEach(name => {
+        const local = this.table.getColumnByMapping(this._getJoin(this.relations[name]).local);
+
+        this._select(queryOpts, local);
+      });
+    }
+
+    /**
+     * Private helper that adds a column to a sparse fieldset, if the query
+     * options narrow the selected columns.
+     */
+    _select(queryOpts, col) {
+      const column = `${this.table.name}.${col.name}`;
+
+      if (queryOpts && queryOpts.columns && queryOpts.columns.indexOf(column) === -1)
+        queryOpts.columns.push(column);
+    }
+
+    /**
+     * Private helper that checks if a resource is soft deleted.
+     */
+    _isDeleted(resource) {
+      if (this.softDelete === null)
+        return false;
+
+      return resource[this.softDelete.mapTo] !== null &&
+        resource[this.softDelete.mapTo] !== undefined;
+    }
+
+    /**
+     * Private helper that gets a condition that matches soft-deleted
+     * resources (if deleted is true) or resources that are not deleted.
+     */
+    _getDeletedCondition(deleted) {
+      const column = `${this.table.name}.${this.softDelete.name}`;
+
+      return deleted ? {$isnt: {[column]: null}} : {$is: {[column]: null}};
+    }
+
+    /**
+     * Private helper that soft deletes the resource identified by key using
+     * dao (which may be bound to a transaction) by setting the soft delete
+     * column to the current date.  The stored resource is retrieved unless
+     * it's supplied.  Returns a promise that is resolved with the updated
+     * resource, or rejected with a NotFoundError if the resource does not
+     * exist or is already deleted.
+     */
+    _softDelete(dao, key, stored) {
+      const retrieve = stored ? deferred(stored) : dao.retrieveByID(this._getID(this.table, key));
+
+      return retrieve
+        .then(stored => {
+          if (!stored || this._isDeleted(stored))
+            throw new NotFoundError('Resource not found.');
+
+          return dao.update(Object.assign({}, stored, key,
+            {[this.softDelete.mapTo]: new Date()}));
+        });
+    }
+
+    /**
+     * Private helper that runs the before or after (when) hooks for a method,
+     * in order.  Returns a promise that is resolved with the final payload.
+     */
+    _runHooks(when, method, payload, req) {
+      const name = when + method[0].toUpperCase() + method.substring(1);
+
+      return (this.hooks[name] || []).reduce((promise, hook) => promise
+        .then(payload => deferred(hook(payload, req))
+          .then(result => result === undefined ? payload : result)),
+        deferred(payload));
     }
 
     /**
@@ -36,6 +704,453 @@ function GenericRouterProducer(NotFoundError, ValidationError) {
       return false;
     }
 
+    /**
+     * Private helper that pulls each part of a table's primary key out of
+     * params.  A ValidationError is thrown if any part is missing.
+     * @returns {Object} An object keyed by primary key mapping.
+     */
+    _getKey(table, params) {
+      const key = {};
+
+      table.primaryKey.forEach(col => {
+        if (params[col.mapTo] === undefined) {
+          throw new ValidationError(`"${col.mapTo}" is required in params.`,
+            'VAL_MISSING_ID', col.mapTo);
+        }
+
+        key[col.mapTo] = params[col.mapTo];
+      });
+
+      return key;
+    }
+
+    /**
+     * Private helper that gets the identifier of a table from params.  For
+     * single-column keys this is the value itself; composite keys are
+     * returned as an object (see _getKey).
+     */
+    _getID(table, params) {
+      const key = this._getKey(table, params);
+
+      if (table.primaryKey.length === 1)
+        return key[table.primaryKey[0].mapTo];
+
+      return key;
+    }
+
+    /**
+     * Private helper that applies a key (see _getKey) to a copy of a resource.
+     * Key parts that are in the resource must match the key, otherwise a
+     * ValidationError is thrown.
+     */
+    _applyKey(key, resource) {
+      const keyed = Object.assign({}, resource);
+
+      Object.keys(key).forEach(mapping => {
+        if (keyed[mapping] === undefined)
+          keyed[mapping] = key[mapping];
+        else if (String(keyed[mapping]) !== String(key[mapping])) {
+          throw new ValidationError(
+            `"${mapping}" in the body does not match the identifier in params.`,
+            'VAL_ID_MISMATCH', mapping);
+        }
+      });
+
+      return keyed;
+    }
+
+    /**
+     * Private helper that pulls the parent's key out of params for a
+     * sub-resource router, keyed by the mappings of the foreign key columns
+     * that reference the parent table.  A ValidationError is thrown if any
+     * part is missing.  The object is empty if there is no parent table.
+     */
+    _getParentKey(params) {
+      const key = {};
+
+      if (!this.parentTable)
+        return key;
+
+      this.table.foreignKeys
+        .filter(fk => fk.references.table === this.parentTable.name)
+        .forEach(fk => {
+          const param = this.parentTable.getColumnByName(fk.references.column).mapTo;
+
+          if (params[param] === undefined) {
+            throw new ValidationError(`"${param}" is required in params.`,
+              'VAL_MISSING_ID', param);
+          }
+
+          key[this.table.getColumnByName(fk.column).mapTo] = params[param];
+        });
+
+      return key;
+    }
+
+    /**
+     * Private helper that checks if a stored resource belongs to the parent
+     * identified in params (see _getParentKey).
+     */
+    _isChild(resource, params) {
+      const key = this._getParentKey(params);
+
+      return Object.keys(key).every(mapping =>
+        resource[mapping] !== undefined && resource[mapping] !== null &&
+        String(resource[mapping]) === String(key[mapping]));
+    }
+
+    /**
+     * Private helper that applies the parent key (see _getParentKey) and key
+     * to a copy of a resource in a request body (see _applyKey).  Bodies that
+     * are not objects are returned as is, and fail validation.
+     */
+    _keyBody(key, body, params) {
+      if (body === null || typeof body !== 'object' || Array.isArray(body))
+        return body;
+
+      return this._applyKey(Object.assign(this._getParentKey(params), key), body);
+    }
+
+    /**
+     * Private helper that parses the query options for a single resource
+     * (a sparse fieldset) from the query string.  A ValidationError is thrown
+     * if any option is invalid.
+     * @returns {Object} An object containing a columns property if the
+     *          resource is narrowed to specific columns, or null if there are
+     *          no query options.
+     */
+    _getResourceQueryOptions(req) {
+      const columns = this.fieldParser.parse(req.query);
+
+      return columns ? {columns} : null;
+    }
+
+    /**
+     * Private helper that parses the query options for a list of resources
+     * (paging, ordering, and a sparse fieldset) from the query string.  A
+     * ValidationError is thrown if any option is invalid.
+     * @returns {Object} An object containing limit, offset, and after
+     *          properties if the list is paged, an order property if the
+     *          list is ordered, and a columns property if the resources are
+     *          narrowed to specific columns, or null if there are no query
+     *          options.
+     */
+    _getQueryOptions(req) {
+      const queryOpts = Object.assign({},
+        this.paginator.parse(req.query), this._getResourceQueryOptions(req));
+      const order     = this.orderParser.parse(req.query);
+
+      if (order) {
+        // Cursors are keyed on the primary key, so the list must be in
+        // primary key order.
+        if (req.query.cursor !== undefined) {
+          throw new ValidationError('"cursor" cannot be combined with "order".',
+            'VAL_CURSOR', 'cursor');
+        }
+
+        queryOpts.order = order;
+      }
+
+      return Object.keys(queryOpts).length ? queryOpts : null;
+    }
+
+    /**
+     * Private helper that authorizes the request (see _authorize), runs the
+     * before hooks on input, and then retrieves a list of resources and sends
+     * it.  toArgs converts the (hooked) input to the dao's arguments.  The
+     * query options, if any, are passed to the dao after the arguments.  If
+     * the list is paged then paging headers are set, including a total count
+     * if the dao has a count method (which is called with the arguments,
+     * and, for soft-deleted sub-resources, an object with the deleted flag
+     * of the query options).  Sub-resources that don't match the deleted
+     * flag are removed from the list, should the dao return any.
+     * If the dao returns a stream (or async iterator), the list is streamed
+     * (see _sendStream).  Relations in the include tree, if any, are added
+     * before the after hooks are run (see _include).
+     */
+    _sendList(method, input, toArgs, queryOpts, include, req, res, next) {
+      const paged   = queryOpts !== null && queryOpts.offset !== undefined;
+      const counted = paged && this.hasMethod('count');
+
+      this._authorize(method, req)
+        .then(() => this._runHooks('before', method, input, req))
+        .then(input => {
+          const args    = toArgs(input);
+          const daoArgs = queryOpts ? args.concat(queryOpts) : args;
+
+          const cntArgs = queryOpts !== null && queryOpts.deleted !== undefined ?
+            args.concat({deleted: queryOpts.deleted}) : args;
+
+          return deferred(
+            this._cached(method, 'retrieve', daoArgs),
+            counted ? this._cached(method, 'count', cntArgs) : undefined);
+        })
+        .then(([resources, total]) => {
+          if (StreamWriter.isStreamable(resources))
+            return this._sendStream(method, resources, total, queryOpts, include, req, res);
+
+          if (queryOpts !== null && queryOpts.deleted !== undefined) {
+            resources = resources.filter(resource =>
+              this._isDeleted(resource) === queryOpts.deleted);
+          }
+
+          return this._include(resources, include, req)
+            .then(resources => this._runHooks('after', method, resources, req))
+            .then(resources => {
+              if (paged)
+                this.paginator.setHeaders(req, res, queryOpts, resources, total);
+
+              this._sendTagged(resources, req, res, queryOpts);
+            });
+        })
+        .catch(next);
+    }
+
+    /**
+     * Private helper that streams a list of resources from a source (a
+     * readable object stream or an async iterator) in the negotiated format,
+     * without buffering the list.  The after hooks are run on each resource
+     * (as an array of one).  Included relations are retrieved per resource.
+     * Streamed lists have no ETag, and the only paging header is the total
+     * count.  Returns a promise (see StreamWriter.write).
+     */
+    _sendStream(method, source, total, queryOpts, include, req, res) {
+      const format   = this.formatter.negotiate(req);
+      const mappings = this.formatter.getMappings(queryOpts ? queryOpts.columns : undefined);
+
+      if (total !== undefined)
+        res.set('X-Total-Count', String(total));
+
+      if (this.formatter.formats.length > 1)
+        res.set('Vary', 'Accept');
+
+      res.set('Content-Type', this.formatter.getContentType(format));
+
+      return this.streamWriter.write(source, format, mappings, res,
+        resource => this._include(resource, include, req)
+          .then(resource => this._runHooks('after', method, [resource], req)));
+    }
+
+    /**
+     * Private helper that gets a request header by name.
+     */
+    _getHeader(req, name) {
+      return (req.headers || {})[name.toLowerCase()];
+    }
+
+    /**
+     * Private helper that generates the ETag of a resource (or list of
+     * resources), or null if ETags are disabled.
+     */
+    _generateETag(resource) {
+      return this.etagger ? this.etagger.generate(resource) : null;
+    }
+
+    /**
+     * Private helper that sets the ETag header for a resource (or list of
+     * resources), if ETags are enabled.  Returns the ETag, or null.  Each
+     * format is a different representation, so the format is added to the
+     * ETag of non-JSON responses.  etag, if supplied, is the ETag generated
+     * from the stored resource (see _generateETag): If-Match is checked
+     * against the stored resource, so the ETags of single resources are
+     * generated before the after hooks run and relations are included.
+     */
+    _setETag(resource, res, format='json', etag=this._generateETag(resource)) {
+      if (etag === null)
+        return null;
+
+      if (format !== 'json')
+        etag = etag.replace(/"$/, `-${format}"`);
+
+      res.set('ETag', etag);
+
+      return etag;
+    }
+
+    /**
+     * Private helper that sends a resource (or list of resources) with an
+     * ETag, in the negotiated format (see Formatter).  If the request's
+     * If-None-Match header matches the ETag then a 304 is sent without a
+     * body.  queryOpts (optional) narrows the CSV columns, and storedETag
+     * (optional) is the ETag of the stored resource (see _setETag).
+     */
+    _sendTagged(resource, req, res, queryOpts, storedETag) {
+      const format      = this.formatter.negotiate(req);
+      const etag        = this._setETag(resource, res, format, storedETag);
+      const ifNoneMatch = this._getHeader(req, 'If-None-Match');
+
+      if (this.formatter.formats.length > 1)
+        res.set('Vary', 'Accept');
+
+      if (etag && ifNoneMatch !== undefined && this.etagger.matches(ifNoneMatch, etag, true)) {
+        res.status(304).end();
+        return;
+      }
+
+      if (format === 'json') {
+        res.json(resource);
+        return;
+      }
+
+      const mappings = this.formatter.getMappings(queryOpts ? queryOpts.columns : undefined);
+
+      res.set('Content-Type', this.formatter.getContentType(format));
+      res.send(this.formatter.serialize(format, resource, mappings));
+    }
+
+    /**
+     * Private helper that checks the authorization policy for a method (see
+     * the policies option).  patch falls back to the update policy,
+     * createMany to the create policy, and retrieveWhere to the retrieve
+     * policy.  Returns a promise that is rejected with a ForbiddenError if
+     * the request is not authorized.
+     */
+    _authorize(method, req, resource) {
+      const name = this.hasPolicy(method) ? method : POLICY_FALLBACKS[method];
+
+      if (!this.hasPolicy(name))
+        return deferred(null);
+
+      const policy = this.config.policies[name];
+      const rules  = typeof policy === 'function' ? {allow: policy} : policy;
+
+      return deferred(null)
+        .then(() => deferred(
+          rules.allow ? rules.allow(req, resource) : true,
+          rules.deny  ? rules.deny(req, resource)  : false))
+        .then(([allowed, denied]) => {
+          if (!allowed || denied)
+            throw new ForbiddenError(`Method ${method} not allowed.`);
+        });
+    }
+
+    /**
+     * Private helper that checks if a request is conditional (has an If-Match
+     * header that needs to be checked).
+     */
+    _isConditional(req) {
+      return this.etagger !== null && this._getHeader(req, 'If-Match') !== undefined;
+    }
+
+    /**
+     * Private helper that checks a stored resource against the request's
+     * If-Match header.  A PreconditionFailedError is thrown if the stored
+     * resource has changed.
+     */
+    _checkPrecondition(stored, req) {
+      if (!this._isConditional(req))
+        return;
+
+      if (!stored || !this.etagger.matches(this._getHeader(req, 'If-Match'),
+        this.etagger.generate(stored))) {
+        throw new PreconditionFailedError('The resource has been modified.');
+      }
+    }
+
+    /**
+     * Private helper that checks if the stored resource is needed before an
+     * item is modified: either to check the If-Match header, to check the
+     * authorization policy, to soft delete it (or, in soft delete mode, to
+     * make sure that an updated resource is not deleted), to make sure that a
+     * sub-resource belongs to the parent in params, or for the before
+     * snapshot of a change event (if the dao has a retrieveByID method).
+     */
+    _needsStored(method, req) {
+      return this.softDelete !== null || this.parentTable !== null ||
+        (this.sinks.length > 0 && this.hasMethod('retrieveByID')) ||
+        this._isConditional(req) || this.hasPolicy(method);
+    }
+
+    /**
+     * Private helper that retrieves the stored resource, checks it against
+     * the request's If-Match header (see _checkPrecondition), and checks the
+     * authorization policy for method (see _authorize).  Returns a promise
+     * that is resolved with the stored resource (or null).  The resource is
+     * not retrieved unless it's needed, and soft-deleted resources (or
+     * sub-resources of another parent) are not found.
+     */
+    _retrieveAndCheck(method, ID, req) {
+      if (!this._needsStored(method, req))
+        return deferred(null);
+
+      return this.dao.retrieveByID(ID)
+        .then(stored => {
+          if (stored && (this._isDeleted(stored) || !this._isChild(stored, req.params)))
+            throw new NotFoundError('Resource not found.');
+
+          this._checkPrecondition(stored, req);
+
+          return this._authorize(method, req, stored)
+            .then(() => stored);
+        });
+    }
+
+    /**
+     * Private helper that validates the resource in body, which defaults to
+     * req.body (or, for replace, each resource in the req.body array).  Bodies
+     * for patch are partial, so nothing is required.  Custom rules are added
+     * by onValidate.  A ValidationErrorList is thrown if any field fails
+     * validation.
+     */
+    _validateBody(method, req, body=req.body) {
+      let errors;
+
+      if (this.config.validate === false)
+        return;
+
+      if (method === 'replace') {
+        if (!Array.isArray(req.body)) {
+          errors = [new ValidationError('"body" must be an array.', 'VAL_ARRAY', 'body')];
+        }
+        else {
+          // The dao populates the parent's key in each resource.
+          const exclude = this.table.foreignKeys
+            .filter(fk => fk.references.table === this.parentTable.name)
+            .map(fk => this.table.getColumnByName(fk.column).mapTo);
+
+          errors = req.body.reduce((errors, resource, i) =>
+            errors.concat(this.validator.validate(resource, {prefix: `[${i}].`, exclude})), []);
+        }
+
+        errors = errors.concat(this.onValidate(method, req.body, req) || []);
+      }
+      else {
+        errors = this._getErrors(method, body, req);
+      }
+
+      if (errors.length)
+        throw new ValidationErrorList(errors);
+    }
+
+    /**
+     * Private helper that validates a single resource, and returns an array of
+     * ValidationErrors (empty if the resource is valid).  Field names are
+     * prefixed with prefix.  Custom rules are added by onValidate.
+     */
+    _getErrors(method, resource, req, prefix='') {
+      if (this.config.validate === false)
+        return [];
+
+      return this.validator.validate(resource, {prefix, partial: method === 'patch'})
+        .concat(this.onValidate(method, resource, req) || []);
+    }
+
+    /**
+     * Overridable method that is called when a request body is validated
+     * (create, update, patch, and replace), and can be used to add custom
+     * validation rules.  For bulk operations, the method is called once per
+     * resource, with the name of the single-resource method (e.g. create for
+     * createMany).  By default no additional rules are applied.
+     * @memberOf GenericRouter
+     * @param {string} method The name of the method.
+     * @param {Object|Object[]} body The request body.
+     * @param {Object} req An Express request object.
+     * @returns {ValidationError[]} An array of additional errors.
+     */
+    onValidate(method, body, req) { // jshint ignore:line
+      return [];
+    }
+
     /**
      * Helper method that's used to check if dao has a method.
      * the dao does not have `method`.
@@ -48,155 +1163,680 @@ function GenericRouterProducer(NotFoundError, ValidationError) {
     }
     
     /**
-     * Overridable method that is called when a DAO method is not implemented.
-     * By default calls next with a NotFoundError instance.
+     * Helper method that's used to check if the router has an authorization
+     * policy for a method.
+     * @memberOf GenericRouter
+     * @param {string} method The name of the router method.
+     * @returns {bool} true if there is a policy, false otherwise.
+     */
+    hasPolicy(method) {
+      return !!(this.config.policies && this.config.policies[method]);
+    }
+
+    /**
+     * Overridable method that is called when a DAO method is not implemented.
+     * By default calls next with a NotFoundError instance.
+     * @memberOf GenericRouter
+     * @param {string} method The name of the method.
+     * @param {Object} req An Express request object.
+     * @param {Object} res An Express response object.
+     * @param {function} next An Express next method that is called with a
+     *        NotFoundError instance if method is not defined on dao.
+     */
+    onNotImplemented(method, req, res, next) {
+      next(new NotFoundError(`Method ${method} not available.`));
+    }
+
+    /**
+     * Creates the resource in req.body.  The resource is validated against the
+     * table first, and next is called with a ValidationErrorList if any field
+     * is invalid.  Sub-resources get the parent's key from params: if the body
+     * contains the foreign key, it must match params, otherwise next is called
+     * with a ValidationError.
+     * With the idempotency option, an Idempotency-Key header makes retries
+     * safe (see _sendIdempotent).
+     * @memberOf GenericRouter
+     * @param {Object} req An Express request object containing a resouce
+     *        in body.
+     * @param {Object} res An Express response object.
+     * @param {function} next Called with an Error instance if an error occurs.
+     * @returns {void}
+     */
+    create(req, res, next) {
+      if (!this._verifyImpl('create', req, res, next)) return;
+
+      let body;
+
+      try {
+        body = this._keyBody({}, req.body, req.params);
+        this._validateBody('create', req, body);
+      }
+      catch (err) {
+        next(err);
+        return;
+      }
+
+      this._authorize('create', req)
+        .then(() => this._sendIdempotent('create', 201, () =>
+          this._runHooks('before', 'create', body, req)
+            .then(resource => this.dao.create(resource))
+            .then(resource => this._afterMutation('create', null, null, resource, req))
+            .then(resource => this._runHooks('after', 'create', resource, req)),
+          req, res))
+        .catch(next);
+    }
+
+    /**
+     * Retrieve a list of resources.  If there is a parent table, the
+     * the ID of the parent table is _expected_ to be in params, and the ID is
+     * passed to the dao retrieve method.  Otherwise, retrieve is called with no
+     * parameters.  If the parent's primary key is composite, the ID is an
+     * object containing each part of the key.
+     *
+     * The list is paged if the query contains limit, offset, or cursor
+     * parameters, or if the router has a default page size.  The list is
+     * ordered if the query contains an order parameter, e.g.
+     * order=-createdOn,name.  When paged or ordered, a query options object
+     * is passed as the final argument to the dao's retrieve method: after the
+     * parent ID, or after the (undefined) where and params arguments if there
+     * is no parent table.  The object has limit, offset, and after (the
+     * decoded cursor) properties when paged, and an order property (an array
+     * of {column, dir} objects, suitable for ndm's orderBy) when ordered.
+     *
+     * The columns that are selected can be narrowed using a fields parameter,
+     * e.g. fields=userID,name.  The primary key is always selected.  The
+     * fully-qualified column names, suitable for ndm's select, are passed to
+     * the dao in a columns property of the query options.
+     *
+     * The response format is negotiated using the Accept header, or a format
+     * query parameter (json, csv, or ndjson).  CSV has a header row of column
+     * mappings.  next is called with a NotAcceptableError if the format is
+     * not supported.
+     *
+     * If the dao's retrieve method returns (or resolves to) a readable object
+     * stream or an async iterator, the list is streamed to the client with
+     * backpressure rather than buffered, and the source is stopped if the
+     * client disconnects.
+     *
+     * Declared relations (see addRelation) are included in each resource
+     * using an include parameter, e.g. include=usersCourses.  Multiple
+     * relations are separated by commas, and nested relations by dots.  next
+     * is called with a ValidationError if a relation is not declared, or is
+     * nested too deeply.
+     * @memberOf GenericRouter
+     * @param {Object} req An Express request object.
+     * @param {Object} res An Express response object.
+     * @param {function} next Called with an Error instance if an error occurs.
+     * @returns {void}
+     */
+    retrieve(req, res, next) {
+      if (!this._verifyImpl('retrieve', req, res, next)) return;
+
+      this._retrieveList('retrieve', false, req, res, next);
+    }
+
+    /**
+     * Private helper that retrieves and sends a list of resources (see
+     * retrieve).  In soft delete mode, the list is either the soft-deleted
+     * resources (if deleted is true) or the resources that are not deleted:
+     * the condition is passed to the dao as the where argument or, for
+     * sub-resources, as a deleted property of the query options.
+     */
+    _retrieveList(method, deleted, req, res, next) {
+      let pID, queryOpts, include;
+
+      try {
+        // Fail fast if the response format is not acceptable.
+        this.formatter.negotiate(req);
+        queryOpts = this._getQueryOptions(req);
+        include   = this.includeParser.parse(req.query);
+        this._selectJoinColumns(queryOpts, include);
+
+        // If there is a parent table, pull the parent's ID from params.
+        if (this.parentTable)
+          pID = this._getID(this.parentTable, req.params);
+
+        // Sub-resource daos filter deleted resources themselves, and the
+        // column is selected so that the router can verify it.
+        if (this.softDelete && this.parentTable) {
+          this._select(queryOpts, this.softDelete);
+          queryOpts = Object.assign({}, queryOpts, {deleted});
+        }
+      }
+      catch (err) {
+        next(err);
+        return;
+      }
+
+      this._sendList(method, pID, pID => {
+        if (this.parentTable)
+          return [pID];
+
+        if (this.softDelete)
+          return [this._getDeletedCondition(deleted), {}];
+
+        // The query options follow the where and params arguments.
+        return queryOpts ? [undefined, undefined] : [];
+      }, queryOpts, include, req, res, next);
+    }
+
+    /**
+     * Retrieve the list of soft-deleted resources (the trash).  Only
+     * available in soft delete mode (see the softDelete option).  The list is
+     * retrieved, paged, ordered, narrowed, and expanded in the same manner as
+     * retrieve, and is authorized using the retrieveDeleted policy.
+     * @memberOf GenericRouter
+     * @param {Object} req An Express request object.
+     * @param {Object} res An Express response object.
+     * @param {function} next Called with an Error instance if an error occurs.
+     * @returns {void}
+     */
+    retrieveDeleted(req, res, next) {
+      if (!this.softDelete) {
+        this.onNotImplemented('retrieveDeleted', req, res, next);
+        return;
+      }
+
+      if (!this._verifyImpl('retrieve', req, res, next)) return;
+
+      this._retrieveList('retrieveDeleted', true, req, res, next);
+    }
+
+    /**
+     * Retrieve a single resource by ID.  The resource ID is _expected_ to
+     * be in params, and the ID is passed to the dao's retrieveByID method.
+     * Composite IDs are passed as an object containing each part of the key,
+     * and next is called with a ValidationError if any part is missing.  The
+     * selected columns can be narrowed using a fields parameter, as described
+     * in retrieve, in which case a query options object with a columns
+     * property is passed to the dao after the ID.  The response format and
+     * included relations are handled as described in retrieve.  A
+     * sub-resource whose foreign key does not match the parent's key in params
+     * is not found.
+     * @memberOf GenericRouter
+     * @param {Object} req An Express request object with a resource identifier
+     *        in params.
+     * @param {Object} res An Express response object.
+     * @param {function} next Called with an Error instance if an error occurs.
+     * @returns {void}
+     */
+    retrieveByID(req, res, next) {
+      if (!this._verifyImpl('retrieveByID', req, res, next)) return;
+
+      let ID, queryOpts, include;
+
+      try {
+        this.formatter.negotiate(req);
+        ID        = this._getID(this.table, req.params);
+        queryOpts = this._getResourceQueryOptions(req);
+        include   = this.includeParser.parse(req.query);
+        this._selectJoinColumns(queryOpts, include);
+
+        if (this.softDelete)
+          this._select(queryOpts, this.softDelete);
+
+        // The foreign keys are needed to check the parent.
+        Object.keys(this._getParentKey(req.params)).forEach(mapping =>
+          this._select(queryOpts, this.table.getColumnByMapping(mapping)));
+      }
+      catch (err) {
+        next(err);
+        return;
+      }
+
+      this._runHooks('before', 'retrieveByID', ID, req)
+        .then(ID => this._cached('retrieveByID', 'retrieveByID', queryOpts ? [ID, queryOpts] : [ID]))
+        .then(resource => {
+          if (resource && (this._isDeleted(resource) || !this._isChild(resource, req.params)))
+            throw new NotFoundError('Resource not found.');
+
+          const etag = this._generateETag(resource);
+
+          return this._authorize('retrieveByID', req, resource)
+            .then(() => this._include(resource, include, req))
+            .then(resource => this._runHooks('after', 'retrieveByID', resource, req))
+            .then(resource => this._sendTagged(resource, req, res, queryOpts, etag));
+        })
+        .catch(next);
+    }
+
+    /**
+     * Retrieve a list of resources, filtered using a where clause.  The where
+     * clause is expected to be in a query property, as well a param property.
+     * Whitelisted filter parameters (e.g. numHoles[gte]=18) are translated
+     * to a condition and joined with the where clause using $and.  The list
+     * is paged, ordered, narrowed, and expanded (include) in the same manner as
+     * retrieve, with the query options passed to the dao after where and
+     * params.
+     * @memberOf GenericRouter
+     * @param {Object} req An Express request object with where and param
+     *        properties in query.
+     * @param {Object} res An Express response object.
+     * @param {function} next Called with an Error instance if an error occurs.
+     * @returns {void}
+     */
+    retrieveWhere(req, res, next) {
+      if (!this._verifyImpl('retrieve', req, res, next)) return;
+
+      let cond, queryOpts, include;
+
+      try {
+        cond      = this._getCondition(req);
+        this.formatter.negotiate(req);
+        queryOpts = this._getQueryOptions(req);
+        include   = this.includeParser.parse(req.query);
+        this._selectJoinColumns(queryOpts, include);
+      }
+      catch (err) {
+        next(err);
+        return;
+      }
+
+      this._sendList('retrieveWhere', cond, cond => [cond.where, cond.params],
+        queryOpts, include, req, res, this._getConditionErrorHandler(next));
+    }
+
+    /**
+     * Private helper that gets the condition of retrieveWhere (and count)
+     * from the query: the where and params parameters (JSON), ANDed with the
+     * whitelisted filters and, in soft delete mode, the condition that
+     * excludes deleted resources.  Returns an object with where and params
+     * properties (either can be undefined).  A ValidationError is thrown if
+     * the query is invalid.
+     */
+    _getCondition(req) {
+      let where, params;
+
+      try {
+        if (req.query.where)
+          where = JSON.parse(req.query.where);
+      }
+      catch (e) {
+        throw new ValidationError(`"where" does not contain valid JSON: ${e.message}`, 'VAL_JSON', 'where');
+      }
+
+      try {
+        if (req.query.params)
+          params = JSON.parse(req.query.params);
+      }
+      catch (e) {
+        throw new ValidationError(`"params" does not contain valid JSON: ${e.message}`, 'VAL_JSON', 'params');
+      }
+
+      const filter = this.filterParser.parse(req.query);
+
+      if (filter) {
+        where  = where ? {$and: [where, filter.where]} : filter.where;
+        params = Object.assign({}, params, filter.params);
+      }
+
+      if (this.softDelete) {
+        const live = this._getDeletedCondition(false);
+
+        where = where ? {$and: [where, live]} : live;
+      }
+
+      return {where, params};
+    }
+
+    /**
+     * Private helper that wraps next: invalid conditions (raised by ndm) are
+     * converted to ValidationErrors on the where parameter.
+     */
+    _getConditionErrorHandler(next) {
+      return err => {
+        if (err.code === 'CONDITION_ERROR')
+          next(new ValidationError(err.message, err.code, 'where'));
+        else
+          next(err);
+      };
+    }
+
+    /**
+     * Count the resources in a collection, without retrieving them.  The
+     * input is the same as retrieve if there is a parent table (the parent
+     * ID in params), and otherwise the same as retrieveWhere (where, params,
+     * and filters in the query).  The before hooks of retrieve (or
+     * retrieveWhere) are run on the input, and the dao's count method is
+     * called with the same arguments as its retrieve method, but without
+     * query options (soft-deleted sub-resources are the exception: the parent
+     * ID is followed by {deleted: false}).  If the dao has no count method,
+     * the list is retrieved and its length is used instead.  The count is
+     * sent as the body, and in an X-Total-Count header.
+     *
+     * The request is authorized using the count policy if there is one, and
+     * otherwise using the policy of retrieve (or retrieveWhere).  The count
+     * is cached with the list, if the list is cached.
      * @memberOf GenericRouter
-     * @param {string} method The name of the method.
      * @param {Object} req An Express request object.
      * @param {Object} res An Express response object.
-     * @param {function} next An Express next method that is called with a
-     *        NotFoundError instance if method is not defined on dao.
+     * @param {function} next Called with an Error instance if an error occurs.
+     * @returns {void}
      */
-    onNotImplemented(method, req, res, next) {
-      next(new NotFoundError(`Method ${method} not available.`));
+    count(req, res, next) {
+      this._sendCount(false, req, res, next);
     }
 
     /**
-     * Creates the resource in req.body.
+     * Handle a HEAD request for a collection: the resources are counted in
+     * the same manner as count, and the count is sent in an X-Total-Count
+     * header with no body.
      * @memberOf GenericRouter
-     * @param {Object} req An Express request object containing a resouce
-     *        in body.
+     * @param {Object} req An Express request object.
      * @param {Object} res An Express response object.
      * @param {function} next Called with an Error instance if an error occurs.
      * @returns {void}
      */
-    create(req, res, next) {
-      if (!this._verifyImpl('create', req, res, next)) return;
+    head(req, res, next) {
+      this._sendCount(true, req, res, next);
+    }
 
-      this.dao.create(req.body)
-        .then(resource => res.status(201).json(resource))
-        .catch(next);
+    /**
+     * Private helper that counts the resources in a collection and sends
+     * the count (see count), with or without a body.
+     */
+    _sendCount(headOnly, req, res, next) {
+      if (!this.hasMethod('count') && !this._verifyImpl('retrieve', req, res, next)) return;
+
+      // Without a count method, the list is retrieved.
+      const count = (method, args) => this.hasMethod('count') ?
+        this._cached(method, 'count', args) :
+        this._cached(method, 'retrieve', args).then(resources =>
+          resources.filter(resource => !this._isDeleted(resource)).length);
+
+      this._queryCollection('count', req, count)
+        .then(total => {
+          res.set('X-Total-Count', String(total));
+
+          if (headOnly)
+            res.status(200).end();
+          else
+            res.json(total);
+        })
+        .catch(this._getConditionErrorHandler(next));
     }
 
     /**
-     * Retrieve a list of resources.  If there is a parent table, the
-     * the ID of the parent table is _expected_ to be in params, and the ID is
-     * passed to the dao retrieve method.  Otherwise, retrieve is called with no
-     * parameters.
+     * Group and aggregate the resources in a collection.  Only available if
+     * the router has an aggregates whitelist (see the aggregates option), and
+     * the dao has an aggregate method.  The groupBy query parameter is a
+     * comma-separated list of column mappings, and the aggregate parameter is
+     * a comma-separated list of functions (count, sum, avg, min, or max),
+     * each applied to a column mapping in parentheses, e.g.
+     * groupBy=state&aggregate=count,avg(numHoles).  See AggregateParser.
+     *
+     * The collection is narrowed in the same manner as count: by the parent
+     * ID if there is a parent table, and otherwise by where, params, and
+     * filters.  The dao's aggregate method is called with the same arguments
+     * as its count method, followed by the parsed groupBy and aggregates (an
+     * object with groupBy and aggregates properties).  It should resolve to
+     * an array of rows, each keyed by the groupBy mappings and the names of
+     * the aggregates (e.g. {state: 'OR', count: 3, avgNumHoles: 15}), which
+     * is sent.  Authorization, before hooks, and caching are the same as
+     * count, using the aggregate policy.
      * @memberOf GenericRouter
      * @param {Object} req An Express request object.
      * @param {Object} res An Express response object.
      * @param {function} next Called with an Error instance if an error occurs.
      * @returns {void}
      */
-    retrieve(req, res, next) {
-      if (!this._verifyImpl('retrieve', req, res, next)) return;
+    aggregate(req, res, next) {
+      if (!this.aggregateParser) {
+        this.onNotImplemented('aggregate', req, res, next);
+        return;
+      }
 
-      let retRes;
+      if (!this._verifyImpl('aggregate', req, res, next)) return;
 
-      if (this.parentTable) {
-        // There is a parent table.  Pull the parent's ID from params.
-        const parentPKMapping = this.parentTable.primaryKey[0].mapTo;
-        const parentID        = req.params[parentPKMapping];
+      let query;
 
-        retRes = this.dao.retrieve(parentID);
+      try {
+        query = this.aggregateParser.parse(req.query);
       }
-      else {
-        retRes = this.dao.retrieve();
+      catch (err) {
+        next(err);
+        return;
       }
 
-      retRes
-        .then(resources => res.json(resources))
-        .catch(next);
+      this._queryCollection('aggregate', req, (method, args) =>
+        this._cached(method, 'aggregate', args.concat(query)))
+        .then(rows => res.json(rows))
+        .catch(this._getConditionErrorHandler(next));
     }
 
     /**
-     * Retrieve a single resource by ID.  The resource ID is _expected_ to
-     * be in params, and the ID is passed to the dao's retrieveByID method.
+     * Private helper that queries a collection without retrieving it (see
+     * count).  The input is the parent ID if there is a parent table, and
+     * otherwise the condition of retrieveWhere.  The request is authorized
+     * using the routerMethod policy, falling back to the policy of the list
+     * method (retrieve or retrieveWhere), and the list method's before hooks
+     * are run on the input.  query is called with the list method and the
+     * dao arguments, and returns a promise.  In soft delete mode, the dao
+     * arguments of sub-resources end with {deleted: false}.
+     */
+    _queryCollection(routerMethod, req, query) {
+      const method = this.parentTable ? 'retrieve' : 'retrieveWhere';
+      let input, toArgs;
+
+      try {
+        // Like retrieve, soft-deleted sub-resources are excluded by the dao.
+        if (this.parentTable) {
+          input  = this._getID(this.parentTable, req.params);
+          toArgs = pID => this.softDelete ? [pID, {deleted: false}] : [pID];
+        }
+        else {
+          input  = this._getCondition(req);
+          toArgs = cond => [cond.where, cond.params];
+        }
+      }
+      catch (err) {
+        return deferred.reject(err);
+      }
+
+      return this._authorize(this.hasPolicy(routerMethod) ? routerMethod : method, req)
+        .then(() => this._runHooks('before', method, input, req))
+        .then(input => query(method, toArgs(input)));
+    }
+
+    /**
+     * Update the resource in req.body.  The resource is validated in the same
+     * manner as create.  The identifier is taken from params: if the body
+     * contains the identifier, it must match params, otherwise next is called
+     * with a ValidationError.  The parent's key of a sub-resource is applied
+     * in the same manner as create, and the stored resource is retrieved to
+     * make sure that it belongs to the parent (otherwise it is not found).
      * @memberOf GenericRouter
-     * @param {Object} req An Express request object with a resource identifier
+     * @param {Object} req An Express request object containing a resouce
+     *        in body.  The identifier of the resource is _expected_ to be
      *        in params.
      * @param {Object} res An Express response object.
      * @param {function} next Called with an Error instance if an error occurs.
      * @returns {void}
      */
-    retrieveByID(req, res, next) {
-      if (!this._verifyImpl('retrieveByID', req, res, next)) return;
+    update(req, res, next) {
+      if (!this._verifyImpl('update', req, res, next)) return;
+      if (this._needsStored('update', req) && !this._verifyImpl('retrieveByID', req, res, next)) return;
 
-      const pkMapping = this.table.primaryKey[0].mapTo;
-      const ID        = req.params[pkMapping];
+      let ID, resource;
 
-      this.dao.retrieveByID(ID)
-        .then(resource => res.json(resource))
+      try {
+        const key = this._getKey(this.table, req.params);
+
+        ID = this._getID(this.table, req.params);
+        resource = this._keyBody(key, req.body, req.params);
+        this._validateBody('update', req, resource);
+      }
+      catch (err) {
+        next(err);
+        return;
+      }
+
+      this._retrieveAndCheck('update', ID, req)
+        .then(stored => this._runHooks('before', 'update', resource, req)
+          .then(resource => this.dao.update(resource))
+          .then(resource => this._afterMutation('update', ID, stored, resource, req)))
+        .then(resource => this._sendUpdated(resource, req, res))
         .catch(next);
     }
 
     /**
-     * Retrieve a list of resources, filtered using a where clause.  The where
-     * clause is expected to be in a query property, as well a param property.
+     * Partially update the resource identified in req.params.  Only the
+     * columns in req.body are validated and applied: the stored resource is
+     * retrieved using the dao's retrieveByID method, merged with req.body,
+     * and then passed to the dao's update method.  The identifier is handled
+     * in the same manner as update.
      * @memberOf GenericRouter
-     * @param {Object} req An Express request object with where and param
-     *        properties in query.
+     * @param {Object} req An Express request object containing a partial
+     *        resource in body.  The identifier of the resource is _expected_
+     *        to be in params.
      * @param {Object} res An Express response object.
      * @param {function} next Called with an Error instance if an error occurs.
      * @returns {void}
      */
-    retrieveWhere(req, res, next) {
-      if (!this._verifyImpl('retrieve', req, res, next)) return;
+    patch(req, res, next) {
+      if (!this._verifyImpl('retrieveByID', req, res, next)) return;
+      if (!this._verifyImpl('update', req, res, next)) return;
 
-      let where, params;
+      let ID, changes;
 
       try {
-        if (req.query.where)
-          where = JSON.parse(req.query.where);
-      }
-      catch (e) {
-        next(new ValidationError(`"where" does not contain valid JSON: ${e.message}`, 'VAL_JSON', 'where'));
-        return;
-      }
+        const key = this._getKey(this.table, req.params);
 
-      try {
-        if (req.query.params)
-          params = JSON.parse(req.query.params);
+        ID = this._getID(this.table, req.params);
+        changes = this._keyBody(key, req.body, req.params);
+        this._validateBody('patch', req, changes);
       }
-      catch (e) {
-        next(new ValidationError(`"params" does not contain valid JSON: ${e.message}`, 'VAL_JSON', 'params'));
+      catch (err) {
+        next(err);
         return;
       }
 
+      this.dao.retrieveByID(ID)
+        .then(stored => {
+          if (!stored || this._isDeleted(stored) || !this._isChild(stored, req.params))
+            throw new NotFoundError('Resource not found.');
+
+          this._checkPrecondition(stored, req);
+
+          return this._authorize('patch', req, stored)
+            .then(() => this._runHooks('before', 'update', Object.assign({}, stored, changes), req))
+            .then(resource => this.dao.update(resource))
+            .then(resource => this._afterMutation('update', ID, stored, resource, req));
+        })
+        .then(resource => this._sendUpdated(resource, req, res))
+        .catch(next);
+    }
+
+    /**
+     * Private helper that runs the after update hooks on an updated
+     * resource, and sends it with the ETag of the stored resource (see
+     * _setETag).
+     */
+    _sendUpdated(resource, req, res) {
+      const etag = this._generateETag(resource);
+
+      return this._runHooks('after', 'update', resource, req)
+        .then(resource => {
+          this._setETag(resource, res, 'json', etag);
+          res.json(resource);
+        });
+    }
+
+    /**
+     * Delete the resource identified in req.params.  Every part of the
+     * primary key is _expected_ to be in params.  In soft delete mode the
+     * resource is not removed: the stored resource is retrieved, and updated
+     * with the soft delete column set to the current date.
+     * @memberOf GenericRouter
+     * @param {Object} req An Express request object containing a resource
+     *        identifier in params.
+     * @param {Object} res An Express response object.
+     * @param {function} next Called with an Error instance if an error occurs.
+     * @returns {void}
+     */
+    delete(req, res, next) {
+      const soft = this.softDelete !== null;
+
+      if (!this._verifyImpl(soft ? 'update' : 'delete', req, res, next)) return;
+      if (this._needsStored('delete', req) && !this._verifyImpl('retrieveByID', req, res, next)) return;
+
+      let ID, key;
+
       try {
-        this.dao.retrieve(where, params)
-          .then(resources => res.json(resources))
-          .catch(next);
+        key = this._getKey(this.table, req.params);
+        ID  = this._getID(this.table, req.params);
       }
       catch (err) {
-        if (err.code === 'CONDITION_ERROR')
-          next(new ValidationError(err.message, err.code, 'where'));
-        else
-          next(err);
+        next(err);
+        return;
       }
+
+      this._retrieveAndCheck('delete', ID, req)
+        .then(stored => this._runHooks('before', 'delete', key, req)
+          .then(key => soft ? this._softDelete(this.dao, key, stored) : this.dao.delete(key))
+          .then(result => this._afterMutation('delete', ID, stored, result, req)))
+        .then(result => this._runHooks('after', 'delete', result, req))
+        .then(resources => res.json(resources))
+        .catch(next);
     }
 
     /**
-     * Update the resource in req.body.
+     * Restore the soft-deleted resource identified in req.params by setting
+     * its soft delete column to null.  Only available in soft delete mode
+     * (see the softDelete option).  The stored resource is retrieved using
+     * the dao's retrieveByID method, and next is called with a NotFoundError
+     * if it does not exist or is not deleted.  The restore policy is checked
+     * against the stored resource.
      * @memberOf GenericRouter
-     * @param {Object} req An Express request object containing a resouce
-     *        in body.  The identifier of the resource is _expected_ to be
-     *        in params.
+     * @param {Object} req An Express request object containing a resource
+     *        identifier in params.
      * @param {Object} res An Express response object.
      * @param {function} next Called with an Error instance if an error occurs.
      * @returns {void}
      */
-    update(req, res, next) {
+    restore(req, res, next) {
+      if (!this.softDelete) {
+        this.onNotImplemented('restore', req, res, next);
+        return;
+      }
+
+      if (!this._verifyImpl('retrieveByID', req, res, next)) return;
       if (!this._verifyImpl('update', req, res, next)) return;
 
-      this.dao.update(req.body)
-        .then(resource => res.json(resource))
+      let ID;
+
+      try {
+        ID = this._getID(this.table, req.params);
+      }
+      catch (err) {
+        next(err);
+        return;
+      }
+
+      this.dao.retrieveByID(ID)
+        .then(stored => {
+          if (!stored || !this._isDeleted(stored) || !this._isChild(stored, req.params))
+            throw new NotFoundError('Deleted resource not found.');
+
+          return this._authorize('restore', req, stored)
+            .then(() => this.dao.update(Object.assign({}, stored,
+              {[this.softDelete.mapTo]: null})))
+            .then(resource => this._afterMutation('restore', ID, stored, resource, req));
+        })
+        .then(resource => {
+          this._setETag(resource, res);
+          res.json(resource);
+        })
         .catch(next);
     }
 
     /**
-     * Delete the resource identified in req.params.
+     * Permanently delete the soft-deleted resource identified in req.params,
+     * using the dao's delete method.  Only available in soft delete mode
+     * (see the softDelete option).  Purging is denied unless the router has a
+     * purge policy, which is checked against the stored resource.  next is
+     * called with a NotFoundError if the resource does not exist or is not
+     * deleted.
      * @memberOf GenericRouter
      * @param {Object} req An Express request object containing a resource
      *        identifier in params.
@@ -204,20 +1844,49 @@ function GenericRouterProducer(NotFoundError, ValidationError) {
      * @param {function} next Called with an Error instance if an error occurs.
      * @returns {void}
      */
-    delete(req, res, next) {
+    purge(req, res, next) {
+      if (!this.softDelete) {
+        this.onNotImplemented('purge', req, res, next);
+        return;
+      }
+
+      if (!this._verifyImpl('retrieveByID', req, res, next)) return;
       if (!this._verifyImpl('delete', req, res, next)) return;
 
-      const pkMapping = this.table.primaryKey[0].mapTo;
-      const ID        = req.params[pkMapping];
+      if (!this.hasPolicy('purge')) {
+        next(new ForbiddenError('Method purge not allowed.'));
+        return;
+      }
+
+      let ID, key;
 
-      this.dao.delete({[pkMapping]: ID})
-        .then(resources => res.json(resources))
+      try {
+        key = this._getKey(this.table, req.params);
+        ID  = this._getID(this.table, req.params);
+      }
+      catch (err) {
+        next(err);
+        return;
+      }
+
+      this.dao.retrieveByID(ID)
+        .then(stored => {
+          if (!stored || !this._isDeleted(stored) || !this._isChild(stored, req.params))
+            throw new NotFoundError('Deleted resource not found.');
+
+          return this._authorize('purge', req, stored)
+            .then(() => this.dao.delete(key))
+            .then(result => this._afterMutation('purge', ID, stored, result, req));
+        })
+        .then(result => res.json(result))
         .catch(next);
     }
 
     /**
      * Replace all of the sub resources identified in req.params.  The parent ID
-     * is _expected_ to be in params.
+     * is _expected_ to be in params.  Each resource is validated in the same
+     * manner as create, except that the foreign key to the parent table is
+     * not required.  Like create, replace honors an Idempotency-Key header.
      * @memberOf GenericRouter
      * @param {Object} req An Express request object containing a parent resource
      *        identifier in params, and an array of resources to replace in body.
@@ -232,14 +1901,306 @@ function GenericRouterProducer(NotFoundError, ValidationError) {
         throw new Error('Parent table is required for replace operations.');
       }
 
-      const pPKMapping = this.parentTable.primaryKey[0].mapTo;
-      const pID        = req.params[pPKMapping];
+      let pID;
+
+      try {
+        pID = this._getID(this.parentTable, req.params);
+        this._validateBody('replace', req);
+      }
+      catch (err) {
+        next(err);
+        return;
+      }
+
+      this._authorize('replace', req)
+        .then(() => this._sendIdempotent('replace', 201, () =>
+          this._runHooks('before', 'replace', req.body, req)
+            .then(resources => this.dao.replace(this.parentTable.name, pID, resources))
+            .then(resources => this._afterMutation('replace', pID, null, resources, req))
+            .then(resources => this._runHooks('after', 'replace', resources, req)),
+          req, res))
+        .catch(next);
+    }
+
+    /**
+     * Create each resource in the req.body array.  See _bulk.
+     * @memberOf GenericRouter
+     * @param {Object} req An Express request object containing an array of
+     *        resources in body.
+     * @param {Object} res An Express response object.
+     * @param {function} next Called with an Error instance if an error occurs.
+     * @returns {void}
+     */
+    createMany(req, res, next) {
+      this._bulk('createMany', 'create', req, res, next);
+    }
+
+    /**
+     * Update each resource in the req.body array.  Each resource must contain
+     * its identifier.  See _bulk.
+     * @memberOf GenericRouter
+     * @param {Object} req An Express request object containing an array of
+     *        resources in body.
+     * @param {Object} res An Express response object.
+     * @param {function} next Called with an Error instance if an error occurs.
+     * @returns {void}
+     */
+    updateMany(req, res, next) {
+      this._bulk('updateMany', 'update', req, res, next);
+    }
+
+    /**
+     * Delete each resource identified in the req.body array.  Identifiers are
+     * objects keyed by primary key mapping or, for single-column keys, plain
+     * values.  See _bulk.
+     * @memberOf GenericRouter
+     * @param {Object} req An Express request object containing an array of
+     *        identifiers in body.
+     * @param {Object} res An Express response object.
+     * @param {function} next Called with an Error instance if an error occurs.
+     * @returns {void}
+     */
+    deleteMany(req, res, next) {
+      this._bulk('deleteMany', 'delete', req, res, next);
+    }
+
+    /**
+     * Private helper that performs a bulk operation (routerMethod, e.g.
+     * createMany, which is used for authorization).  If there are update or
+     * delete policies, each stored resource is also authorized using the
+     * policy of method (see _authorizeBulkItem).  Each item in req.body
+     * is validated and then passed to the dao's method, one at a time, in
+     * order, with the before and after hooks of method run on each item (see
+     * _writeBulkItem).  The response is a 207 with an array of per-item
+     * results, each with a status (201 for created, 200 for updated or
+     * deleted, 404, 409, 422, or 500) and either a resource or an error.
+     *
+     * If the router is configured for atomic bulk operations then nothing is
+     * written unless every item succeeds: invalid items cause a single
+     * ValidationErrorList, and the items are written using a dao that is
+     * bound to a single transaction (the dao's transaction method is called
+     * with a function that receives the transaction-bound dao and returns a
+     * promise; the transaction should be committed if the promise resolves,
+     * and rolled back if it rejects).  The hooks are run inside the
+     * transaction.
+     */
+    _bulk(routerMethod, method, req, res, next) {
+      const atomic   = !!(this.config.bulk && this.config.bulk.atomic);
+      const required = (method === 'delete' && this.softDelete !== null ?
+        ['retrieveByID', 'update'] : [method])
+        .concat(method !== 'create' && this._needsBulkStored(method) ? ['retrieveByID'] : []);
+
+      if (!required.every(method => this._verifyImpl(method, req, res, next))) return;
+      if (atomic && !this._verifyImpl('transaction', req, res, next)) return;
+
+      if (!Array.isArray(req.body)) {
+        next(new ValidationError('"body" must be an array.', 'VAL_ARRAY', 'body'));
+        return;
+      }
+
+      let parentKey;
+
+      try {
+        parentKey = this._getParentKey(req.params);
+      }
+      catch (err) {
+        next(err);
+        return;
+      }
+
+      const status = method === 'create' ? 201 : 200;
+      const items  = req.body.map((item, i) =>
+        this._prepareBulkItem(method, item, req, atomic ? `[${i}].` : '', parentKey));
+
+      if (atomic) {
+        const errors = items.reduce((errors, item) => errors.concat(item.errors || []), []);
+
+        if (errors.length) {
+          next(new ValidationErrorList(errors));
+          return;
+        }
+
+        // The dao's results, for the change events.
+        const written = [];
+
+        this._authorize(routerMethod, req)
+          .then(() => this.dao.transaction(txDao => items.reduce((promise, item) => promise
+            .then(results => this._authorizeBulkItem(txDao, method, item.arg, req)
+              .then(stored => this._writeBulkItem(txDao, method, item.arg, stored, req))
+              .then(resource => {
+                written.push(resource);
+                return this._runHooks('after', method, resource, req);
+              })
+              .then(resource => results.concat({status, resource}))),
+            deferred([]))))
+          // Nothing is written until the transaction is committed.
+          .then(results => deferred.map(written, (resource, i) =>
+            this._afterBulkItem(method, items[i].arg, resource, req))
+            .then(() => res.status(207).json(results)))
+          .catch(next);
+
+        return;
+      }
+
+      this._authorize(routerMethod, req)
+        .then(() => items.reduce((promise, item) => promise
+          .then(results => {
+            if (item.errors)
+              return results.concat(this._getBulkErrorResult(new ValidationErrorList(item.errors)));
 
-      this.dao.replace(this.parentTable.name, pID, req.body)
-        .then(resources => res.status(201).json(resources))
+            return this._authorizeBulkItem(this.dao, method, item.arg, req)
+              .then(stored => this._writeBulkItem(this.dao, method, item.arg, stored, req))
+              .then(resource => this._afterBulkItem(method, item.arg, resource, req))
+              .then(resource => this._runHooks('after', method, resource, req))
+              .then(resource => results.concat({status, resource}))
+              .catch(err => results.concat(this._getBulkErrorResult(err)));
+          }),
+          deferred([])))
+        .then(results => res.status(207).json(results))
         .catch(next);
     }
 
+    /**
+     * Private helper that prepares one item of a bulk operation.  Returns an
+     * object with an errors property (an array of ValidationErrors) if the
+     * item is invalid, otherwise an object with an arg property (the argument
+     * for the dao method).  Field names are prefixed with prefix.  Resources
+     * that are created or updated under a parent get the parent's key (see
+     * _getParentKey).
+     */
+    _prepareBulkItem(method, item, req, prefix, parentKey) {
+      const pk = this.table.primaryKey;
+
+      // Identifiers of single-column keys can be plain values.
+      if (method === 'delete' && pk.length === 1 &&
+        (item === null || typeof item !== 'object')) {
+        item = {[pk[0].mapTo]: item};
+      }
+
+      if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+        const field = prefix.replace(/\.$/, '') || 'body';
+
+        return {errors: [new ValidationError(`"${field}" must be an object.`,
+          'VAL_OBJECT', field)]};
+      }
+
+      if (method !== 'create') {
+        const missing = pk
+          .filter(col => item[col.mapTo] === undefined || item[col.mapTo] === null)
+          .map(col => new ValidationError(`"${prefix}${col.mapTo}" is required.`,
+            'VAL_MISSING_ID', `${prefix}${col.mapTo}`));
+
+        if (missing.length)
+          return {errors: missing};
+      }
+
+      if (method === 'delete') {
+        const key = {};
+
+        pk.forEach(col => key[col.mapTo] = item[col.mapTo]);
+
+        return {arg: key};
+      }
+
+      const mismatch = Object.keys(parentKey)
+        .filter(mapping => item[mapping] !== undefined &&
+          String(item[mapping]) !== String(parentKey[mapping]))
+        .map(mapping => new ValidationError(
+          `"${prefix}${mapping}" does not match the identifier in params.`,
+          'VAL_ID_MISMATCH', `${prefix}${mapping}`));
+
+      if (mismatch.length)
+        return {errors: mismatch};
+
+      if (Object.keys(parentKey).length)
+        item = Object.assign({}, parentKey, item);
+
+      const errors = this._getErrors(method, item, req, prefix);
+
+      return errors.length ? {errors} : {arg: item};
+    }
+
+    /**
+     * Private helper that checks if the stored resource of each item of a
+     * bulk update or delete is needed: to check the policy of method, to make
+     * sure that a sub-resource belongs to the parent in params, or, in soft
+     * delete mode, to make sure that it's not deleted.
+     */
+    _needsBulkStored(method) {
+      return this.softDelete !== null || this.parentTable !== null || this.hasPolicy(method);
+    }
+
+    /**
+     * Private helper that authorizes one item of a bulk update or delete
+     * against the stored resource, which is retrieved using dao, if it's
+     * needed (see _needsBulkStored).  Returns a promise that is resolved with
+     * the stored resource (or null if it's not needed), or rejected with a
+     * NotFoundError if there is no stored resource (or it's soft deleted, or
+     * belongs to another parent), or a ForbiddenError if the item is not
+     * authorized.
+     */
+    _authorizeBulkItem(dao, method, arg, req) {
+      if (method === 'create' || !this._needsBulkStored(method))
+        return deferred(null);
+
+      return deferred(null)
+        .then(() => dao.retrieveByID(this._getID(this.table, arg)))
+        .then(stored => {
+          if (!stored || this._isDeleted(stored) || !this._isChild(stored, req.params))
+            throw new NotFoundError('Resource not found.');
+
+          return this._authorize(method, req, stored)
+            .then(() => stored);
+        });
+    }
+
+    /**
+     * Private helper that runs the before hooks of method on one item of a
+     * bulk operation, and then writes it using dao (which may be bound to a
+     * transaction).  In soft delete mode, deletes are soft deletes of the
+     * stored resource, if it was retrieved.
+     */
+    _writeBulkItem(dao, method, arg, stored, req) {
+      return this._runHooks('before', method, arg, req)
+        .then(arg => method === 'delete' && this.softDelete !== null ?
+          this._softDelete(dao, arg, stored) : dao[method](arg));
+    }
+
+    /**
+     * Private helper that is called after each successful item of a bulk
+     * operation (see _afterMutation).  Returns a promise that is resolved
+     * with resource.
+     */
+    _afterBulkItem(method, arg, resource, req) {
+      const ID = method === 'create' ? null : this._getID(this.table, arg);
+
+      return this._afterMutation(method, ID, null, resource, req);
+    }
+
+    /**
+     * Private helper that converts an error from one item of a bulk operation
+     * into a per-item result.
+     */
+    _getBulkErrorResult(err) {
+      switch (err.name) {
+        case 'ValidationError':
+        case 'ValidationErrorList':
+          return {status: 422, error: err};
+
+        case 'ForbiddenError':
+          return {status: 403, error: err};
+
+        case 'NotFoundError':
+          return {status: 404, error: err};
+
+        case 'DuplicateError':
+          return {status: 409, error: err};
+
+        default:
+          return {status: 500, error: {detail: 'Internal server error.'}};
+      }
+    }
+
     /**
      * Options is used to get the schema of the API, which documents what
      * properties are accepted, required, etc.
@@ -253,7 +2214,8 @@ function GenericRouterProducer(NotFoundError, ValidationError) {
     options(req, res, next) {
       if (!this._verifyImpl('options', req, res, next)) return;
 
-      this.dao.options()
+      this._authorize('options', req)
+        .then(() => this.dao.options())
         .then(desc => res.json(desc))
         .catch(next);
     }
@@ -3,31 +3,53 @@ describe('GenericRouter()', function() {
 
   const insulin       = require('insulin').mock();
   const GenericRouter = insulin.get('GenericRouter');
+  const ETagger       = insulin.get('ETagger');
   const deferred      = insulin.get('deferred');
   const database      = insulin.get('ndm_testDB');
   const DataContext   = insulin.get('ndm_MySQLDataContext');
   const GenericDao    = insulin.get('ndm_GenericDao');
+  const Table         = insulin.get('ndm_Table');
   const users         = database.getTableByMapping('users');
   const usersCourses  = database.getTableByMapping('usersCourses');
+
+  // Table with a composite key.
+  const userCourseRounds = new Table({
+    name:    'UserCourseRounds',
+    mapTo:   'userCourseRounds',
+    columns: [
+      {name: 'userCourseID', isPrimary: true},
+      {name: 'roundNum',     isPrimary: true},
+      {name: 'score'}
+    ]
+  });
   const daoMethods    = [
     'create', 'retrieve', 'retrieveByID', 'update', 'delete', 'replace', 'options'
   ];
 
+  // Valid request bodies for the usersCourses table, by method.
+  const courseBodies  = {
+    create:  {name: 'Pine Hills', userID: 42},
+    update:  {name: 'Pine Hills', userID: 42, userCourseID: 12},
+    replace: [{name: 'Pine Hills'}]
+  };
+
   let req, res, next, dao;
 
   beforeEach(function() {
     insulin.forget();
 
-    // Fake request with dummy values.
+    // Fake request with dummy values.  The identifiers of both test tables
+    // are in params.
     req = {
-      body  : {},
-      params: {},
-      query : {}
+      body   : {},
+      params : {userID: 42, userCourseID: 12},
+      query  : {},
+      headers: {}
     };
 
-    // Fake response with json and status methods.  Status returns res so that
-    // json() can be chained.
-    res = jasmine.createSpyObj('res', ['json', 'status']);
+    // Fake response with json, status, set, end, and send methods.  Status
+    // returns res so that json() and end() can be chained.
+    res = jasmine.createSpyObj('res', ['json', 'status', 'set', 'end', 'send']);
     res.status.and.returnValue(res);
 
     // Mock next function.
@@ -60,7 +82,10 @@ describe('GenericRouter()', function() {
         const err    = new Error();
         const router = new GenericRouter(dao, usersCourses, users);
 
+        // Sub-resources are checked against the stored resource.
+        dao.retrieveByID.and.returnValue(deferred.resolve(courseBodies.update));
         dao[method].and.returnValue(deferred.reject(err));
+        req.body = courseBodies[method] || req.body;
         router[method](req, res, next);
         expect(next).toHaveBeenCalledWith(err);
       });
@@ -75,7 +100,9 @@ describe('GenericRouter()', function() {
       it(`checks that ${method} is called.`, function() {
         const router = new GenericRouter(dao, usersCourses, users);
 
+        dao.retrieveByID.and.returnValue(deferred.resolve(courseBodies.update));
         dao[method].and.returnValue(deferred.resolve({}));
+        req.body = courseBodies[method] || req.body;
         router[method](req, res, next);
         expect(dao[method]).toHaveBeenCalled();
       });
@@ -88,10 +115,12 @@ describe('GenericRouter()', function() {
   describe('JSON serialization tests.', function() {
     daoMethods.forEach(function(method) {
       it(`checks that a successful ${method} causes serialization.`, function() {
-        const resource = {resourceID: 1};
+        const resource = {resourceID: 1, userID: 42};
         const router = new GenericRouter(dao, usersCourses, users);
 
+        dao.retrieveByID.and.returnValue(deferred.resolve(courseBodies.update));
         dao[method].and.returnValue(deferred.resolve(resource));
+        req.body = courseBodies[method] || req.body;
         router[method](req, res, next);
         expect(res.json).toHaveBeenCalledWith(resource);
       });
@@ -104,10 +133,48 @@ describe('GenericRouter()', function() {
   describe('.create()', function() {
     it('checks that a successful create results in a 201.', function() {
       const router = new GenericRouter(dao, users);
+      req.body = {email: 'joe.tester@gmail.com', extUserID: 'ext-1'};
       dao.create.and.returnValue(deferred.resolve({}));
       router.create(req, res, next);
       expect(res.status).toHaveBeenCalledWith(201);
     });
+
+    it('checks that invalid resources result in a ValidationErrorList.', function() {
+      const router = new GenericRouter(dao, users);
+
+      req.body = {email: 42};
+      router.create(req, res, next);
+
+      const err = next.calls.argsFor(0)[0];
+
+      expect(dao.create).not.toHaveBeenCalled();
+      expect(err.name).toBe('ValidationErrorList');
+      expect(err.errors.map(e => e.field)).toEqual(['email', 'extUserID']);
+      expect(err.errors.map(e => e.code)).toEqual(['VAL_STRING', 'VAL_REQUIRED']);
+    });
+
+    it('checks that validation can be disabled.', function() {
+      const router = new GenericRouter(dao, users, null, {validate: false});
+
+      dao.create.and.returnValue(deferred.resolve({}));
+      router.create(req, res, next);
+      expect(dao.create).toHaveBeenCalledWith({});
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('checks that custom rules can be added using onValidate.', function() {
+      const ValidationError = insulin.get('ValidationError');
+      const router          = new GenericRouter(dao, users);
+      const custErr         = new ValidationError('Bad domain.', 'VAL_DOMAIN', 'email');
+
+      spyOn(router, 'onValidate').and.returnValue([custErr]);
+      req.body = {email: 'joe@example.com', extUserID: 'ext-1'};
+      router.create(req, res, next);
+
+      expect(router.onValidate).toHaveBeenCalledWith('create', req.body, req);
+      expect(dao.create).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].errors).toEqual([custErr]);
+    });
   });
 
   /**
@@ -137,6 +204,186 @@ describe('GenericRouter()', function() {
       expect(dao.retrieve.calls.argsFor(0).length).toBe(0);
       expect(res.json).toHaveBeenCalledWith(courses);
     });
+
+    it('checks that a ValidationError occurs if the parent ID is missing.', function() {
+      const router = new GenericRouter(dao, usersCourses, users);
+
+      delete req.params.userID;
+      router.retrieve(req, res, next);
+      expect(dao.retrieve).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].name).toBe('ValidationError');
+      expect(next.calls.argsFor(0)[0].field).toBe('userID');
+      expect(next.calls.argsFor(0)[0].message).toBe('"userID" is required in params.');
+    });
+
+    it('checks that composite parent IDs are passed as an object.', function() {
+      const router = new GenericRouter(dao, users, userCourseRounds);
+
+      req.params.roundNum = 3;
+      router.retrieve(req, res, next);
+      expect(dao.retrieve).toHaveBeenCalledWith({userCourseID: 12, roundNum: 3});
+    });
+
+    describe('ordering', function() {
+      it('checks that the order is passed to the dao.', function() {
+        const router = new GenericRouter(dao, users);
+
+        req.query.order = '-createdOn,name';
+        router.retrieve(req, res, next);
+        expect(dao.retrieve).toHaveBeenCalledWith(undefined, undefined, {
+          order: [
+            {column: 'Users.createdOn', dir: 'DESC'},
+            {column: 'Users.name',      dir: 'ASC'}
+          ]
+        });
+        expect(res.set).not.toHaveBeenCalledWith('X-Total-Count', jasmine.any(String));
+        expect(res.set).not.toHaveBeenCalledWith('Link', jasmine.any(String));
+        expect(res.json).toHaveBeenCalledWith(courses);
+      });
+
+      it('checks that unknown columns cause a ValidationError.', function() {
+        const router = new GenericRouter(dao, usersCourses, users);
+
+        req.query.order = 'foo';
+        router.retrieve(req, res, next);
+        expect(dao.retrieve).not.toHaveBeenCalled();
+        expect(next.calls.argsFor(0)[0].name).toBe('ValidationError');
+        expect(next.calls.argsFor(0)[0].message).toBe(
+          'Column "foo" is not available for ordering.');
+      });
+    });
+
+    describe('sparse fieldsets', function() {
+      it('checks that the selected columns are passed to the dao.', function() {
+        const router = new GenericRouter(dao, usersCourses, users);
+
+        req.query.fields = 'name,city';
+        router.retrieve(req, res, next);
+        expect(dao.retrieve).toHaveBeenCalledWith(42, {
+          columns: ['UsersCourses.city', 'UsersCourses.name', 'UsersCourses.userCourseID']
+        });
+        expect(res.json).toHaveBeenCalledWith(courses);
+      });
+
+      it('checks that unknown fields cause a ValidationError.', function() {
+        const router = new GenericRouter(dao, usersCourses, users);
+
+        req.query.fields = 'foo';
+        router.retrieve(req, res, next);
+        expect(dao.retrieve).not.toHaveBeenCalled();
+        expect(next.calls.argsFor(0)[0].message).toBe(
+          'Column "foo" is not available for selection.');
+      });
+    });
+
+    describe('paging', function() {
+      it('checks that the page is passed after the parent ID.', function() {
+        const router = new GenericRouter(dao, usersCourses, users);
+
+        req.query.limit  = '10';
+        req.query.offset = '20';
+        router.retrieve(req, res, next);
+        expect(dao.retrieve).toHaveBeenCalledWith(42,
+          {limit: 10, offset: 20, after: null});
+        expect(res.json).toHaveBeenCalledWith(courses);
+      });
+
+      it('checks that the page is passed after where and params if there is no parent.', function() {
+        const router = new GenericRouter(dao, users);
+
+        req.query.limit = '10';
+        router.retrieve(req, res, next);
+        expect(dao.retrieve).toHaveBeenCalledWith(undefined, undefined,
+          {limit: 10, offset: 0, after: null});
+      });
+
+      it('checks that the router\'s default page size is used.', function() {
+        const router = new GenericRouter(dao, usersCourses, users,
+          {paging: {defaultLimit: 25}});
+
+        router.retrieve(req, res, next);
+        expect(dao.retrieve).toHaveBeenCalledWith(42,
+          {limit: 25, offset: 0, after: null});
+      });
+
+      it('checks that invalid paging parameters cause a ValidationError.', function() {
+        const router = new GenericRouter(dao, usersCourses, users,
+          {paging: {maxLimit: 100}});
+
+        req.query.limit = '500';
+        router.retrieve(req, res, next);
+        expect(dao.retrieve).not.toHaveBeenCalled();
+        expect(next.calls.argsFor(0)[0].name).toBe('ValidationError');
+        expect(next.calls.argsFor(0)[0].field).toBe('limit');
+      });
+
+      it('checks that the total count is set if the dao can count.', function() {
+        const router = new GenericRouter(dao, usersCourses, users);
+
+        dao.count = jasmine.createSpy('count').and.returnValue(deferred.resolve(11));
+        req.query.limit = '1';
+        router.retrieve(req, res, next);
+        expect(dao.count).toHaveBeenCalledWith(42);
+        expect(res.set).toHaveBeenCalledWith('X-Total-Count', '11');
+        expect(res.json).toHaveBeenCalledWith(courses);
+      });
+
+      it('checks that count is not called if the list is not paged.', function() {
+        const router = new GenericRouter(dao, usersCourses, users);
+
+        dao.count = jasmine.createSpy('count');
+        router.retrieve(req, res, next);
+        expect(dao.count).not.toHaveBeenCalled();
+        expect(res.set).not.toHaveBeenCalledWith('X-Total-Count', jasmine.any(String));
+        expect(res.set).not.toHaveBeenCalledWith('Link', jasmine.any(String));
+      });
+
+      it('checks that the order is passed with the page.', function() {
+        const router = new GenericRouter(dao, usersCourses, users);
+
+        req.query.limit = '10';
+        req.query.order = '-createdOn';
+        router.retrieve(req, res, next);
+        expect(dao.retrieve).toHaveBeenCalledWith(42, {
+          limit:  10,
+          offset: 0,
+          after:  null,
+          order:  [{column: 'UsersCourses.createdOn', dir: 'DESC'}]
+        });
+      });
+
+      it('checks that cursors cannot be combined with an order.', function() {
+        const router = new GenericRouter(dao, usersCourses, users);
+
+        req.query.cursor = router.paginator.encodeCursor({userCourseID: 3});
+        req.query.order  = 'name';
+        router.retrieve(req, res, next);
+        expect(dao.retrieve).not.toHaveBeenCalled();
+        expect(next.calls.argsFor(0)[0].name).toBe('ValidationError');
+        expect(next.calls.argsFor(0)[0].field).toBe('cursor');
+      });
+
+      it('checks that empty cursors cannot be combined with an order.', function() {
+        const router = new GenericRouter(dao, usersCourses, users);
+
+        req.query.cursor = '';
+        req.query.order  = 'name';
+        router.retrieve(req, res, next);
+        expect(dao.retrieve).not.toHaveBeenCalled();
+        expect(next.calls.argsFor(0)[0].field).toBe('cursor');
+      });
+
+      it('checks that count errors are propagated.', function() {
+        const router = new GenericRouter(dao, usersCourses, users);
+        const err    = new Error();
+
+        dao.count = jasmine.createSpy('count').and.returnValue(deferred.reject(err));
+        req.query.limit = '1';
+        router.retrieve(req, res, next);
+        expect(next).toHaveBeenCalledWith(err);
+        expect(res.json).not.toHaveBeenCalled();
+      });
+    });
   });
 
   /**
@@ -157,6 +404,53 @@ describe('GenericRouter()', function() {
       expect(dao.retrieveByID).toHaveBeenCalledWith(12);
       expect(res.json).toHaveBeenCalledWith(course);
     });
+
+    it('checks that a ValidationError occurs if the ID is missing.', function() {
+      const router = new GenericRouter(dao, usersCourses);
+
+      delete req.params.userCourseID;
+      router.retrieveByID(req, res, next);
+      expect(dao.retrieveByID).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].name).toBe('ValidationError');
+      expect(next.calls.argsFor(0)[0].code).toBe('VAL_MISSING_ID');
+      expect(next.calls.argsFor(0)[0].field).toBe('userCourseID');
+    });
+
+    it('checks that the selected columns are passed after the ID.', function() {
+      const router = new GenericRouter(dao, usersCourses);
+
+      req.query.fields = 'name';
+      router.retrieveByID(req, res, next);
+      expect(dao.retrieveByID).toHaveBeenCalledWith(12,
+        {columns: ['UsersCourses.name', 'UsersCourses.userCourseID']});
+      expect(res.json).toHaveBeenCalledWith(course);
+    });
+
+    it('checks that unknown fields cause a ValidationError.', function() {
+      const router = new GenericRouter(dao, usersCourses);
+
+      req.query.fields = 'name,foo';
+      router.retrieveByID(req, res, next);
+      expect(dao.retrieveByID).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].name).toBe('ValidationError');
+      expect(next.calls.argsFor(0)[0].field).toBe('fields');
+    });
+
+    it('checks that composite IDs are passed as an object.', function() {
+      const router = new GenericRouter(dao, userCourseRounds);
+
+      req.params.roundNum = 3;
+      router.retrieveByID(req, res, next);
+      expect(dao.retrieveByID).toHaveBeenCalledWith({userCourseID: 12, roundNum: 3});
+    });
+
+    it('checks that the missing part of a composite ID is reported.', function() {
+      const router = new GenericRouter(dao, userCourseRounds);
+
+      router.retrieveByID(req, res, next);
+      expect(dao.retrieveByID).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].field).toBe('roundNum');
+    });
   });
 
   /**
@@ -309,6 +603,96 @@ describe('GenericRouter()', function() {
       expect(pool.query).toHaveBeenCalled();
       expect(next).toHaveBeenCalledWith(err);
     });
+
+    it('checks that the page is passed after where and params.', function() {
+      const router = new GenericRouter(dao, users);
+      const where  = {$eq: {'Users.name': ':name'}};
+
+      dao.retrieve.and.returnValue(deferred.resolve([]));
+      req.query.where  = JSON.stringify(where);
+      req.query.params = JSON.stringify({name: 'Joe Tester'});
+      req.query.limit  = '5';
+
+      router.retrieveWhere(req, res, next);
+      expect(dao.retrieve).toHaveBeenCalledWith(where, {name: 'Joe Tester'},
+        {limit: 5, offset: 0, after: null});
+      expect(res.json).toHaveBeenCalledWith([]);
+    });
+
+    it('checks that the order is passed after where and params.', function() {
+      const router = new GenericRouter(dao, users);
+
+      dao.retrieve.and.returnValue(deferred.resolve([]));
+      req.query.order = 'name';
+
+      router.retrieveWhere(req, res, next);
+      expect(dao.retrieve).toHaveBeenCalledWith(undefined, undefined,
+        {order: [{column: 'Users.name', dir: 'ASC'}]});
+    });
+
+    it('checks that the selected columns are passed after where and params.', function() {
+      const router = new GenericRouter(dao, users);
+
+      dao.retrieve.and.returnValue(deferred.resolve([]));
+      req.query.fields = 'name';
+
+      router.retrieveWhere(req, res, next);
+      expect(dao.retrieve).toHaveBeenCalledWith(undefined, undefined,
+        {columns: ['Users.name', 'Users.userID']});
+    });
+
+    it('checks that filter parameters are translated to a condition.', function() {
+      const router = new GenericRouter(dao, usersCourses, null,
+        {filters: {state: ['eq'], numHoles: ['gte']}});
+
+      dao.retrieve.and.returnValue(deferred.resolve([]));
+      req.query = {state: 'OR', numHoles: {gte: '18'}};
+
+      router.retrieveWhere(req, res, next);
+      expect(dao.retrieve).toHaveBeenCalledWith({$and: [
+        {$eq:  {'UsersCourses.state':    ':filter_state_eq'}},
+        {$gte: {'UsersCourses.numHoles': ':filter_numHoles_gte'}}
+      ]}, {filter_state_eq: 'OR', filter_numHoles_gte: '18'});
+    });
+
+    it('checks that filters are joined with the where clause.', function() {
+      const router = new GenericRouter(dao, usersCourses, null, {filters: {state: ['eq']}});
+      const where  = {$eq: {'UsersCourses.name': ':name'}};
+
+      dao.retrieve.and.returnValue(deferred.resolve([]));
+      req.query.where  = JSON.stringify(where);
+      req.query.params = JSON.stringify({name: 'Pine Hills'});
+      req.query.state  = 'OR';
+
+      router.retrieveWhere(req, res, next);
+      expect(dao.retrieve).toHaveBeenCalledWith(
+        {$and: [where, {$eq: {'UsersCourses.state': ':filter_state_eq'}}]},
+        {name: 'Pine Hills', filter_state_eq: 'OR'});
+    });
+
+    it('checks that a bad filter causes a ValidationError naming the field.', function() {
+      const router = new GenericRouter(dao, usersCourses, null, {filters: {state: ['eq']}});
+
+      req.query['numHoles[gte]'] = '18';
+
+      router.retrieveWhere(req, res, next);
+      expect(dao.retrieve).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].name).toBe('ValidationError');
+      expect(next.calls.argsFor(0)[0].code).toBe('VAL_FILTER');
+      expect(next.calls.argsFor(0)[0].field).toBe('numHoles');
+    });
+
+    it('checks that invalid paging parameters cause a ValidationError.', function() {
+      const router = new GenericRouter(dao, users);
+
+      req.query.offset = 'abc';
+
+      router.retrieveWhere(req, res, next);
+      expect(dao.retrieve).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].name).toBe('ValidationError');
+      expect(next.calls.argsFor(0)[0].code).toBe('VAL_INT');
+      expect(next.calls.argsFor(0)[0].field).toBe('offset');
+    });
   });
 
   /**
@@ -316,7 +700,7 @@ describe('GenericRouter()', function() {
    */
   describe('.update()', function() {
     it('checks that update is called with req.body.', function() {
-      const user  = {email: 'joe.tester@gmail.com', userID: 42};
+      const user  = {email: 'joe.tester@gmail.com', extUserID: 'ext-1', userID: 42};
       const router = new GenericRouter(dao, users);
 
       req.body = user;
@@ -327,6 +711,147 @@ describe('GenericRouter()', function() {
       expect(res.json).toHaveBeenCalledWith(user);
       expect(dao.update).toHaveBeenCalledWith(user);
     });
+
+    it('checks that invalid resources result in a ValidationErrorList.', function() {
+      const router = new GenericRouter(dao, users);
+
+      req.body = {email: 'joe.tester@gmail.com', userID: 42};
+      router.update(req, res, next);
+      expect(dao.update).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].name).toBe('ValidationErrorList');
+      expect(next.calls.argsFor(0)[0].errors[0].field).toBe('extUserID');
+    });
+
+    it('checks that the ID is taken from params if it is not in the body.', function() {
+      const router = new GenericRouter(dao, users);
+
+      req.body = {email: 'joe.tester@gmail.com', extUserID: 'ext-1'};
+      dao.update.and.returnValue(deferred.resolve({}));
+
+      router.update(req, res, next);
+      expect(dao.update).toHaveBeenCalledWith(
+        {email: 'joe.tester@gmail.com', extUserID: 'ext-1', userID: 42});
+      expect(req.body.userID).toBeUndefined();
+    });
+
+    it('checks that string IDs in params match numeric IDs in the body.', function() {
+      const router = new GenericRouter(dao, users);
+      const user   = {email: 'joe.tester@gmail.com', extUserID: 'ext-1', userID: 42};
+
+      req.params.userID = '42';
+      req.body = user;
+      dao.update.and.returnValue(deferred.resolve(user));
+
+      router.update(req, res, next);
+      expect(dao.update).toHaveBeenCalledWith(user);
+    });
+
+    it('checks that a ValidationError occurs if the body ID does not match params.', function() {
+      const router = new GenericRouter(dao, users);
+
+      req.body = {email: 'joe.tester@gmail.com', extUserID: 'ext-1', userID: 2};
+      router.update(req, res, next);
+
+      const err = next.calls.argsFor(0)[0];
+
+      expect(dao.update).not.toHaveBeenCalled();
+      expect(err.name).toBe('ValidationError');
+      expect(err.code).toBe('VAL_ID_MISMATCH');
+      expect(err.field).toBe('userID');
+      expect(err.message).toBe('"userID" in the body does not match the identifier in params.');
+    });
+
+    it('checks that a ValidationError occurs if the ID is missing from params.', function() {
+      const router = new GenericRouter(dao, users);
+
+      req.body = {email: 'joe.tester@gmail.com', extUserID: 'ext-1', userID: 42};
+      delete req.params.userID;
+      router.update(req, res, next);
+      expect(dao.update).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].code).toBe('VAL_MISSING_ID');
+    });
+  });
+
+  /**
+   * Patch.
+   */
+  describe('.patch()', function() {
+    let stored;
+
+    beforeEach(function() {
+      stored = {email: 'joe.tester@gmail.com', extUserID: 'ext-1', name: 'Joe', userID: 42};
+      dao.retrieveByID.and.returnValue(deferred.resolve(stored));
+      dao.update.and.callFake(resource => deferred.resolve(resource));
+    });
+
+    it('checks that a 404 is returned if the dao cannot retrieve by ID.', function() {
+      const router = new GenericRouter({update: dao.update}, users);
+
+      router.patch(req, res, next);
+      expect(next.calls.argsFor(0)[0].message).toBe('Method retrieveByID not available.');
+    });
+
+    it('checks that a 404 is returned if the dao cannot update.', function() {
+      const router = new GenericRouter({retrieveByID: dao.retrieveByID}, users);
+
+      router.patch(req, res, next);
+      expect(next.calls.argsFor(0)[0].message).toBe('Method update not available.');
+    });
+
+    it('checks that the changes are merged with the stored resource.', function() {
+      const router = new GenericRouter(dao, users);
+
+      req.body = {name: 'Joseph'};
+      router.patch(req, res, next);
+
+      const merged = {email: 'joe.tester@gmail.com', extUserID: 'ext-1', name: 'Joseph', userID: 42};
+
+      expect(dao.retrieveByID).toHaveBeenCalledWith(42);
+      expect(dao.update).toHaveBeenCalledWith(merged);
+      expect(res.json).toHaveBeenCalledWith(merged);
+      expect(stored.name).toBe('Joe');
+    });
+
+    it('checks that only the supplied columns are validated.', function() {
+      const router = new GenericRouter(dao, users);
+
+      req.body = {name: 'Joseph', email: 42};
+      router.patch(req, res, next);
+
+      const err = next.calls.argsFor(0)[0];
+
+      expect(dao.retrieveByID).not.toHaveBeenCalled();
+      expect(err.name).toBe('ValidationErrorList');
+      expect(err.errors.length).toBe(1);
+      expect(err.errors[0].field).toBe('email');
+    });
+
+    it('checks that a ValidationError occurs if the body ID does not match params.', function() {
+      const router = new GenericRouter(dao, users);
+
+      req.body = {userID: 7};
+      router.patch(req, res, next);
+      expect(dao.retrieveByID).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].code).toBe('VAL_ID_MISMATCH');
+    });
+
+    it('checks that a NotFoundError occurs if the resource does not exist.', function() {
+      const router = new GenericRouter(dao, users);
+
+      dao.retrieveByID.and.returnValue(deferred.resolve(null));
+      router.patch(req, res, next);
+      expect(dao.update).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].name).toBe('NotFoundError');
+    });
+
+    it('checks that errors are propagated.', function() {
+      const router = new GenericRouter(dao, users);
+      const err    = new Error();
+
+      dao.update.and.returnValue(deferred.reject(err));
+      router.patch(req, res, next);
+      expect(next).toHaveBeenCalledWith(err);
+    });
   });
 
   /**
@@ -344,25 +869,120 @@ describe('GenericRouter()', function() {
       expect(res.json).toHaveBeenCalledWith(user);
       expect(dao.delete).toHaveBeenCalledWith({userID: 42});
     });
+
+    it('checks that delete is called with every part of a composite key.', function() {
+      const router = new GenericRouter(dao, userCourseRounds);
+
+      req.params.roundNum = 3;
+      dao.delete.and.returnValue(deferred.resolve({}));
+
+      router.delete(req, res, next);
+      expect(dao.delete).toHaveBeenCalledWith({userCourseID: 12, roundNum: 3});
+    });
+
+    it('checks that a ValidationError occurs if the ID is missing.', function() {
+      const router = new GenericRouter(dao, users);
+
+      delete req.params.userID;
+      router.delete(req, res, next);
+      expect(dao.delete).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].name).toBe('ValidationError');
+      expect(next.calls.argsFor(0)[0].field).toBe('userID');
+    });
   });
 
   /**
    * Replace.
    */
-  describe('.replace()', function() {
-    it('checks that the parent table is required.', function() {
-      expect(function() {
-        const router = new GenericRouter(dao, users);
-        router.replace(req, res, next);
-      }).toThrowError('Parent table is required for replace operations.');
+  describe('parent keys', function() {
+    let router;
+
+    beforeEach(function() {
+      router = new GenericRouter(dao, usersCourses, users);
+      dao.retrieveByID.and.returnValue(deferred.resolve({userCourseID: 12, name: 'Pine Hills', userID: 1}));
+      dao.create.and.callFake(course => deferred.resolve(course));
+      dao.update.and.callFake(course => deferred.resolve(course));
     });
 
-    it('checks that the dao is called with the right parameters.', function() {
-      const router = new GenericRouter(dao, usersCourses, users);
+    it('checks that the parent ID is filled from params on create.', function() {
+      req.body = {name: 'Pine Hills'};
+      router.create(req, res, next);
+      expect(next).not.toHaveBeenCalled();
+      expect(dao.create).toHaveBeenCalledWith({name: 'Pine Hills', userID: 42});
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
 
-      req.body = [];
-      req.params.userID = 42;
-      dao.replace.and.returnValue(deferred.resolve([]));
+    it('checks that a parent ID in the body must match params.', function() {
+      req.body = {name: 'Pine Hills', userID: 2};
+      router.create(req, res, next);
+      expect(dao.create).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].name).toBe('ValidationError');
+      expect(next.calls.argsFor(0)[0].code).toBe('VAL_ID_MISMATCH');
+      expect(next.calls.argsFor(0)[0].field).toBe('userID');
+    });
+
+    it('checks that the parent ID is filled from params on update.', function() {
+      req.params.userID = 1;
+      req.body = {name: 'Oak Hills'};
+      router.update(req, res, next);
+      expect(next).not.toHaveBeenCalled();
+      expect(dao.update).toHaveBeenCalledWith({name: 'Oak Hills', userID: 1, userCourseID: 12});
+    });
+
+    it('checks that a resource of another parent is not found.', function() {
+      router.retrieveByID(req, res, next);
+      expect(res.json).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].name).toBe('NotFoundError');
+    });
+
+    it('checks that the foreign key is selected to check the parent.', function() {
+      req.params.userID = 1;
+      req.query.fields  = 'name';
+      router.retrieveByID(req, res, next);
+      expect(dao.retrieveByID).toHaveBeenCalledWith(12,
+        {columns: ['UsersCourses.name', 'UsersCourses.userCourseID', 'UsersCourses.userID']});
+      expect(res.json).toHaveBeenCalled();
+    });
+
+    ['update', 'patch', 'delete'].forEach(function(method) {
+      it(`checks that ${method} of a resource of another parent is not found.`, function() {
+        req.body = {name: 'Oak Hills'};
+        router[method](req, res, next);
+        expect(dao.update).not.toHaveBeenCalled();
+        expect(dao.delete).not.toHaveBeenCalled();
+        expect(next.calls.argsFor(0)[0].name).toBe('NotFoundError');
+      });
+    });
+
+    it('checks that bulk items are checked against the parent.', function() {
+      req.body = [{name: 'Oak Hills'}, {name: 'Elm Hills', userID: 2}];
+      router.createMany(req, res, next);
+      expect(dao.create.calls.count()).toBe(1);
+      expect(dao.create).toHaveBeenCalledWith({name: 'Oak Hills', userID: 42});
+      expect(res.json.calls.argsFor(0)[0][1].status).toBe(422);
+      expect(res.json.calls.argsFor(0)[0][1].error.errors[0].code).toBe('VAL_ID_MISMATCH');
+
+      req.body = [{userCourseID: 12, name: 'Oak Hills'}];
+      router.updateMany(req, res, next);
+      expect(dao.update).not.toHaveBeenCalled();
+      expect(res.json.calls.argsFor(1)[0][0].status).toBe(404);
+    });
+  });
+
+  describe('.replace()', function() {
+    it('checks that the parent table is required.', function() {
+      expect(function() {
+        const router = new GenericRouter(dao, users);
+        router.replace(req, res, next);
+      }).toThrowError('Parent table is required for replace operations.');
+    });
+
+    it('checks that the dao is called with the right parameters.', function() {
+      const router = new GenericRouter(dao, usersCourses, users);
+
+      req.body = [];
+      req.params.userID = 42;
+      dao.replace.and.returnValue(deferred.resolve([]));
 
       router.replace(req, res, next);
 
@@ -379,6 +999,2045 @@ describe('GenericRouter()', function() {
       router.replace(req, res, next);
       expect(res.status).toHaveBeenCalledWith(201);
     });
+
+    it('checks that the body must be an array.', function() {
+      const router = new GenericRouter(dao, usersCourses, users);
+
+      router.replace(req, res, next);
+      expect(dao.replace).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].name).toBe('ValidationErrorList');
+      expect(next.calls.argsFor(0)[0].errors[0].code).toBe('VAL_ARRAY');
+    });
+
+    it('checks that each resource is validated, excluding the parent key.', function() {
+      const router = new GenericRouter(dao, usersCourses, users);
+
+      req.body = [{name: 'Pine Hills'}, {numHoles: 'eighteen'}];
+      router.replace(req, res, next);
+
+      const err = next.calls.argsFor(0)[0];
+
+      expect(dao.replace).not.toHaveBeenCalled();
+      expect(err.name).toBe('ValidationErrorList');
+      expect(err.errors.map(e => e.field)).toEqual(['[1].name', '[1].numHoles']);
+    });
+
+    it('checks that a ValidationError occurs if the parent ID is missing.', function() {
+      const router = new GenericRouter(dao, usersCourses, users);
+
+      req.body = [];
+      delete req.params.userID;
+
+      router.replace(req, res, next);
+      expect(dao.replace).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].name).toBe('ValidationError');
+      expect(next.calls.argsFor(0)[0].field).toBe('userID');
+    });
+  });
+
+  /**
+   * Bulk operations.
+   */
+  describe('bulk operations', function() {
+    let NotFoundError;
+
+    beforeEach(function() {
+      NotFoundError = insulin.get('NotFoundError');
+
+      dao.create.and.callFake(course => deferred.resolve(Object.assign({userCourseID: 1}, course)));
+      dao.update.and.callFake(course => deferred.resolve(course));
+      dao.delete.and.callFake(key => deferred.resolve(key));
+    });
+
+    ['createMany', 'updateMany', 'deleteMany'].forEach(function(method) {
+      it(`checks that ${method} requires an array.`, function() {
+        const router = new GenericRouter(dao, usersCourses);
+
+        router[method](req, res, next);
+        expect(next.calls.argsFor(0)[0].name).toBe('ValidationError');
+        expect(next.calls.argsFor(0)[0].code).toBe('VAL_ARRAY');
+      });
+
+      it(`checks that ${method} returns a 404 if the dao method is missing.`, function() {
+        const router = new GenericRouter({}, usersCourses);
+
+        router[method](req, res, next);
+        expect(next.calls.argsFor(0)[0].name).toBe('NotFoundError');
+      });
+    });
+
+    describe('.createMany()', function() {
+      it('checks that each resource is created in order.', function() {
+        const router = new GenericRouter(dao, usersCourses);
+
+        req.body = [{name: 'Pine Hills', userID: 42}, {name: 'Oak Hills', userID: 42}];
+        router.createMany(req, res, next);
+
+        expect(dao.create.calls.argsFor(0)[0]).toBe(req.body[0]);
+        expect(dao.create.calls.argsFor(1)[0]).toBe(req.body[1]);
+        expect(res.status).toHaveBeenCalledWith(207);
+        expect(res.json).toHaveBeenCalledWith([
+          {status: 201, resource: {userCourseID: 1, name: 'Pine Hills', userID: 42}},
+          {status: 201, resource: {userCourseID: 1, name: 'Oak Hills', userID: 42}}
+        ]);
+      });
+
+      it('checks that invalid resources are reported per item.', function() {
+        const router = new GenericRouter(dao, usersCourses);
+
+        req.body = [{userID: 42}, {name: 'Oak Hills', userID: 42}];
+        router.createMany(req, res, next);
+
+        const results = res.json.calls.argsFor(0)[0];
+
+        expect(dao.create.calls.count()).toBe(1);
+        expect(results[0].status).toBe(422);
+        expect(results[0].error.name).toBe('ValidationErrorList');
+        expect(results[0].error.errors[0].field).toBe('name');
+        expect(results[1].status).toBe(201);
+      });
+
+      it('checks that dao errors are reported per item.', function() {
+        const router         = new GenericRouter(dao, usersCourses);
+        const DuplicateError = insulin.get('DuplicateError');
+        const dupe           = new DuplicateError('Duplicate.', 'name', 3);
+
+        dao.create.and.returnValues(
+          deferred.reject(dupe),
+          deferred.reject(new Error('Connection lost.')),
+          deferred.resolve({}));
+
+        req.body = [
+          {name: 'A', userID: 42},
+          {name: 'B', userID: 42},
+          {name: 'C', userID: 42}
+        ];
+        router.createMany(req, res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.json).toHaveBeenCalledWith([
+          {status: 409, error: dupe},
+          {status: 500, error: {detail: 'Internal server error.'}},
+          {status: 201, resource: {}}
+        ]);
+      });
+    });
+
+    describe('.updateMany()', function() {
+      it('checks that each resource is updated.', function() {
+        const router = new GenericRouter(dao, usersCourses);
+
+        req.body = [{name: 'Pine Hills', userID: 42, userCourseID: 3}];
+        router.updateMany(req, res, next);
+
+        expect(dao.update).toHaveBeenCalledWith(req.body[0]);
+        expect(res.json).toHaveBeenCalledWith([{status: 200, resource: req.body[0]}]);
+      });
+
+      it('checks that each resource must contain its identifier.', function() {
+        const router = new GenericRouter(dao, usersCourses);
+
+        req.body = [{name: 'Pine Hills', userID: 42}];
+        router.updateMany(req, res, next);
+
+        const results = res.json.calls.argsFor(0)[0];
+
+        expect(dao.update).not.toHaveBeenCalled();
+        expect(results[0].status).toBe(422);
+        expect(results[0].error.errors[0].code).toBe('VAL_MISSING_ID');
+        expect(results[0].error.errors[0].field).toBe('userCourseID');
+      });
+
+      it('checks that missing resources are reported with a 404.', function() {
+        const router = new GenericRouter(dao, usersCourses);
+        const err    = new NotFoundError('Not found.');
+
+        dao.update.and.returnValue(deferred.reject(err));
+        req.body = [{name: 'Pine Hills', userID: 42, userCourseID: 3}];
+        router.updateMany(req, res, next);
+
+        expect(res.json).toHaveBeenCalledWith([{status: 404, error: err}]);
+      });
+    });
+
+    describe('.deleteMany()', function() {
+      it('checks that plain and object identifiers are accepted.', function() {
+        const router = new GenericRouter(dao, usersCourses);
+
+        req.body = [3, {userCourseID: 4}];
+        router.deleteMany(req, res, next);
+
+        expect(dao.delete.calls.argsFor(0)[0]).toEqual({userCourseID: 3});
+        expect(dao.delete.calls.argsFor(1)[0]).toEqual({userCourseID: 4});
+        expect(res.json).toHaveBeenCalledWith([
+          {status: 200, resource: {userCourseID: 3}},
+          {status: 200, resource: {userCourseID: 4}}
+        ]);
+      });
+
+      it('checks that composite identifiers must be complete.', function() {
+        const router = new GenericRouter(dao, userCourseRounds);
+
+        req.body = [{userCourseID: 3, roundNum: 1}, {userCourseID: 3}, 3];
+        router.deleteMany(req, res, next);
+
+        const results = res.json.calls.argsFor(0)[0];
+
+        expect(dao.delete.calls.count()).toBe(1);
+        expect(dao.delete).toHaveBeenCalledWith({userCourseID: 3, roundNum: 1});
+        expect(results[1].status).toBe(422);
+        expect(results[1].error.errors[0].field).toBe('roundNum');
+        expect(results[2].status).toBe(422);
+        expect(results[2].error.errors[0].code).toBe('VAL_OBJECT');
+      });
+    });
+
+    describe('hooks', function() {
+      beforeEach(function() {
+        req.user = {id: 7};
+      });
+
+      it('checks that the create hooks are run on each item of createMany.', function() {
+        const router = new GenericRouter(dao, usersCourses, null, {hooks: {
+          beforeCreate: (course, req) => Object.assign({}, course, {userID: req.user.id}),
+          afterCreate:  course => Object.assign({}, course, {hooked: true})
+        }});
+
+        req.body = [{name: 'Pine Hills', userID: 999}, {name: 'Oak Hills', userID: 999}];
+        router.createMany(req, res, next);
+
+        expect(dao.create.calls.allArgs().map(args => args[0].userID)).toEqual([7, 7]);
+        expect(res.json.calls.argsFor(0)[0].map(result => result.resource)).toEqual([
+          {userCourseID: 1, name: 'Pine Hills', userID: 7, hooked: true},
+          {userCourseID: 1, name: 'Oak Hills', userID: 7, hooked: true}
+        ]);
+      });
+
+      it('checks that the update and delete hooks are run on each item.', function() {
+        const beforeUpdate = jasmine.createSpy('beforeUpdate')
+          .and.callFake(course => Object.assign({}, course, {name: 'Hooked'}));
+        const beforeDelete = jasmine.createSpy('beforeDelete');
+        const afterDelete  = jasmine.createSpy('afterDelete').and.returnValue({deleted: true});
+        const router       = new GenericRouter(dao, usersCourses, null,
+          {hooks: {beforeUpdate, beforeDelete, afterDelete}});
+
+        req.body = [{userCourseID: 3, name: 'Pine Hills', userID: 42}];
+        router.updateMany(req, res, next);
+
+        expect(beforeUpdate).toHaveBeenCalledWith(req.body[0], req);
+        expect(dao.update.calls.argsFor(0)[0].name).toBe('Hooked');
+
+        req.body = [3];
+        router.deleteMany(req, res, next);
+
+        expect(beforeDelete).toHaveBeenCalledWith({userCourseID: 3}, req);
+        expect(afterDelete).toHaveBeenCalledWith({userCourseID: 3}, req);
+        expect(res.json.calls.argsFor(1)[0]).toEqual([{status: 200, resource: {deleted: true}}]);
+      });
+
+      it('checks that a failed hook fails only its item.', function() {
+        const router = new GenericRouter(dao, usersCourses, null, {hooks: {
+          beforeCreate: course => course.name === 'B' ? deferred.reject(new Error('No.')) : course
+        }});
+
+        req.body = [{name: 'A', userID: 42}, {name: 'B', userID: 42}];
+        router.createMany(req, res, next);
+
+        expect(dao.create.calls.count()).toBe(1);
+        expect(res.json.calls.argsFor(0)[0].map(result => result.status)).toEqual([201, 500]);
+      });
+    });
+
+    describe('atomic mode', function() {
+      let txDao;
+
+      beforeEach(function() {
+        txDao = jasmine.createSpyObj('txDao', ['create', 'update', 'delete']);
+        txDao.create.and.callFake(course => deferred.resolve(course));
+
+        dao.transaction = jasmine.createSpy('transaction')
+          .and.callFake(fn => fn(txDao));
+      });
+
+      it('checks that a 404 is returned if the dao has no transaction method.', function() {
+        const router = new GenericRouter(dao, usersCourses, null, {bulk: {atomic: true}});
+
+        delete dao.transaction;
+        req.body = [];
+        router.createMany(req, res, next);
+        expect(next.calls.argsFor(0)[0].message).toBe('Method transaction not available.');
+      });
+
+      it('checks that the resources are written in a transaction.', function() {
+        const router = new GenericRouter(dao, usersCourses, null, {bulk: {atomic: true}});
+
+        req.body = [{name: 'A', userID: 42}, {name: 'B', userID: 42}];
+        router.createMany(req, res, next);
+
+        expect(dao.transaction).toHaveBeenCalled();
+        expect(dao.create).not.toHaveBeenCalled();
+        expect(txDao.create.calls.count()).toBe(2);
+        expect(res.status).toHaveBeenCalledWith(207);
+        expect(res.json).toHaveBeenCalledWith([
+          {status: 201, resource: req.body[0]},
+          {status: 201, resource: req.body[1]}
+        ]);
+      });
+
+      it('checks that any invalid resource fails the request before writing.', function() {
+        const router = new GenericRouter(dao, usersCourses, null, {bulk: {atomic: true}});
+
+        req.body = [{name: 'A', userID: 42}, {userID: 42}];
+        router.createMany(req, res, next);
+
+        const err = next.calls.argsFor(0)[0];
+
+        expect(dao.transaction).not.toHaveBeenCalled();
+        expect(err.name).toBe('ValidationErrorList');
+        expect(err.errors[0].field).toBe('[1].name');
+      });
+
+      it('checks that the hooks are run in the transaction.', function() {
+        const router = new GenericRouter(dao, usersCourses, null, {bulk: {atomic: true}, hooks: {
+          beforeCreate: (course, req) => {
+            expect(dao.transaction).toHaveBeenCalled();
+            return Object.assign({}, course, {userID: req.user.id});
+          },
+          afterCreate: course => {
+            expect(res.json).not.toHaveBeenCalled();
+            return Object.assign({}, course, {hooked: true});
+          }
+        }});
+
+        req.user = {id: 7};
+        req.body = [{name: 'A', userID: 999}];
+        router.createMany(req, res, next);
+
+        expect(txDao.create).toHaveBeenCalledWith({name: 'A', userID: 7});
+        expect(res.json).toHaveBeenCalledWith(
+          [{status: 201, resource: {name: 'A', userID: 7, hooked: true}}]);
+      });
+
+      it('checks that a failed hook fails the request.', function() {
+        const router = new GenericRouter(dao, usersCourses, null, {bulk: {atomic: true}, hooks: {
+          afterCreate: course => course.name === 'B' ? deferred.reject(new Error('No.')) : course
+        }});
+
+        req.body = [{name: 'A', userID: 42}, {name: 'B', userID: 42}];
+        router.createMany(req, res, next);
+
+        expect(next.calls.argsFor(0)[0].message).toBe('No.');
+        expect(res.json).not.toHaveBeenCalled();
+      });
+
+      it('checks that a failure fails the request.', function() {
+        const router = new GenericRouter(dao, usersCourses, null, {bulk: {atomic: true}});
+        const err    = new Error('Connection lost.');
+
+        txDao.create.and.returnValues(deferred.resolve({}), deferred.reject(err));
+        req.body = [{name: 'A', userID: 42}, {name: 'B', userID: 42}];
+        router.createMany(req, res, next);
+
+        expect(next).toHaveBeenCalledWith(err);
+        expect(res.json).not.toHaveBeenCalled();
+      });
+    });
+  });
+  /**
+   * Conditional requests.
+   */
+  describe('conditional requests', function() {
+    const stored = {userID: 42, email: 'joe@example.com', extUserID: 'abc'};
+
+    let etag;
+
+    beforeEach(function() {
+      etag = new ETagger().generate(stored);
+      dao.retrieveByID.and.returnValue(deferred.resolve(stored));
+      dao.update.and.callFake(resource => deferred.resolve(resource));
+      dao.delete.and.returnValue(deferred.resolve({}));
+    });
+
+    it('checks that retrieveByID sets an ETag.', function() {
+      const router = new GenericRouter(dao, users);
+
+      router.retrieveByID(req, res, next);
+      expect(res.set).toHaveBeenCalledWith('ETag', etag);
+      expect(res.json).toHaveBeenCalledWith(stored);
+    });
+
+    it('checks that lists set an ETag.', function() {
+      const router = new GenericRouter(dao, usersCourses, users);
+
+      dao.retrieve.and.returnValue(deferred.resolve([stored]));
+      router.retrieve(req, res, next);
+      expect(res.set).toHaveBeenCalledWith('ETag', new ETagger().generate([stored]));
+    });
+
+    it('checks that a 304 is sent if If-None-Match matches.', function() {
+      const router = new GenericRouter(dao, users);
+
+      req.headers['if-none-match'] = `W/${etag}`;
+      router.retrieveByID(req, res, next);
+      expect(res.status).toHaveBeenCalledWith(304);
+      expect(res.end).toHaveBeenCalled();
+      expect(res.json).not.toHaveBeenCalled();
+    });
+
+    it('checks that the resource is sent if If-None-Match does not match.', function() {
+      const router = new GenericRouter(dao, users);
+
+      req.headers['if-none-match'] = '"stale"';
+      router.retrieveByID(req, res, next);
+      expect(res.status).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(stored);
+    });
+
+    it('checks that an update is applied if If-Match matches.', function() {
+      const router = new GenericRouter(dao, users);
+      const body   = {userID: 42, email: 'jack@example.com', extUserID: 'abc'};
+
+      req.headers['if-match'] = etag;
+      req.body = body;
+      router.update(req, res, next);
+      expect(dao.retrieveByID).toHaveBeenCalledWith(42);
+      expect(dao.update).toHaveBeenCalledWith(body);
+      expect(res.set).toHaveBeenCalledWith('ETag', new ETagger().generate(body));
+      expect(res.json).toHaveBeenCalledWith(body);
+    });
+
+    it('checks that a stale If-Match fails the update with a 412.', function() {
+      const router = new GenericRouter(dao, users);
+
+      req.headers['if-match'] = '"stale"';
+      req.body = {email: 'jack@example.com', extUserID: 'abc'};
+      router.update(req, res, next);
+
+      const err = next.calls.argsFor(0)[0];
+
+      expect(err.name).toBe('PreconditionFailedError');
+      expect(err.code).toBe('PRECONDITION_FAILED_ERROR');
+      expect(dao.update).not.toHaveBeenCalled();
+    });
+
+    it('checks that If-Match fails if the resource does not exist.', function() {
+      const router = new GenericRouter(dao, users);
+
+      dao.retrieveByID.and.returnValue(deferred.resolve(null));
+      req.headers['if-match'] = '*';
+      router.delete(req, res, next);
+      expect(next.calls.argsFor(0)[0].name).toBe('PreconditionFailedError');
+      expect(dao.delete).not.toHaveBeenCalled();
+    });
+
+    it('checks that a stale If-Match fails the delete.', function() {
+      const router = new GenericRouter(dao, users);
+
+      req.headers['if-match'] = '"stale"';
+      router.delete(req, res, next);
+      expect(next.calls.argsFor(0)[0].name).toBe('PreconditionFailedError');
+      expect(dao.delete).not.toHaveBeenCalled();
+
+      next.calls.reset();
+      req.headers['if-match'] = etag;
+      router.delete(req, res, next);
+      expect(next).not.toHaveBeenCalled();
+      expect(dao.delete).toHaveBeenCalledWith({userID: 42});
+    });
+
+    it('checks that a stale If-Match fails the patch.', function() {
+      const router = new GenericRouter(dao, users);
+
+      req.headers['if-match'] = '"stale"';
+      req.body = {name: 'Jack'};
+      router.patch(req, res, next);
+      expect(next.calls.argsFor(0)[0].name).toBe('PreconditionFailedError');
+      expect(dao.update).not.toHaveBeenCalled();
+    });
+
+    it('checks that the ETag of a hooked resource matches If-Match.', function() {
+      const router = new GenericRouter(dao, users, null, {hooks: {
+        afterRetrieveByID: user => {
+          user.extUserID = 'hidden';
+          return user;
+        }
+      }});
+
+      dao.retrieveByID.and.returnValue(deferred.resolve(Object.assign({}, stored)));
+      router.retrieveByID(req, res, next);
+      expect(res.set).toHaveBeenCalledWith('ETag', etag);
+      expect(res.json.calls.argsFor(0)[0].extUserID).toBe('hidden');
+
+      dao.retrieveByID.and.returnValue(deferred.resolve(stored));
+      req.headers['if-match'] = res.set.calls.argsFor(0)[1];
+      router.delete(req, res, next);
+      expect(next).not.toHaveBeenCalled();
+      expect(dao.delete).toHaveBeenCalledWith({userID: 42});
+    });
+
+    it('checks that the ETag of an update is generated before the after hooks.', function() {
+      const body   = {userID: 42, email: 'jack@example.com', extUserID: 'abc'};
+      const router = new GenericRouter(dao, users, null, {hooks: {
+        afterUpdate: user => Object.assign({}, user, {extUserID: 'hidden'})
+      }});
+
+      req.headers['if-match'] = etag;
+      req.body = body;
+      router.update(req, res, next);
+      expect(res.set).toHaveBeenCalledWith('ETag', new ETagger().generate(body));
+      expect(res.json.calls.argsFor(0)[0].extUserID).toBe('hidden');
+    });
+
+    it('checks that the stored resource is not retrieved without If-Match.', function() {
+      const router = new GenericRouter(dao, users);
+
+      router.delete(req, res, next);
+      expect(dao.retrieveByID).not.toHaveBeenCalled();
+    });
+
+    it('checks that a version column can be used.', function() {
+      const router = new GenericRouter(dao, users, null, {etag: {versionColumn: 'lastLogin'}});
+
+      router.retrieveByID(req, res, next);
+      expect(res.set).toHaveBeenCalledWith('ETag',
+        new ETagger({versionColumn: 'lastLogin'}).generate(stored));
+    });
+
+    it('checks that ETags can be disabled.', function() {
+      const router = new GenericRouter(dao, users, null, {etag: false});
+
+      req.headers['if-match'] = '"stale"';
+      router.retrieveByID(req, res, next);
+      router.delete(req, res, next);
+      expect(res.set).not.toHaveBeenCalledWith('ETag', jasmine.any(String));
+      expect(dao.delete).toHaveBeenCalled();
+    });
   });
+  /**
+   * Authorization policies.
+   */
+  describe('policies', function() {
+    const stored = {userID: 42, email: 'joe@example.com', extUserID: 'abc'};
+
+    beforeEach(function() {
+      dao.retrieveByID.and.returnValue(deferred.resolve(stored));
+      dao.retrieve.and.returnValue(deferred.resolve([]));
+      dao.create.and.returnValue(deferred.resolve({}));
+      dao.delete.and.returnValue(deferred.resolve({}));
+      req.user = {isAdmin: false};
+    });
+
+    it('checks that an allow function that returns false causes a ForbiddenError.', function() {
+      const router = new GenericRouter(dao, users, null,
+        {policies: {retrieveWhere: req => req.user.isAdmin}});
+
+      router.retrieveWhere(req, res, next);
+
+      const err = next.calls.argsFor(0)[0];
+
+      expect(dao.retrieve).not.toHaveBeenCalled();
+      expect(err.name).toBe('ForbiddenError');
+      expect(err.message).toBe('Method retrieveWhere not allowed.');
+    });
+
+    it('checks that the request is processed if allowed.', function() {
+      const router = new GenericRouter(dao, users, null,
+        {policies: {retrieveWhere: req => !req.user.isAdmin}});
+
+      router.retrieveWhere(req, res, next);
+      expect(next).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith([]);
+    });
+
+    it('checks that allow and deny functions can be combined.', function() {
+      const router = new GenericRouter(dao, usersCourses, null, {policies: {
+        create: {allow: () => true, deny: req => !req.user.isAdmin}
+      }});
+
+      req.body = courseBodies.create;
+      router.create(req, res, next);
+      expect(dao.create).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].name).toBe('ForbiddenError');
+
+      next.calls.reset();
+      req.user.isAdmin = true;
+      router.create(req, res, next);
+      expect(dao.create).toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('checks that policies can return promises.', function() {
+      const router = new GenericRouter(dao, users, null,
+        {policies: {create: () => deferred.resolve(false)}});
+
+      req.body = {email: 'joe@example.com', extUserID: 'abc'};
+      router.create(req, res, next);
+      expect(dao.create).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].name).toBe('ForbiddenError');
+    });
+
+    it('checks that errors in a policy are propagated.', function() {
+      const err    = new Error('Policy error.');
+      const router = new GenericRouter(dao, users, null,
+        {policies: {options: () => { throw err; }}});
+
+      router.options(req, res, next);
+      expect(dao.options).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(err);
+    });
+
+    it('checks that patch falls back to the update policy.', function() {
+      const deny   = () => false;
+      const router = new GenericRouter(dao, users, null, {policies: {update: deny}});
+
+      req.body = {name: 'Joe'};
+      router.patch(req, res, next);
+      expect(dao.update).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].name).toBe('ForbiddenError');
+    });
+
+    it('checks that createMany falls back to the create policy.', function() {
+      const router = new GenericRouter(dao, users, null, {policies: {create: () => false}});
+
+      req.body = [{email: 'joe@example.com', extUserID: 'abc'}];
+      router.createMany(req, res, next);
+      expect(dao.create).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].name).toBe('ForbiddenError');
+    });
+
+    it('checks that each item of a bulk delete is checked against the delete policy.', function() {
+      const allow  = jasmine.createSpy('allow').and.callFake((req, user) => user.userID !== 2);
+      const router = new GenericRouter(dao, users, null, {policies: {delete: allow}});
+
+      dao.retrieveByID.and.callFake(userID => deferred.resolve({userID}));
+      req.body = [1, 2];
+      router.deleteMany(req, res, next);
+
+      expect(allow).toHaveBeenCalledWith(req, {userID: 1});
+      expect(allow).toHaveBeenCalledWith(req, {userID: 2});
+      expect(dao.delete.calls.allArgs()).toEqual([[{userID: 1}]]);
+      expect(res.status).toHaveBeenCalledWith(207);
+      expect(res.json.calls.argsFor(0)[0].map(result => result.status)).toEqual([200, 403]);
+    });
+
+    it('checks that each item of a bulk update is checked against the update policy.', function() {
+      const router = new GenericRouter(dao, users, null, {policies: {update: () => false}});
+
+      req.body = [{userID: 1, email: 'joe@example.com', extUserID: 'abc'}];
+      router.updateMany(req, res, next);
+
+      expect(dao.retrieveByID).toHaveBeenCalledWith(1);
+      expect(dao.update).not.toHaveBeenCalled();
+      expect(res.json.calls.argsFor(0)[0][0].status).toBe(403);
+    });
+
+    it('checks that a denied item fails an atomic bulk operation.', function() {
+      const txDao  = jasmine.createSpyObj('txDao', daoMethods);
+      const router = new GenericRouter(dao, users, null,
+        {bulk: {atomic: true}, policies: {delete: () => false}});
+
+      dao.transaction = work => work(txDao);
+      txDao.retrieveByID.and.returnValue(deferred.resolve(stored));
+      req.body = [42];
+      router.deleteMany(req, res, next);
+
+      expect(txDao.retrieveByID).toHaveBeenCalledWith(42);
+      expect(txDao.delete).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].name).toBe('ForbiddenError');
+    });
+
+    it('checks that item policies receive the stored resource.', function() {
+      const allow  = jasmine.createSpy('allow').and.returnValue(false);
+      const router = new GenericRouter(dao, users, null, {policies: {delete: allow}});
+
+      router.delete(req, res, next);
+      expect(dao.retrieveByID).toHaveBeenCalledWith(42);
+      expect(allow).toHaveBeenCalledWith(req, stored);
+      expect(dao.delete).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].name).toBe('ForbiddenError');
+    });
+
+    it('checks that update policies are checked before the dao is called.', function() {
+      const router = new GenericRouter(dao, users, null,
+        {policies: {update: (req, resource) => resource.email === 'jack@example.com'}});
+
+      req.body = {email: 'jack@example.com', extUserID: 'abc'};
+      router.update(req, res, next);
+      expect(dao.update).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].name).toBe('ForbiddenError');
+    });
+
+    it('checks that patch policies receive the stored resource.', function() {
+      const allow  = jasmine.createSpy('allow').and.returnValue(true);
+      const router = new GenericRouter(dao, users, null, {policies: {patch: allow}});
+
+      dao.update.and.returnValue(deferred.resolve(stored));
+      req.body = {name: 'Joe'};
+      router.patch(req, res, next);
+      expect(allow).toHaveBeenCalledWith(req, stored);
+      expect(dao.update).toHaveBeenCalled();
+    });
+
+    it('checks that retrieveByID does not send a forbidden resource.', function() {
+      const router = new GenericRouter(dao, users, null, {policies: {retrieveByID: () => false}});
+
+      router.retrieveByID(req, res, next);
+      expect(res.json).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].name).toBe('ForbiddenError');
+    });
+
+    it('checks that bulk operations have their own policies.', function() {
+      const router = new GenericRouter(dao, users, null, {policies: {deleteMany: () => false}});
+
+      req.body = [42];
+      router.deleteMany(req, res, next);
+      expect(dao.delete).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].name).toBe('ForbiddenError');
+
+      next.calls.reset();
+      router.delete(req, res, next);
+      expect(dao.retrieveByID).not.toHaveBeenCalled();
+      expect(dao.delete).toHaveBeenCalled();
+    });
+
+    it('checks that replace policies are checked.', function() {
+      const router = new GenericRouter(dao, usersCourses, users, {policies: {replace: () => false}});
+
+      req.body = courseBodies.replace;
+      router.replace(req, res, next);
+      expect(dao.replace).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].name).toBe('ForbiddenError');
+    });
+  });
+  /**
+   * Lifecycle hooks.
+   */
+  describe('hooks', function() {
+    const stored = {userID: 42, email: 'joe@example.com', extUserID: 'abc'};
+
+    beforeEach(function() {
+      dao.create.and.callFake(resource => deferred.resolve(resource));
+      dao.update.and.callFake(resource => deferred.resolve(resource));
+      dao.retrieveByID.and.returnValue(deferred.resolve(stored));
+      dao.retrieve.and.returnValue(deferred.resolve([stored]));
+      dao.delete.and.returnValue(deferred.resolve({}));
+      dao.replace.and.callFake((table, pID, resources) => deferred.resolve(resources));
+      req.session = {userID: 7};
+    });
+
+    it('checks that invalid hook names are rejected.', function() {
+      const router = new GenericRouter(dao, users);
+
+      expect(() => router.addHook('beforeFoo', () => {}))
+        .toThrowError('Invalid hook name: beforeFoo.');
+      expect(() => router.addHook('duringCreate', () => {}))
+        .toThrowError('Invalid hook name: duringCreate.');
+      expect(() => router.addHook('beforeCreate', null))
+        .toThrowError('Hook beforeCreate must be a function.');
+      expect(() => new GenericRouter(dao, users, null, {hooks: {afterFoo: () => {}}}))
+        .toThrowError('Invalid hook name: afterFoo.');
+    });
+
+    it('checks that a before hook can modify the body of a create.', function() {
+      const router = new GenericRouter(dao, usersCourses, null, {hooks: {
+        beforeCreate: (course, req) => Object.assign({}, course, {userID: req.session.userID})
+      }});
+
+      req.body = {name: 'Pine Hills', userID: 42};
+      router.create(req, res, next);
+      expect(dao.create).toHaveBeenCalledWith({name: 'Pine Hills', userID: 7});
+      expect(res.json).toHaveBeenCalledWith({name: 'Pine Hills', userID: 7});
+    });
+
+    it('checks that hooks are run in order, and undefined keeps the payload.', function() {
+      const router = new GenericRouter(dao, users);
+      const calls  = [];
+
+      router
+        .addHook('afterRetrieveByID', user => { calls.push(1); return Object.assign({}, user, {n: 1}); })
+        .addHook('afterRetrieveByID', user => { calls.push(user.n); })
+        .addHook('afterRetrieveByID', user => deferred.resolve({userID: user.userID}));
+
+      router.retrieveByID(req, res, next);
+      expect(calls).toEqual([1, 1]);
+      expect(res.json).toHaveBeenCalledWith({userID: 42});
+    });
+
+    it('checks that a before hook can change the identifier.', function() {
+      const router = new GenericRouter(dao, users, null,
+        {hooks: {beforeRetrieveByID: () => 43}});
+
+      router.retrieveByID(req, res, next);
+      expect(dao.retrieveByID).toHaveBeenCalledWith(43);
+    });
+
+    it('checks that list hooks are applied in retrieve.', function() {
+      const router = new GenericRouter(dao, usersCourses, users, {hooks: {
+        beforeRetrieve: pID => pID + 1,
+        afterRetrieve:  rows => rows.map(row => row.userID)
+      }});
+
+      router.retrieve(req, res, next);
+      expect(dao.retrieve).toHaveBeenCalledWith(43);
+      expect(res.json).toHaveBeenCalledWith([42]);
+    });
+
+    it('checks that retrieveWhere hooks receive the where and params.', function() {
+      const tenant = {$eq: {'Users.extUserID': ':tenant'}};
+      const router = new GenericRouter(dao, users, null, {hooks: {
+        beforeRetrieveWhere: (cond, req) => ({
+          where:  cond.where ? {$and: [cond.where, tenant]} : tenant,
+          params: Object.assign({}, cond.params, {tenant: req.session.userID})
+        })
+      }});
+
+      router.retrieveWhere(req, res, next);
+      expect(dao.retrieve).toHaveBeenCalledWith(tenant, {tenant: 7});
+    });
+
+    it('checks that update and patch run the update hooks.', function() {
+      const before = jasmine.createSpy('beforeUpdate');
+      const after  = jasmine.createSpy('afterUpdate').and.returnValue({updated: true});
+      const router = new GenericRouter(dao, users, null,
+        {hooks: {beforeUpdate: before, afterUpdate: after}});
+
+      req.body = {email: 'jack@example.com', extUserID: 'abc'};
+      router.update(req, res, next);
+      expect(before).toHaveBeenCalledWith(
+        {email: 'jack@example.com', extUserID: 'abc', userID: 42}, req);
+      expect(res.json).toHaveBeenCalledWith({updated: true});
+
+      req.body = {name: 'Jack'};
+      router.patch(req, res, next);
+      expect(before).toHaveBeenCalledWith(Object.assign({name: 'Jack'}, stored), req);
+      expect(after.calls.count()).toBe(2);
+    });
+
+    it('checks that delete hooks receive the key.', function() {
+      const before = jasmine.createSpy('beforeDelete');
+      const router = new GenericRouter(dao, users, null, {hooks: {beforeDelete: before}});
+
+      router.delete(req, res, next);
+      expect(before).toHaveBeenCalledWith({userID: 42}, req);
+      expect(dao.delete).toHaveBeenCalledWith({userID: 42});
+    });
+
+    it('checks that replace hooks receive the array of resources.', function() {
+      const router = new GenericRouter(dao, usersCourses, users, {hooks: {
+        beforeReplace: courses => courses.concat({name: 'Extra'})
+      }});
+
+      req.body = [{name: 'Pine Hills'}];
+      router.replace(req, res, next);
+      expect(dao.replace).toHaveBeenCalledWith('Users', 42,
+        [{name: 'Pine Hills'}, {name: 'Extra'}]);
+    });
+
+    it('checks that a hook can abort the request.', function() {
+      const err    = new Error('Not today.');
+      const router = new GenericRouter(dao, usersCourses, null, {hooks: {
+        beforeCreate: [() => deferred.reject(err)]
+      }});
+
+      req.body = courseBodies.create;
+      router.create(req, res, next);
+      expect(dao.create).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(err);
+    });
+  });
+  /**
+   * Content negotiation.
+   */
+  describe('content negotiation', function() {
+    const courses = [
+      {userCourseID: 1, userID: 42, name: 'Pine Hills', city: 'Bend, OR', numHoles: 18},
+      {userCourseID: 2, userID: 42, name: 'The "Dunes"', city: null, numHoles: 9}
+    ];
+
+    beforeEach(function() {
+      dao.retrieve.and.returnValue(deferred.resolve(courses));
+      dao.retrieveByID.and.returnValue(deferred.resolve(courses[0]));
+    });
+
+    it('checks that JSON is sent by default.', function() {
+      const router = new GenericRouter(dao, usersCourses, users);
+
+      router.retrieve(req, res, next);
+      expect(res.json).toHaveBeenCalledWith(courses);
+      expect(res.set).toHaveBeenCalledWith('Vary', 'Accept');
+    });
+
+    it('checks that CSV is sent if accepted.', function() {
+      const router = new GenericRouter(dao, usersCourses, users);
+
+      req.headers.accept = 'text/csv';
+      router.retrieve(req, res, next);
+      expect(res.json).not.toHaveBeenCalled();
+      expect(res.set).toHaveBeenCalledWith('Content-Type', 'text/csv; charset=utf-8');
+      expect(res.send).toHaveBeenCalledWith(
+        'city,createdOn,name,numHoles,state,userCourseID,userID\r\n' +
+        '"Bend, OR",,Pine Hills,18,,1,42\r\n' +
+        ',,"The ""Dunes""",9,,2,42\r\n');
+    });
+
+    it('checks that NDJSON is sent from retrieveWhere using the format parameter.', function() {
+      const router = new GenericRouter(dao, usersCourses);
+
+      req.query.format = 'ndjson';
+      router.retrieveWhere(req, res, next);
+      expect(dao.retrieve).toHaveBeenCalledWith(undefined, undefined);
+      expect(res.set).toHaveBeenCalledWith('Content-Type', 'application/x-ndjson; charset=utf-8');
+      expect(res.send).toHaveBeenCalledWith(
+        `${JSON.stringify(courses[0])}\n${JSON.stringify(courses[1])}\n`);
+    });
+
+    it('checks that CSV columns are narrowed by the fields parameter.', function() {
+      const router = new GenericRouter(dao, usersCourses);
+
+      req.query.format = 'csv';
+      req.query.fields = 'name';
+      router.retrieveByID(req, res, next);
+      expect(res.send).toHaveBeenCalledWith('name,userCourseID\r\nPine Hills,1\r\n');
+    });
+
+    it('checks that each format has its own ETag.', function() {
+      const router = new GenericRouter(dao, usersCourses);
+      const etag   = new ETagger().generate(courses[0]);
+
+      req.query.format = 'csv';
+      router.retrieveByID(req, res, next);
+      expect(res.set).toHaveBeenCalledWith('ETag', etag.replace(/"$/, '-csv"'));
+    });
+
+    it('checks that a NotAcceptableError is raised for unsupported types.', function() {
+      const router = new GenericRouter(dao, usersCourses, users);
+
+      req.headers.accept = 'application/xml';
+      router.retrieve(req, res, next);
+      expect(dao.retrieve).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].name).toBe('NotAcceptableError');
+
+      next.calls.reset();
+      req.headers = {};
+      req.query.format = 'xml';
+      router.retrieveByID(req, res, next);
+      expect(dao.retrieveByID).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].message).toBe('Format "xml" is not supported.');
+    });
+
+    it('checks that the formats can be restricted.', function() {
+      const router = new GenericRouter(dao, usersCourses, null, {formats: ['json']});
+
+      req.query.format = 'csv';
+      router.retrieveWhere(req, res, next);
+      expect(next.calls.argsFor(0)[0].name).toBe('NotAcceptableError');
+      expect(res.set).not.toHaveBeenCalledWith('Vary', 'Accept');
+    });
+  });
+  /**
+   * Streaming.
+   */
+  describe('streaming', function() {
+    const stream  = require('stream');
+    const courses = [
+      {userCourseID: 1, userID: 42, name: 'Pine Hills'},
+      {userCourseID: 2, userID: 42, name: 'Dunes'}
+    ];
+
+    let readable;
+
+    beforeEach(function() {
+      readable = new stream.Readable({objectMode: true, read() {}});
+      courses.forEach(course => readable.push(course));
+      readable.push(null);
+
+      // Streamed responses are written with write and end.
+      res.body  = '';
+      res.on    = jasmine.createSpy('on');
+      res.write = jasmine.createSpy('write').and.callFake(chunk => {
+        res.body += chunk;
+        return true;
+      });
+      res.end.and.callFake(chunk => res.body += chunk);
+    });
+
+    it('checks that a streamed list is written incrementally as JSON.', function(done) {
+      const router = new GenericRouter(dao, usersCourses, users);
+
+      dao.retrieve.and.returnValue(readable);
+      res.end.and.callFake(chunk => {
+        res.body += chunk;
+
+        expect(JSON.parse(res.body)).toEqual(courses);
+        expect(res.json).not.toHaveBeenCalled();
+        expect(res.set).toHaveBeenCalledWith('Content-Type', 'application/json; charset=utf-8');
+        expect(res.set).not.toHaveBeenCalledWith('ETag', jasmine.any(String));
+        done();
+      });
+
+      router.retrieve(req, res, next);
+    });
+
+    it('checks that a promise for a stream is written as NDJSON with hooks.', function(done) {
+      const router = new GenericRouter(dao, usersCourses, null,
+        {hooks: {afterRetrieveWhere: courses => courses.map(course => course.name)}});
+
+      dao.retrieve.and.returnValue(deferred.resolve(readable));
+      req.query.format = 'ndjson';
+      res.end.and.callFake(chunk => {
+        res.body += chunk;
+
+        expect(res.body).toBe('"Pine Hills"\n"Dunes"\n');
+        done();
+      });
+
+      router.retrieveWhere(req, res, next);
+    });
+
+    it('checks that the total count is set for paged streams.', function(done) {
+      const router = new GenericRouter(dao, usersCourses, users);
+
+      dao.retrieve.and.returnValue(readable);
+      dao.count = jasmine.createSpy('count').and.returnValue(deferred.resolve(10));
+      req.query.limit = '2';
+      res.end.and.callFake(() => {
+        expect(res.set).toHaveBeenCalledWith('X-Total-Count', '10');
+        done();
+      });
+
+      router.retrieve(req, res, next);
+    });
+
+    it('checks that stream errors are passed to next.', function(done) {
+      const router = new GenericRouter(dao, usersCourses, users);
+      const err    = new Error('Connection lost.');
+      const broken = new stream.Readable({objectMode: true, read() {}});
+
+      dao.retrieve.and.returnValue(broken);
+      next.and.callFake(e => {
+        expect(e).toBe(err);
+        done();
+      });
+
+      router.retrieve(req, res, next);
+      broken.emit('error', err);
+    });
+  });
+
+  /**
+   * Includes.
+   */
+  describe('includes', function() {
+    let userDao, courseDao, userRouter, courseRouter;
+
+    beforeEach(function() {
+      userDao      = jasmine.createSpyObj('userDao', daoMethods);
+      courseDao    = jasmine.createSpyObj('courseDao', daoMethods);
+      courseRouter = new GenericRouter(courseDao, usersCourses, null, {include: {maxDepth: 2}});
+      userRouter   = new GenericRouter(userDao, users, null,
+        {relations: {usersCourses: courseRouter}, include: {maxDepth: 2}});
+
+      courseRouter.addRelation('user', userRouter);
+    });
+
+    it('checks that relations must be joined by a foreign key.', function() {
+      const rounds = new GenericRouter(dao, userCourseRounds);
+
+      expect(() => userRouter.addRelation('rounds', rounds))
+        .toThrowError('Relation rounds: Users and UserCourseRounds are not related.');
+      expect(userRouter.addRelation('courses', courseRouter)).toBe(userRouter);
+    });
+
+    it('checks that many related resources are included with one query.', function() {
+      userDao.retrieve.and.returnValue(deferred.resolve([{userID: 1}, {userID: 2}]));
+      courseDao.retrieve.and.returnValue(deferred.resolve([
+        {userCourseID: 10, userID: 1}, {userCourseID: 11, userID: 1}
+      ]));
+      req.query.include = 'usersCourses';
+
+      userRouter.retrieve(req, res, next);
+
+      expect(courseDao.retrieve.calls.count()).toBe(1);
+      expect(courseDao.retrieve).toHaveBeenCalledWith(
+        {$in: {'UsersCourses.userID': [':include_usersCourses_0', ':include_usersCourses_1']}},
+        {include_usersCourses_0: 1, include_usersCourses_1: 2});
+      expect(userDao.retrieve).toHaveBeenCalledWith();
+      expect(res.json).toHaveBeenCalledWith([
+        {userID: 1, usersCourses: [{userCourseID: 10, userID: 1}, {userCourseID: 11, userID: 1}]},
+        {userID: 2, usersCourses: []}
+      ]);
+    });
+
+    it('checks that a single related resource is included by retrieveByID.', function() {
+      courseDao.retrieveByID.and.returnValue(deferred.resolve({userCourseID: 12, userID: '42'}));
+      userDao.retrieve.and.returnValue(deferred.resolve([{userID: 42, name: 'Ben'}]));
+      req.query.include = 'user';
+
+      courseRouter.retrieveByID(req, res, next);
+
+      expect(userDao.retrieve).toHaveBeenCalledWith(
+        {$in: {'Users.userID': [':include_user_0']}}, {include_user_0: '42'});
+      expect(res.json).toHaveBeenCalledWith(
+        {userCourseID: 12, userID: '42', user: {userID: 42, name: 'Ben'}});
+    });
+
+    it('checks that nested relations are included.', function() {
+      userDao.retrieveByID.and.returnValue(deferred.resolve({userID: 42}));
+      courseDao.retrieve.and.returnValue(deferred.resolve([{userCourseID: 12, userID: 42}]));
+      userDao.retrieve.and.returnValue(deferred.resolve([{userID: 42}]));
+      req.query.include = 'usersCourses.user';
+
+      userRouter.retrieveByID(req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith({
+        userID:       42,
+        usersCourses: [{userCourseID: 12, userID: 42, user: {userID: 42}}]
+      });
+    });
+
+    it('checks that the related dao is not called if there are no join values.', function() {
+      courseDao.retrieve.and.returnValue(deferred.resolve([{userCourseID: 12, userID: null}]));
+      req.query.include = 'user';
+
+      courseRouter.retrieveWhere(req, res, next);
+
+      expect(userDao.retrieve).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith([{userCourseID: 12, userID: null, user: null}]);
+    });
+
+    it('checks that unknown relations and excess depth raise ValidationErrors.', function() {
+      req.query.include = 'courses';
+      userRouter.retrieve(req, res, next);
+      expect(next.calls.argsFor(0)[0].code).toBe('VAL_INCLUDE');
+
+      req.query.include = 'usersCourses.user.usersCourses';
+      userRouter.retrieveByID(req, res, next);
+      expect(next.calls.argsFor(1)[0].code).toBe('VAL_INCLUDE');
+
+      expect(userDao.retrieve).not.toHaveBeenCalled();
+      expect(userDao.retrieveByID).not.toHaveBeenCalled();
+    });
+
+    it('checks that the join column is added to a sparse fieldset.', function() {
+      courseDao.retrieveByID.and.returnValue(deferred.resolve({userCourseID: 12, userID: 42}));
+      userDao.retrieve.and.returnValue(deferred.resolve([]));
+      req.query.include = 'user';
+      req.query.fields  = 'name';
+
+      courseRouter.retrieveByID(req, res, next);
+
+      expect(courseDao.retrieveByID.calls.argsFor(0)[1].columns).toContain('UsersCourses.userID');
+    });
+
+    it('checks that the related retrieveWhere policy is enforced.', function() {
+      courseRouter.config.policies = {retrieveWhere: () => false};
+      userDao.retrieveByID.and.returnValue(deferred.resolve({userID: 42}));
+      req.query.include = 'usersCourses';
+
+      userRouter.retrieveByID(req, res, next);
+
+      expect(courseDao.retrieve).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].name).toBe('ForbiddenError');
+    });
+
+    it('checks that the related retrieve policy is enforced for sub-resources.', function() {
+      const subRouter = new GenericRouter(courseDao, usersCourses, users,
+        {policies: {retrieve: () => false}});
+      const router    = new GenericRouter(userDao, users, null,
+        {relations: {usersCourses: subRouter}});
+
+      userDao.retrieveByID.and.returnValue(deferred.resolve({userID: 42}));
+      req.query.include = 'usersCourses';
+
+      router.retrieveByID(req, res, next);
+
+      expect(courseDao.retrieve).not.toHaveBeenCalled();
+      expect(res.json).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].name).toBe('ForbiddenError');
+    });
+
+    it('checks that sub-resource relations are not subject to retrieveWhere.', function() {
+      const subRouter = new GenericRouter(courseDao, usersCourses, users,
+        {policies: {retrieve: () => true, retrieveWhere: () => false}});
+      const router    = new GenericRouter(userDao, users, null,
+        {relations: {usersCourses: subRouter}});
+
+      userDao.retrieveByID.and.returnValue(deferred.resolve({userID: 42}));
+      courseDao.retrieve.and.returnValue(deferred.resolve([{userCourseID: 12, userID: 42}]));
+      req.query.include = 'usersCourses';
+
+      router.retrieveByID(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(
+        {userID: 42, usersCourses: [{userCourseID: 12, userID: 42}]});
+    });
+
+    it('checks that includes are added before the after hooks.', function() {
+      userRouter.addHook('afterRetrieveByID', user => {
+        expect(user.usersCourses).toEqual([]);
+        return {count: user.usersCourses.length};
+      });
+      userDao.retrieveByID.and.returnValue(deferred.resolve({userID: 42}));
+      courseDao.retrieve.and.returnValue(deferred.resolve([]));
+      req.query.include = 'usersCourses';
+
+      userRouter.retrieveByID(req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith({count: 0});
+    });
+  });
+
+  /**
+   * Soft delete.
+   */
+  describe('soft delete', function() {
+    const notes = new Table({
+      name:    'Notes',
+      mapTo:   'notes',
+      columns: [
+        {name: 'noteID', isPrimary: true},
+        {name: 'text'},
+        {name: 'deletedOn'}
+      ]
+    });
+    const live    = {noteID: 7, text: 'Par 3', deletedOn: null};
+    const deleted = {noteID: 7, text: 'Par 3', deletedOn: new Date(0)};
+
+    let router;
+
+    beforeEach(function() {
+      router = new GenericRouter(dao, notes, null, {softDelete: {column: 'deletedOn'}});
+      req.params.noteID = 7;
+      dao.update.and.callFake(resource => deferred.resolve(resource));
+    });
+
+    it('checks that the soft delete column must exist.', function() {
+      expect(() => new GenericRouter(dao, notes, null, {softDelete: {column: 'removedOn'}}))
+        .toThrowError('Soft delete column removedOn is not in Notes.');
+    });
+
+    it('checks that delete sets the soft delete column.', function() {
+      dao.retrieveByID.and.returnValue(deferred.resolve(live));
+
+      router.delete(req, res, next);
+
+      expect(dao.retrieveByID).toHaveBeenCalledWith(7);
+      expect(dao.delete).not.toHaveBeenCalled();
+      expect(dao.update.calls.argsFor(0)[0].text).toBe('Par 3');
+      expect(dao.update.calls.argsFor(0)[0].deletedOn).toEqual(jasmine.any(Date));
+      expect(res.json).toHaveBeenCalledWith(dao.update.calls.argsFor(0)[0]);
+    });
+
+    it('checks that soft-deleted resources are not included.', function() {
+      const userNotes = new Table({
+        name:        'UserNotes',
+        mapTo:       'userNotes',
+        columns:     [{name: 'userNoteID', isPrimary: true}, {name: 'userID'}, {name: 'deletedOn'}],
+        foreignKeys: [{
+          name:       'UserNotes_userID_fk',
+          column:     'userID',
+          references: {table: 'Users', column: 'userID'}
+        }]
+      });
+      const noteDao    = jasmine.createSpyObj('noteDao', daoMethods);
+      const noteRouter = new GenericRouter(noteDao, userNotes, null, {softDelete: {column: 'deletedOn'}});
+      const userRouter = new GenericRouter(dao, users, null, {relations: {userNotes: noteRouter}});
+
+      dao.retrieveByID.and.returnValue(deferred.resolve({userID: 42}));
+      noteDao.retrieve.and.returnValue(deferred.resolve([]));
+      req.query.include = 'userNotes';
+
+      userRouter.retrieveByID(req, res, next);
+
+      expect(noteDao.retrieve).toHaveBeenCalledWith({$and: [
+        {$in: {'UserNotes.userID': [':include_userNotes_0']}},
+        {$is: {'UserNotes.deletedOn': null}}
+      ]}, {include_userNotes_0: 42});
+      expect(res.json).toHaveBeenCalledWith({userID: 42, userNotes: []});
+    });
+
+    it('checks that deleted resources cannot be deleted, updated, patched, or retrieved.', function() {
+      dao.retrieveByID.and.returnValue(deferred.resolve(deleted));
+      req.body = {text: 'Par 4'};
+
+      router.delete(req, res, next);
+      router.update(req, res, next);
+      router.patch(req, res, next);
+      router.retrieveByID(req, res, next);
+
+      expect(next.calls.allArgs().map(args => args[0].name))
+        .toEqual(['NotFoundError', 'NotFoundError', 'NotFoundError', 'NotFoundError']);
+      expect(dao.update).not.toHaveBeenCalled();
+    });
+
+    it('checks that live resources are updated.', function() {
+      dao.retrieveByID.and.returnValue(deferred.resolve(live));
+      req.body = {text: 'Par 4'};
+
+      router.update(req, res, next);
+
+      expect(dao.retrieveByID).toHaveBeenCalledWith(7);
+      expect(dao.update).toHaveBeenCalledWith({noteID: 7, text: 'Par 4'});
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('checks that the soft delete column is selected by retrieveByID.', function() {
+      dao.retrieveByID.and.returnValue(deferred.resolve(live));
+      req.query.fields = 'text';
+
+      router.retrieveByID(req, res, next);
+
+      expect(dao.retrieveByID.calls.argsFor(0)[1].columns).toContain('Notes.deletedOn');
+      expect(res.json).toHaveBeenCalledWith(live);
+    });
+
+    it('checks that deleted resources are excluded from lists.', function() {
+      dao.retrieve.and.returnValue(deferred.resolve([]));
+      req.query.where  = JSON.stringify({$eq: {'Notes.text': ':text'}});
+      req.query.params = JSON.stringify({text: 'Par 3'});
+
+      router.retrieve(req, res, next);
+      router.retrieveWhere(req, res, next);
+
+      expect(dao.retrieve.calls.argsFor(0)).toEqual([{$is: {'Notes.deletedOn': null}}, {}]);
+      expect(dao.retrieve.calls.argsFor(1)).toEqual([
+        {$and: [{$eq: {'Notes.text': ':text'}}, {$is: {'Notes.deletedOn': null}}]},
+        {text: 'Par 3'}
+      ]);
+    });
+
+    it('checks that sub-resource daos are told to exclude deleted resources.', function() {
+      router = new GenericRouter(dao, notes, users, {softDelete: {column: 'deletedOn'}});
+      dao.retrieve.and.returnValue(deferred.resolve([]));
+
+      router.retrieve(req, res, next);
+      router.retrieveDeleted(req, res, next);
+
+      expect(dao.retrieve.calls.argsFor(0)).toEqual([42, {deleted: false}]);
+      expect(dao.retrieve.calls.argsFor(1)).toEqual([42, {deleted: true}]);
+    });
+
+    it('checks that sub-resource counts are told to exclude deleted resources.', function() {
+      router = new GenericRouter(dao, notes, users, {softDelete: {column: 'deletedOn'}});
+      dao.count = jasmine.createSpy('count').and.returnValue(deferred.resolve(1));
+      dao.retrieve.and.returnValue(deferred.resolve([live]));
+      req.query.limit = '10';
+
+      router.retrieve(req, res, next);
+
+      expect(dao.count).toHaveBeenCalledWith(42, {deleted: false});
+      expect(res.set).toHaveBeenCalledWith('X-Total-Count', '1');
+    });
+
+    it('checks that deleted sub-resources returned by the dao are removed.', function() {
+      router = new GenericRouter(dao, notes, users, {softDelete: {column: 'deletedOn'}});
+      dao.retrieve.and.returnValue(deferred.resolve([live, deleted]));
+      req.query.fields = 'text';
+
+      router.retrieve(req, res, next);
+      expect(dao.retrieve.calls.argsFor(0)[1].columns).toContain('Notes.deletedOn');
+      expect(res.json.calls.argsFor(0)[0]).toEqual([live]);
+
+      router.retrieveDeleted(req, res, next);
+      expect(res.json.calls.argsFor(1)[0]).toEqual([deleted]);
+    });
+
+    it('checks that retrieveDeleted lists the deleted resources.', function() {
+      router.config.policies = {retrieveDeleted: () => true};
+      dao.retrieve.and.returnValue(deferred.resolve([deleted]));
+      req.query.limit = '10';
+
+      router.retrieveDeleted(req, res, next);
+
+      expect(dao.retrieve).toHaveBeenCalledWith({$isnt: {'Notes.deletedOn': null}}, {},
+        {limit: 10, offset: 0, after: null});
+      expect(res.json).toHaveBeenCalledWith([deleted]);
+    });
+
+    it('checks that the soft delete methods are not available without the option.', function() {
+      router = new GenericRouter(dao, notes);
+
+      router.retrieveDeleted(req, res, next);
+      router.restore(req, res, next);
+      router.purge(req, res, next);
+
+      expect(next.calls.allArgs().map(args => args[0].name))
+        .toEqual(['NotFoundError', 'NotFoundError', 'NotFoundError']);
+      expect(dao.retrieve).not.toHaveBeenCalled();
+    });
+
+    it('checks that restore clears the soft delete column.', function() {
+      dao.retrieveByID.and.returnValue(deferred.resolve(deleted));
+
+      router.restore(req, res, next);
+
+      expect(dao.update).toHaveBeenCalledWith(live);
+      expect(res.json).toHaveBeenCalledWith(live);
+    });
+
+    it('checks that only deleted resources can be restored.', function() {
+      dao.retrieveByID.and.returnValue(deferred.resolve(live));
+
+      router.restore(req, res, next);
+
+      expect(next.calls.argsFor(0)[0].name).toBe('NotFoundError');
+      expect(dao.update).not.toHaveBeenCalled();
+    });
+
+    it('checks that restore is authorized against the stored resource.', function() {
+      const allow = jasmine.createSpy('allow').and.returnValue(false);
+
+      router.config.policies = {restore: allow};
+      dao.retrieveByID.and.returnValue(deferred.resolve(deleted));
+
+      router.restore(req, res, next);
+
+      expect(allow).toHaveBeenCalledWith(req, deleted);
+      expect(next.calls.argsFor(0)[0].name).toBe('ForbiddenError');
+      expect(dao.update).not.toHaveBeenCalled();
+    });
+
+    it('checks that purge is denied without a purge policy.', function() {
+      router.purge(req, res, next);
+
+      expect(next.calls.argsFor(0)[0].name).toBe('ForbiddenError');
+      expect(dao.retrieveByID).not.toHaveBeenCalled();
+      expect(dao.delete).not.toHaveBeenCalled();
+    });
+
+    it('checks that purge permanently deletes a deleted resource.', function() {
+      const allow = jasmine.createSpy('allow').and.returnValue(true);
+
+      router.config.policies = {purge: allow};
+      dao.retrieveByID.and.returnValue(deferred.resolve(deleted));
+      dao.delete.and.returnValue(deferred.resolve({affectedRows: 1}));
+
+      router.purge(req, res, next);
+
+      expect(allow).toHaveBeenCalledWith(req, deleted);
+      expect(dao.delete).toHaveBeenCalledWith({noteID: 7});
+      expect(res.json).toHaveBeenCalledWith({affectedRows: 1});
+
+      dao.retrieveByID.and.returnValue(deferred.resolve(live));
+      router.purge(req, res, next);
+      expect(next.calls.argsFor(0)[0].name).toBe('NotFoundError');
+    });
+
+    it('checks that deleteMany soft deletes each resource.', function() {
+      dao.retrieveByID.and.callFake(ID => deferred.resolve(ID === 7 ? live : deleted));
+      req.body = [7, 8];
+
+      router.deleteMany(req, res, next);
+
+      expect(dao.delete).not.toHaveBeenCalled();
+      expect(dao.update.calls.count()).toBe(1);
+      expect(res.status).toHaveBeenCalledWith(207);
+      expect(res.json.calls.argsFor(0)[0].map(result => result.status)).toEqual([200, 404]);
+      expect(dao.retrieveByID.calls.count()).toBe(2);
+    });
+
+    it('checks that updateMany does not update deleted resources.', function() {
+      dao.retrieveByID.and.callFake(ID => deferred.resolve(ID === 7 ? live : deleted));
+      req.body = [{noteID: 7, text: 'Par 4'}, {noteID: 8, text: 'Par 5'}];
+
+      router.updateMany(req, res, next);
+
+      expect(dao.update.calls.count()).toBe(1);
+      expect(dao.update).toHaveBeenCalledWith({noteID: 7, text: 'Par 4'});
+      expect(res.json.calls.argsFor(0)[0].map(result => result.status)).toEqual([200, 404]);
+    });
+  });
+
+  /**
+   * Change events.
+   */
+  describe('change events', function() {
+    let sink, router;
+
+    beforeEach(function() {
+      sink   = jasmine.createSpyObj('sink', ['write']);
+      router = new GenericRouter(dao, usersCourses, users, {sinks: [sink]});
+      req.id = 'req-1';
+      req.user = {userID: 42};
+    });
+
+    it('checks that sinks must have a write method.', function() {
+      expect(() => router.addSink({})).toThrowError('Sink must have a write method.');
+      expect(router.addSink(sink)).toBe(router);
+    });
+
+    it('checks that create emits an event with the new identifier.', function() {
+      const course = {userCourseID: 12, name: 'Pine Hills', userID: 42};
+
+      req.body = courseBodies.create;
+      dao.create.and.returnValue(deferred.resolve(course));
+
+      router.create(req, res, next);
+
+      expect(sink.write).toHaveBeenCalledWith({
+        table:     'UsersCourses',
+        operation: 'create',
+        ID:        12,
+        before:    null,
+        after:     course,
+        request:   {user: {userID: 42}, requestID: 'req-1'},
+        date:      jasmine.any(Date)
+      });
+      expect(res.json).toHaveBeenCalledWith(course);
+    });
+
+    it('checks that update and delete emit before snapshots.', function() {
+      const stored  = {userCourseID: 12, name: 'Pine', userID: 42};
+      const updated = Object.assign({}, stored, courseBodies.update);
+
+      dao.retrieveByID.and.returnValue(deferred.resolve(stored));
+      dao.update.and.returnValue(deferred.resolve(updated));
+      dao.delete.and.returnValue(deferred.resolve({affectedRows: 1}));
+      req.body = courseBodies.update;
+
+      router.update(req, res, next);
+      router.delete(req, res, next);
+
+      expect(sink.write.calls.argsFor(0)[0]).toEqual(jasmine.objectContaining(
+        {operation: 'update', ID: 12, before: stored, after: updated}));
+      expect(sink.write.calls.argsFor(1)[0]).toEqual(jasmine.objectContaining(
+        {operation: 'delete', ID: 12, before: stored, after: {affectedRows: 1}}));
+    });
+
+    it('checks that before snapshots are null if the dao cannot retrieve by ID.', function() {
+      router = new GenericRouter(dao, usersCourses, null, {sinks: [sink]});
+      delete dao.retrieveByID;
+      dao.update.and.returnValue(deferred.resolve(courseBodies.update));
+      req.body = courseBodies.update;
+
+      router.update(req, res, next);
+
+      expect(sink.write.calls.argsFor(0)[0].before).toBeNull();
+    });
+
+    it('checks that replace emits the parent ID.', function() {
+      dao.replace.and.returnValue(deferred.resolve(courseBodies.replace));
+      req.body = courseBodies.replace;
+
+      router.replace(req, res, next);
+
+      expect(sink.write.calls.argsFor(0)[0]).toEqual(jasmine.objectContaining(
+        {operation: 'replace', ID: 42, before: null, after: courseBodies.replace}));
+    });
+
+    it('checks that no event is emitted if the mutation fails.', function() {
+      const err = new Error('Duplicate.');
+
+      req.body = courseBodies.create;
+      dao.create.and.returnValue(deferred.reject(err));
+
+      router.create(req, res, next);
+
+      expect(sink.write).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(err);
+    });
+
+    it('checks that sink errors do not fail the request.', function() {
+      const err = new Error('Audit table is full.');
+
+      spyOn(router, 'onSinkError');
+      sink.write.and.returnValue(deferred.reject(err));
+      req.body = courseBodies.create;
+      dao.create.and.returnValue(deferred.resolve({userCourseID: 12}));
+
+      router.create(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(next).not.toHaveBeenCalled();
+      expect(router.onSinkError).toHaveBeenCalledWith(err, jasmine.objectContaining({operation: 'create'}));
+    });
+
+    it('checks that the request ID can come from a header.', function() {
+      delete req.id;
+      req.headers['x-request-id'] = 'req-2';
+
+      expect(router.getEventMetadata(req)).toEqual({user: {userID: 42}, requestID: 'req-2'});
+    });
+
+    it('checks that each bulk item emits an event.', function() {
+      dao.retrieveByID.and.returnValue(deferred.resolve({userCourseID: 12, userID: 42}));
+      dao.delete.and.returnValue(deferred.resolve({affectedRows: 1}));
+      req.body = [12, 13];
+
+      router.deleteMany(req, res, next);
+
+      expect(sink.write.calls.allArgs().map(args => args[0].ID)).toEqual([12, 13]);
+    });
+
+    it('checks that atomic bulk events are emitted after the transaction.', function() {
+      const tx = deferred();
+
+      router = new GenericRouter(dao, usersCourses, users, {sinks: [sink], bulk: {atomic: true}});
+      dao.transaction = jasmine.createSpy('transaction').and.callFake(fn => fn(dao).then(() => tx.promise));
+      dao.retrieveByID.and.returnValue(deferred.resolve({userCourseID: 12, userID: 42}));
+      dao.delete.and.returnValue(deferred.resolve({affectedRows: 1}));
+      req.body = [12];
+
+      router.deleteMany(req, res, next);
+      expect(sink.write).not.toHaveBeenCalled();
+
+      tx.resolve([{status: 200, resource: {affectedRows: 1}}]);
+      expect(sink.write.calls.argsFor(0)[0].ID).toBe(12);
+    });
+  });
+
+  /**
+   * Caching.
+   */
+  describe('caching', function() {
+    const LRUStore = insulin.get('LRUStore');
+
+    let store, router;
+
+    beforeEach(function() {
+      store  = new LRUStore();
+      router = new GenericRouter(dao, usersCourses, users, {cache: {store}});
+      dao.retrieve.and.returnValue(deferred.resolve([{userCourseID: 12, userID: 42}]));
+      dao.retrieveByID.and.returnValue(deferred.resolve({userCourseID: 12, userID: 42}));
+    });
+
+    it('checks that lists are read through the cache.', function() {
+      router.retrieve(req, res, next);
+      router.retrieve(req, res, next);
+
+      expect(dao.retrieve.calls.count()).toBe(1);
+      expect(res.json.calls.argsFor(1)[0]).toEqual([{userCourseID: 12, userID: 42}]);
+    });
+
+    it('checks that keys include the parent ID and query options.', function() {
+      router.retrieve(req, res, next);
+
+      req.params.userID = 43;
+      router.retrieve(req, res, next);
+
+      req.query.limit = '10';
+      router.retrieve(req, res, next);
+      router.retrieve(req, res, next);
+
+      expect(dao.retrieve.calls.count()).toBe(3);
+    });
+
+    it('checks that where and params are part of the key.', function() {
+      router = new GenericRouter(dao, usersCourses, null, {cache: {store}});
+      req.query.where  = JSON.stringify({$eq: {'UsersCourses.state': ':state'}});
+      req.query.params = JSON.stringify({state: 'OR'});
+      router.retrieveWhere(req, res, next);
+      router.retrieveWhere(req, res, next);
+
+      req.query.params = JSON.stringify({state: 'WA'});
+      router.retrieveWhere(req, res, next);
+
+      expect(dao.retrieve.calls.count()).toBe(2);
+    });
+
+    it('checks that retrieveByID is read through the cache.', function() {
+      router.retrieveByID(req, res, next);
+      router.retrieveByID(req, res, next);
+
+      expect(dao.retrieveByID.calls.count()).toBe(1);
+      expect(store.get('UsersCourses:retrieveByID:[12]')).toEqual({userCourseID: 12, userID: 42});
+    });
+
+    it('checks that cached resources are copies.', function() {
+      router.addHook('afterRetrieveByID', course => {
+        course.name = 'Modified';
+      });
+
+      router.retrieveByID(req, res, next);
+
+      expect(store.get('UsersCourses:retrieveByID:[12]').name).toBeUndefined();
+    });
+
+    it('checks that methods without a TTL are not cached.', function() {
+      router = new GenericRouter(dao, usersCourses, users, {cache: {store, ttl: {retrieveByID: 300}}});
+
+      router.retrieve(req, res, next);
+      router.retrieve(req, res, next);
+      router.retrieveByID(req, res, next);
+      router.retrieveByID(req, res, next);
+
+      expect(dao.retrieve.calls.count()).toBe(2);
+      expect(dao.retrieveByID.calls.count()).toBe(1);
+    });
+
+    it('checks that mutations invalidate the table and parent entries.', function() {
+      store.set('Users:retrieveByID:[42]', {userID: 42}, 60);
+      store.set('UsersCourses:retrieve:[42]', [], 60);
+      store.set('Courses:retrieve:[]', [], 60);
+      dao.create.and.returnValue(deferred.resolve({userCourseID: 13}));
+      req.body = courseBodies.create;
+
+      router.create(req, res, next);
+
+      expect(store.get('Users:retrieveByID:[42]')).toBeUndefined();
+      expect(store.get('UsersCourses:retrieve:[42]')).toBeUndefined();
+      expect(store.get('Courses:retrieve:[]')).toEqual([]);
+    });
+
+    it('checks that the cache is invalidated before the response is sent.', function() {
+      const cleared = deferred();
+
+      spyOn(store, 'clear').and.returnValue(cleared.promise);
+      dao.delete.and.returnValue(deferred.resolve({affectedRows: 1}));
+
+      router.delete(req, res, next);
+      expect(res.json).not.toHaveBeenCalled();
+
+      cleared.resolve();
+      expect(res.json).toHaveBeenCalledWith({affectedRows: 1});
+    });
+
+    it('checks that failed mutations do not invalidate the cache.', function() {
+      store.set('UsersCourses:retrieve:[42]', [], 60);
+      dao.update.and.returnValue(deferred.reject(new Error('Lock wait timeout.')));
+      req.body = courseBodies.update;
+
+      router.update(req, res, next);
+
+      expect(store.get('UsersCourses:retrieve:[42]')).toEqual([]);
+    });
+  });
+
+  describe('idempotency', function() {
+    const IdempotencyStore = insulin.get('IdempotencyStore');
+
+    let store, router;
+
+    beforeEach(function() {
+      store  = new IdempotencyStore();
+      router = new GenericRouter(dao, usersCourses, users, {idempotency: {store}});
+      req.body = Object.assign({}, courseBodies.create);
+      req.headers['idempotency-key'] = 'abc';
+      dao.create.and.callFake(course => deferred.resolve(Object.assign({userCourseID: 12}, course)));
+    });
+
+    it('checks that requests without a key are not stored.', function() {
+      delete req.headers['idempotency-key'];
+      router.create(req, res, next);
+      router.create(req, res, next);
+
+      expect(dao.create.calls.count()).toBe(2);
+      expect(store.entries.size).toBe(0);
+    });
+
+    it('checks that retries are sent the stored response.', function() {
+      router.create(req, res, next);
+      router.create(req, res, next);
+
+      expect(dao.create.calls.count()).toBe(1);
+      expect(res.status.calls.allArgs()).toEqual([[201], [201]]);
+      expect(res.json.calls.argsFor(1)[0]).toEqual({userCourseID: 12, name: 'Pine Hills', userID: 42});
+      expect(res.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+      expect(res.set.calls.count()).toBe(1);
+      expect(store.entries.has('UsersCourses:create:abc')).toBe(true);
+    });
+
+    it('checks that keys are scoped to the user.', function() {
+      req.user = {userID: 1};
+      router.create(req, res, next);
+
+      req.user = {userID: 2};
+      router.create(req, res, next);
+
+      expect(dao.create.calls.count()).toBe(2);
+      expect(res.set).not.toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+      expect(store.entries.size).toBe(2);
+
+      req.user = {userID: 1};
+      router.create(req, res, next);
+
+      expect(dao.create.calls.count()).toBe(2);
+      expect(res.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+    });
+
+    it('checks that the scope can be overridden.', function() {
+      spyOn(router, 'getIdempotencyScope').and.returnValue(null);
+
+      req.user = {userID: 1};
+      router.create(req, res, next);
+
+      req.user = {userID: 2};
+      router.create(req, res, next);
+
+      expect(router.getIdempotencyScope).toHaveBeenCalledWith(req);
+      expect(dao.create.calls.count()).toBe(1);
+      expect(store.entries.has('UsersCourses:create:abc')).toBe(true);
+    });
+
+    it('checks that replace is idempotent.', function() {
+      req.body = courseBodies.replace;
+      dao.replace.and.returnValue(deferred.resolve([{userCourseID: 13, name: 'Pine Hills', userID: 42}]));
+
+      router.replace(req, res, next);
+      router.replace(req, res, next);
+
+      expect(dao.replace.calls.count()).toBe(1);
+      expect(res.json.calls.argsFor(1)[0]).toEqual([{userCourseID: 13, name: 'Pine Hills', userID: 42}]);
+    });
+
+    it('checks that reusing a key with a different request is a 422.', function() {
+      router.create(req, res, next);
+
+      req.body = {name: 'Oak Knoll', userID: 42};
+      router.create(req, res, next);
+
+      expect(dao.create.calls.count()).toBe(1);
+      expect(next.calls.argsFor(0)[0].name).toBe('UnprocessableEntityError');
+    });
+
+    it('checks that requests in progress are a 409.', function() {
+      const created = deferred();
+
+      dao.create.and.returnValue(created.promise);
+      router.create(req, res, next);
+      router.create(req, res, next);
+
+      expect(next.calls.argsFor(0)[0].name).toBe('ConflictError');
+
+      created.resolve({userCourseID: 12});
+      expect(res.json).toHaveBeenCalledWith({userCourseID: 12});
+    });
+
+    it('checks that retries can wait for requests in progress.', function() {
+      const created = deferred();
+
+      jasmine.clock().install();
+      jasmine.clock().mockDate(new Date(0));
+
+      router = new GenericRouter(dao, usersCourses, users, {idempotency: {store, wait: 1000}});
+      dao.create.and.returnValue(created.promise);
+      router.create(req, res, next);
+      router.create(req, res, next);
+
+      jasmine.clock().tick(100);
+      created.resolve({userCourseID: 12});
+      jasmine.clock().tick(100);
+      jasmine.clock().uninstall();
+
+      expect(dao.create.calls.count()).toBe(1);
+      expect(res.json.calls.allArgs()).toEqual([[{userCourseID: 12}], [{userCourseID: 12}]]);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('checks that keys are released when requests fail.', function() {
+      const err = new Error('Connection lost.');
+
+      dao.create.and.returnValue(deferred.reject(err));
+      router.create(req, res, next);
+      expect(next).toHaveBeenCalledWith(err);
+      expect(store.entries.size).toBe(0);
+
+      dao.create.and.returnValue(deferred.resolve({userCourseID: 12}));
+      router.create(req, res, next);
+      expect(res.json).toHaveBeenCalledWith({userCourseID: 12});
+    });
+
+    it('checks that invalid keys are rejected.', function() {
+      req.headers['idempotency-key'] = '';
+      router.create(req, res, next);
+
+      expect(dao.create).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].code).toBe('VAL_IDEMPOTENCY_KEY');
+    });
+  });
+
+  describe('counting', function() {
+    beforeEach(function() {
+      dao.count = jasmine.createSpy('count').and.returnValue(deferred.resolve(42));
+    });
+
+    it('checks that the count of a collection is sent.', function() {
+      const router = new GenericRouter(dao, users);
+
+      router.count(req, res, next);
+
+      expect(dao.count).toHaveBeenCalledWith(undefined, undefined);
+      expect(dao.retrieve).not.toHaveBeenCalled();
+      expect(res.set).toHaveBeenCalledWith('X-Total-Count', '42');
+      expect(res.json).toHaveBeenCalledWith(42);
+    });
+
+    it('checks that where, params, and filters are counted.', function() {
+      const router = new GenericRouter(dao, users, null, {filters: {name: ['eq']}});
+
+      req.query.where  = JSON.stringify({$like: {'Users.email': ':email'}});
+      req.query.params = JSON.stringify({email: '%@example.com'});
+      req.query.name   = 'Ben';
+      router.count(req, res, next);
+
+      expect(dao.count).toHaveBeenCalledWith(
+        {$and: [{$like: {'Users.email': ':email'}}, {$eq: {'Users.name': ':filter_name_eq'}}]},
+        {email: '%@example.com', filter_name_eq: 'Ben'});
+
+      req.query.where = '{';
+      router.count(req, res, next);
+      expect(next.calls.argsFor(0)[0].code).toBe('VAL_JSON');
+    });
+
+    it('checks that sub-resources are counted by parent ID.', function() {
+      const router = new GenericRouter(dao, usersCourses, users);
+
+      router.count(req, res, next);
+
+      expect(dao.count).toHaveBeenCalledWith(42);
+      expect(res.json).toHaveBeenCalledWith(42);
+    });
+
+    it('checks that soft-deleted sub-resources are not counted.', function() {
+      const notes  = new Table({
+        name:    'Notes',
+        mapTo:   'notes',
+        columns: [{name: 'noteID', isPrimary: true}, {name: 'deletedOn'}]
+      });
+      const router = new GenericRouter(dao, notes, users, {softDelete: {column: 'deletedOn'}});
+
+      router.head(req, res, next);
+      expect(dao.count).toHaveBeenCalledWith(42, {deleted: false});
+
+      delete dao.count;
+      dao.retrieve.and.returnValue(deferred.resolve([{noteID: 1, deletedOn: null}, {noteID: 2, deletedOn: new Date()}]));
+      router.count(req, res, next);
+      expect(dao.retrieve).toHaveBeenCalledWith(42, {deleted: false});
+      expect(res.json).toHaveBeenCalledWith(1);
+    });
+
+    it('checks that HEAD sends the count without a body.', function() {
+      const router = new GenericRouter(dao, usersCourses, users);
+
+      router.head(req, res, next);
+
+      expect(res.set).toHaveBeenCalledWith('X-Total-Count', '42');
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.end).toHaveBeenCalled();
+      expect(res.json).not.toHaveBeenCalled();
+    });
+
+    it('checks that the list is retrieved if the dao has no count method.', function() {
+      const router = new GenericRouter(dao, usersCourses, users);
+
+      delete dao.count;
+      dao.retrieve.and.returnValue(deferred.resolve([{userCourseID: 1}, {userCourseID: 2}]));
+      router.head(req, res, next);
+
+      expect(dao.retrieve).toHaveBeenCalledWith(42);
+      expect(res.set).toHaveBeenCalledWith('X-Total-Count', '2');
+    });
+
+    it('checks that the retrieve hooks and policies apply.', function() {
+      const router = new GenericRouter(dao, usersCourses, users,
+        {policies: {retrieve: req => req.user !== undefined}});
+
+      router.addHook('beforeRetrieve', () => 43);
+      router.count(req, res, next);
+
+      expect(dao.count).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].name).toBe('ForbiddenError');
+
+      req.user = {userID: 42};
+      router.count(req, res, next);
+      expect(dao.count).toHaveBeenCalledWith(43);
+    });
+
+    it('checks that the count policy takes precedence.', function() {
+      const router = new GenericRouter(dao, users, null,
+        {policies: {retrieveWhere: () => false, count: () => true}});
+
+      router.count(req, res, next);
+      expect(res.json).toHaveBeenCalledWith(42);
+    });
+  });
+
+  describe('aggregates', function() {
+    const aggregates = {groupBy: ['state', 'city'], columns: {numHoles: ['avg', 'sum']}};
+    const rows       = [{state: 'OR', count: 3, avgNumHoles: 15}];
+
+    beforeEach(function() {
+      dao.aggregate = jasmine.createSpy('aggregate').and.returnValue(deferred.resolve(rows));
+    });
+
+    it('checks that aggregates are not available without a whitelist.', function() {
+      const router = new GenericRouter(dao, usersCourses);
+
+      spyOn(router, 'onNotImplemented');
+      router.aggregate(req, res, next);
+
+      expect(router.onNotImplemented).toHaveBeenCalledWith('aggregate', req, res, next);
+      expect(dao.aggregate).not.toHaveBeenCalled();
+    });
+
+    it('checks that groups and aggregates are passed to the dao with the condition.', function() {
+      const router = new GenericRouter(dao, usersCourses, null,
+        {aggregates, filters: {state: ['eq']}});
+
+      req.query = {groupBy: 'state', aggregate: 'count,avg(numHoles)', state: 'OR'};
+      router.aggregate(req, res, next);
+
+      expect(dao.aggregate).toHaveBeenCalledWith(
+        {$eq: {'UsersCourses.state': ':filter_state_eq'}},
+        {filter_state_eq: 'OR'},
+        {
+          groupBy:    [{column: 'UsersCourses.state', as: 'state'}],
+          aggregates: [
+            {fn: 'count', column: '*',                    as: 'count'},
+            {fn: 'avg',   column: 'UsersCourses.numHoles', as: 'avgNumHoles'}
+          ]
+        });
+      expect(res.json).toHaveBeenCalledWith(rows);
+    });
+
+    it('checks that sub-resources are aggregated by parent ID.', function() {
+      const router = new GenericRouter(dao, usersCourses, users, {aggregates});
+
+      req.query = {groupBy: 'city', aggregate: 'sum(numHoles)'};
+      router.aggregate(req, res, next);
+
+      expect(dao.aggregate.calls.argsFor(0)[0]).toBe(42);
+      expect(dao.aggregate.calls.argsFor(0)[1].aggregates[0].as).toBe('sumNumHoles');
+    });
+
+    it('checks that soft-deleted sub-resources are not aggregated.', function() {
+      const notes  = new Table({
+        name:    'Notes',
+        mapTo:   'notes',
+        columns: [{name: 'noteID', isPrimary: true}, {name: 'deletedOn'}]
+      });
+      const router = new GenericRouter(dao, notes, users,
+        {softDelete: {column: 'deletedOn'}, aggregates: {}});
+
+      router.aggregate(req, res, next);
+      expect(dao.aggregate).toHaveBeenCalledWith(42, {deleted: false},
+        {groupBy: [], aggregates: [{fn: 'count', column: '*', as: 'count'}]});
+    });
+
+    it('checks that columns that are not whitelisted raise a ValidationError.', function() {
+      const router = new GenericRouter(dao, usersCourses, users, {aggregates});
+
+      req.query = {aggregate: 'max(numHoles)'};
+      router.aggregate(req, res, next);
+
+      expect(dao.aggregate).not.toHaveBeenCalled();
+      expect(next.calls.argsFor(0)[0].code).toBe('VAL_AGGREGATE');
+    });
+
+    it('checks that the aggregate policy and retrieve hooks apply.', function() {
+      const router = new GenericRouter(dao, usersCourses, users,
+        {aggregates, policies: {retrieve: () => true, aggregate: () => false}});
+
+      router.aggregate(req, res, next);
+      expect(next.calls.argsFor(0)[0].name).toBe('ForbiddenError');
+
+      router.config.policies.aggregate = () => true;
+      router.addHook('beforeRetrieve', () => 43);
+      router.aggregate(req, res, next);
+      expect(dao.aggregate.calls.argsFor(0)[0]).toBe(43);
+    });
+  });
+
 });
 
@@ -0,0 +1,189 @@
+'use strict';
+
+require('insulin').factory('RouteMounter', RouteMounterProducer);
+
+function RouteMounterProducer() {
+  /**
+   * Mounts a GenericRouter on an Express app (or Express Router) using
+   * conventional REST routes.  Paths are derived from the table mappings, and
+   * only the routes that the DAO can service are registered.
+   */
+  class RouteMounter {
+    /**
+     * Get the route table for a GenericRouter without mounting it.
+     * @memberOf RouteMounter
+     * @param {GenericRouter} router The router to describe.
+     * @returns {Object[]} An array of route objects, each with a verb (the
+     *          lower-case Express method name), path, and method (the name of
+     *          the GenericRouter method that handles the route).
+     */
+    getRoutes(router) {
+      const collPath = this.getCollectionPath(router);
+      const bulkPath = this.getBulkPath(router);
+      const itemPath = this.getItemPath(router);
+      const bulkTx   = router.config.bulk && router.config.bulk.atomic ?
+        ['transaction'] : [];
+      // Sub-resources are retrieved by parent ID.
+      const list     = router.parentTable ? 'retrieve' : 'retrieveWhere';
+      // Collections are counted with the dao's count method, or by retrieving
+      // the list.
+      const counted  = router.hasMethod('count') ? ['count'] : ['retrieve'];
+      // Policies on update and delete are checked against the stored resource
+      // (for bulk operations too), sub-resources are checked to make sure that
+      // they belong to the parent, and in soft delete mode updated resources
+      // are checked to make sure that they're not deleted.
+      const stored   = method => router.hasPolicy(method) || router.softDelete ||
+        router.parentTable ?
+        ['retrieveByID'] : [];
+      // Soft deletes update the stored resource.
+      const remove   = router.softDelete ? ['retrieveByID', 'update'] : ['delete'];
+      // Each route lists the dao methods that it requires.  HEAD is
+      // registered before GET so that it takes precedence.
+      const routes   = [
+        {verb: 'post',    path: collPath, method: 'create',        daoMethods: ['create']},
+        {verb: 'head',    path: collPath, method: 'head',          daoMethods: counted},
+        {verb: 'get',     path: collPath, method: list,            daoMethods: ['retrieve']},
+        {verb: 'options', path: collPath, method: 'options',       daoMethods: ['options']},
+        {verb: 'get',     path: this.getCountPath(router), method: 'count', daoMethods: counted},
+        {verb: 'post',    path: bulkPath, method: 'createMany',    daoMethods: ['create'].concat(bulkTx)},
+        {verb: 'put',     path: bulkPath, method: 'updateMany',    daoMethods: ['update'].concat(bulkTx, stored('update'))},
+        {verb: 'delete',  path: bulkPath, method: 'deleteMany',    daoMethods: remove.concat(bulkTx, stored('delete'))},
+        {verb: 'get',     path: itemPath, method: 'retrieveByID',  daoMethods: ['retrieveByID']},
+        {verb: 'put',     path: itemPath, method: 'update',        daoMethods: ['update'].concat(stored('update'))},
+        {verb: 'patch',   path: itemPath, method: 'patch',         daoMethods: ['retrieveByID', 'update']},
+        {verb: 'delete',  path: itemPath, method: 'delete',        daoMethods: remove.concat(stored('delete'))}
+      ];
+
+      // The trash is listed before item routes so that it takes precedence.
+      // Purging is only routed if there is a purge policy.
+      if (router.softDelete) {
+        routes.splice(routes.findIndex(route => route.path === itemPath), 0,
+          {verb: 'get', path: this.getDeletedPath(router), method: 'retrieveDeleted', daoMethods: ['retrieve']});
+        routes.push(
+          {verb: 'post', path: `${itemPath}/restore`, method: 'restore', daoMethods: ['retrieveByID', 'update']});
+
+        if (router.hasPolicy('purge')) {
+          routes.push(
+            {verb: 'delete', path: `${itemPath}/purge`, method: 'purge', daoMethods: ['retrieveByID', 'delete']});
+        }
+      }
+
+      // Aggregates are only routed if there is a whitelist.
+      if (router.aggregateParser) {
+        routes.splice(routes.findIndex(route => route.path === bulkPath), 0,
+          {verb: 'get', path: this.getAggregatePath(router), method: 'aggregate', daoMethods: ['aggregate']});
+      }
+
+      // Sub-resources can be replaced in bulk.
+      if (router.parentTable) {
+        routes.splice(3, 0,
+          {verb: 'put', path: collPath, method: 'replace', daoMethods: ['replace']});
+      }
+
+      return routes
+        .filter(route => route.daoMethods.every(method => router.hasMethod(method)))
+        .map(route => ({verb: route.verb, path: route.path, method: route.method}));
+    }
+
+    /**
+     * Register the routes for a GenericRouter with an Express app or Router.
+     * @memberOf RouteMounter
+     * @param {GenericRouter} router The router to mount.
+     * @param {Object} app An Express app or Router instance.
+     * @returns {Object[]} The route table, as returned by getRoutes.
+     */
+    mount(router, app) {
+      const routes = this.getRoutes(router);
+
+      routes.forEach(route => {
+        app[route.verb](route.path,
+          (req, res, next) => router[route.method](req, res, next));
+      });
+
+      return routes;
+    }
+
+    /**
+     * Get the collection path for a router, e.g. /users, or
+     * /users/:userID/usersCourses if the router has a parent table.
+     * @memberOf RouteMounter
+     * @param {GenericRouter} router The router.
+     * @returns {string} The path.
+     */
+    getCollectionPath(router) {
+      const table       = router.table;
+      const parentTable = router.parentTable;
+
+      if (parentTable)
+        return `/${parentTable.mapTo}${this._getKeyPath(parentTable)}/${table.mapTo}`;
+
+      return `/${table.mapTo}`;
+    }
+
+    /**
+     * Get the path for bulk operations, e.g. /users/bulk.  Bulk routes are
+     * registered before item routes so that they take precedence.
+     * @memberOf RouteMounter
+     * @param {GenericRouter} router The router.
+     * @returns {string} The path.
+     */
+    getBulkPath(router) {
+      return `${this.getCollectionPath(router)}/bulk`;
+    }
+
+    /**
+     * Get the path for the count of a collection, e.g. /users/count.  Like
+     * bulk routes, it's registered before item routes.
+     * @memberOf RouteMounter
+     * @param {GenericRouter} router The router.
+     * @returns {string} The path.
+     */
+    getCountPath(router) {
+      return `${this.getCollectionPath(router)}/count`;
+    }
+
+    /**
+     * Get the path for aggregates of a collection, e.g. /users/aggregate.
+     * Like bulk routes, it's registered before item routes.
+     * @memberOf RouteMounter
+     * @param {GenericRouter} router The router.
+     * @returns {string} The path.
+     */
+    getAggregatePath(router) {
+      return `${this.getCollectionPath(router)}/aggregate`;
+    }
+
+    /**
+     * Get the path for the list of soft-deleted resources, e.g.
+     * /users/deleted.  Like bulk routes, it's registered before item routes.
+     * @memberOf RouteMounter
+     * @param {GenericRouter} router The router.
+     * @returns {string} The path.
+     */
+    getDeletedPath(router) {
+      return `${this.getCollectionPath(router)}/deleted`;
+    }
+
+    /**
+     * Get the item path for a router, e.g. /users/:userID.
+     * @memberOf RouteMounter
+     * @param {GenericRouter} router The router.
+     * @returns {string} The path.
+     */
+    getItemPath(router) {
+      return `${this.getCollectionPath(router)}${this._getKeyPath(router.table)}`;
+    }
+
+    /**
+     * Private helper to generate the route parameter(s) for a table's key.
+     * Composite keys produce one parameter per column, e.g. /:userID/:courseID.
+     */
+    _getKeyPath(table) {
+      return table.primaryKey
+        .map(col => `/:${col.mapTo}`)
+        .join('');
+    }
+  }
+
+  return RouteMounter;
+}
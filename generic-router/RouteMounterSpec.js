@@ -0,0 +1,278 @@
+describe('RouteMounter()', function() {
+  'use strict';
+
+  const insulin       = require('insulin').mock();
+  const RouteMounter  = insulin.get('RouteMounter');
+  const GenericRouter = insulin.get('GenericRouter');
+  const database      = insulin.get('ndm_testDB');
+  const users         = database.getTableByMapping('users');
+  const usersCourses  = database.getTableByMapping('usersCourses');
+  const Table         = insulin.get('ndm_Table');
+  const daoMethods    = [
+    'create', 'retrieve', 'retrieveByID', 'update', 'delete', 'replace', 'options'
+  ];
+
+  let mounter, dao, app;
+
+  beforeEach(function() {
+    insulin.forget();
+
+    mounter = new RouteMounter();
+    dao     = jasmine.createSpyObj('dao', daoMethods);
+    app     = jasmine.createSpyObj('app', ['head', 'get', 'post', 'put', 'patch', 'delete', 'options']);
+  });
+
+  /**
+   * Paths.
+   */
+  describe('.getCollectionPath()', function() {
+    it('checks that the path is derived from the table mapping.', function() {
+      const router = new GenericRouter(dao, users);
+      expect(mounter.getCollectionPath(router)).toBe('/users');
+    });
+
+    it('checks that sub-resources are nested under the parent.', function() {
+      const router = new GenericRouter(dao, usersCourses, users);
+      expect(mounter.getCollectionPath(router)).toBe('/users/:userID/usersCourses');
+    });
+  });
+
+  describe('.getItemPath()', function() {
+    it('checks that the primary key mapping is used as the parameter.', function() {
+      const router = new GenericRouter(dao, users);
+      expect(mounter.getItemPath(router)).toBe('/users/:userID');
+    });
+
+    it('checks that sub-resource items are nested under the parent.', function() {
+      const router = new GenericRouter(dao, usersCourses, users);
+      expect(mounter.getItemPath(router))
+        .toBe('/users/:userID/usersCourses/:userCourseID');
+    });
+
+    it('checks that composite keys produce one parameter per column.', function() {
+      const rounds = new Table({
+        name:    'UserCourseRounds',
+        mapTo:   'userCourseRounds',
+        columns: [
+          {name: 'userCourseID', isPrimary: true},
+          {name: 'roundNum',     isPrimary: true}
+        ]
+      });
+      const router = new GenericRouter(dao, rounds);
+
+      expect(mounter.getItemPath(router))
+        .toBe('/userCourseRounds/:userCourseID/:roundNum');
+    });
+  });
+
+  /**
+   * Route table.
+   */
+  describe('.getRoutes()', function() {
+    it('checks the routes for a top-level resource.', function() {
+      const router = new GenericRouter(dao, users);
+
+      expect(mounter.getRoutes(router)).toEqual([
+        {verb: 'post',    path: '/users',         method: 'create'},
+        {verb: 'head',    path: '/users',         method: 'head'},
+        {verb: 'get',     path: '/users',         method: 'retrieveWhere'},
+        {verb: 'options', path: '/users',         method: 'options'},
+        {verb: 'get',     path: '/users/count',   method: 'count'},
+        {verb: 'post',    path: '/users/bulk',    method: 'createMany'},
+        {verb: 'put',     path: '/users/bulk',    method: 'updateMany'},
+        {verb: 'delete',  path: '/users/bulk',    method: 'deleteMany'},
+        {verb: 'get',     path: '/users/:userID', method: 'retrieveByID'},
+        {verb: 'put',     path: '/users/:userID', method: 'update'},
+        {verb: 'patch',   path: '/users/:userID', method: 'patch'},
+        {verb: 'delete',  path: '/users/:userID', method: 'delete'}
+      ]);
+    });
+
+    it('checks the routes for a sub-resource.', function() {
+      const router   = new GenericRouter(dao, usersCourses, users);
+      const collPath = '/users/:userID/usersCourses';
+      const bulkPath = '/users/:userID/usersCourses/bulk';
+      const itemPath = '/users/:userID/usersCourses/:userCourseID';
+
+      expect(mounter.getRoutes(router)).toEqual([
+        {verb: 'post',    path: collPath, method: 'create'},
+        {verb: 'head',    path: collPath, method: 'head'},
+        {verb: 'get',     path: collPath, method: 'retrieve'},
+        {verb: 'put',     path: collPath, method: 'replace'},
+        {verb: 'options', path: collPath, method: 'options'},
+        {verb: 'get',     path: `${collPath}/count`, method: 'count'},
+        {verb: 'post',    path: bulkPath, method: 'createMany'},
+        {verb: 'put',     path: bulkPath, method: 'updateMany'},
+        {verb: 'delete',  path: bulkPath, method: 'deleteMany'},
+        {verb: 'get',     path: itemPath, method: 'retrieveByID'},
+        {verb: 'put',     path: itemPath, method: 'update'},
+        {verb: 'patch',   path: itemPath, method: 'patch'},
+        {verb: 'delete',  path: itemPath, method: 'delete'}
+      ]);
+    });
+
+    it('checks that routes are omitted if the dao does not implement them.', function() {
+      const router = new GenericRouter({retrieve: dao.retrieve}, users);
+
+      expect(mounter.getRoutes(router)).toEqual([
+        {verb: 'head', path: '/users',       method: 'head'},
+        {verb: 'get',  path: '/users',       method: 'retrieveWhere'},
+        {verb: 'get',  path: '/users/count', method: 'count'}
+      ]);
+    });
+
+    it('checks that counts can use the dao\'s count method.', function() {
+      const router = new GenericRouter({count: jasmine.createSpy('count')}, users);
+
+      expect(mounter.getRoutes(router)).toEqual([
+        {verb: 'head', path: '/users',       method: 'head'},
+        {verb: 'get',  path: '/users/count', method: 'count'}
+      ]);
+    });
+
+    it('checks that patch requires both retrieveByID and update.', function() {
+      const router = new GenericRouter({update: dao.update}, users);
+
+      expect(mounter.getRoutes(router)).toEqual([
+        {verb: 'put', path: '/users/bulk',    method: 'updateMany'},
+        {verb: 'put', path: '/users/:userID', method: 'update'}
+      ]);
+    });
+
+    it('checks that atomic bulk routes require a transaction.', function() {
+      const router = new GenericRouter(dao, users, null, {bulk: {atomic: true}});
+
+      expect(mounter.getRoutes(router)
+        .filter(route => route.path === '/users/bulk')).toEqual([]);
+
+      dao.transaction = jasmine.createSpy('transaction');
+      expect(mounter.getRoutes(router)
+        .filter(route => route.path === '/users/bulk').length).toBe(3);
+    });
+
+    it('checks that update and delete policies require retrieveByID.', function() {
+      const router = new GenericRouter({update: dao.update, delete: dao.delete}, users, null,
+        {policies: {delete: () => true}});
+
+      expect(mounter.getRoutes(router)).toEqual([
+        {verb: 'put', path: '/users/bulk',    method: 'updateMany'},
+        {verb: 'put', path: '/users/:userID', method: 'update'}
+      ]);
+    });
+
+    it('checks that sub-resource updates and deletes require retrieveByID.', function() {
+      const router = new GenericRouter({create: dao.create, update: dao.update, delete: dao.delete},
+        usersCourses, users);
+
+      expect(mounter.getRoutes(router)).toEqual([
+        {verb: 'post', path: '/users/:userID/usersCourses',      method: 'create'},
+        {verb: 'post', path: '/users/:userID/usersCourses/bulk', method: 'createMany'}
+      ]);
+    });
+
+    it('checks that aggregates require a whitelist and a dao method.', function() {
+      let router = new GenericRouter({aggregate: jasmine.createSpy('aggregate')}, users);
+
+      expect(mounter.getRoutes(router)).toEqual([]);
+
+      router = new GenericRouter({aggregate: jasmine.createSpy('aggregate')}, users, null,
+        {aggregates: {groupBy: ['name']}});
+
+      expect(mounter.getRoutes(router)).toEqual([
+        {verb: 'get', path: '/users/aggregate', method: 'aggregate'}
+      ]);
+    });
+
+    it('checks the soft delete routes.', function() {
+      const notes = new Table({
+        name:    'Notes',
+        mapTo:   'notes',
+        columns: [{name: 'noteID', isPrimary: true}, {name: 'deletedOn'}]
+      });
+      let router = new GenericRouter(dao, notes, null, {softDelete: {column: 'deletedOn'}});
+
+      expect(mounter.getRoutes(router).map(route => `${route.verb} ${route.path} ${route.method}`))
+        .toEqual([
+          'post /notes create',
+          'head /notes head',
+          'get /notes retrieveWhere',
+          'options /notes options',
+          'get /notes/count count',
+          'post /notes/bulk createMany',
+          'put /notes/bulk updateMany',
+          'delete /notes/bulk deleteMany',
+          'get /notes/deleted retrieveDeleted',
+          'get /notes/:noteID retrieveByID',
+          'put /notes/:noteID update',
+          'patch /notes/:noteID patch',
+          'delete /notes/:noteID delete',
+          'post /notes/:noteID/restore restore'
+        ]);
+
+      router = new GenericRouter({retrieveByID: dao.retrieveByID, delete: dao.delete}, notes, null,
+        {softDelete: {column: 'deletedOn'}, policies: {purge: () => true}});
+
+      expect(mounter.getRoutes(router)).toEqual([
+        {verb: 'get',    path: '/notes/:noteID',       method: 'retrieveByID'},
+        {verb: 'delete', path: '/notes/:noteID/purge', method: 'purge'}
+      ]);
+
+      // Updated resources are retrieved to make sure that they're not deleted.
+      router = new GenericRouter({update: dao.update}, notes, null,
+        {softDelete: {column: 'deletedOn'}});
+
+      expect(mounter.getRoutes(router)).toEqual([]);
+    });
+  });
+
+  /**
+   * Mounting.
+   */
+  describe('.mount()', function() {
+    it('checks that each route is registered with the app.', function() {
+      const router = new GenericRouter(dao, users);
+      const routes = mounter.mount(router, app);
+
+      expect(routes.length).toBe(12);
+      expect(app.head.calls.count()).toBe(1);
+      expect(app.post.calls.count()).toBe(2);
+      expect(app.get.calls.count()).toBe(3);
+      expect(app.put.calls.count()).toBe(2);
+      expect(app.patch.calls.count()).toBe(1);
+      expect(app.delete.calls.count()).toBe(2);
+      expect(app.options.calls.count()).toBe(1);
+      expect(app.get.calls.argsFor(2)[0]).toBe('/users/:userID');
+    });
+
+    it('checks that a retrieve policy covers a top-level collection.', function() {
+      const router = new GenericRouter(dao, users, null,
+        {policies: {retrieve: () => false}});
+      const req    = {params: {}, query: {}, headers: {}, body: {}};
+      const res    = jasmine.createSpyObj('res', ['status', 'set', 'json', 'send', 'end']);
+      const next   = jasmine.createSpy('next');
+
+      mounter.mount(router, app);
+
+      app.get.calls.all()
+        .find(call => call.args[0] === '/users')
+        .args[1](req, res, next);
+
+      expect(next.calls.argsFor(0)[0].name).toBe('ForbiddenError');
+      expect(dao.retrieve).not.toHaveBeenCalled();
+      expect(res.json).not.toHaveBeenCalled();
+    });
+
+    it('checks that the registered handler calls the router method.', function() {
+      const router = new GenericRouter(dao, users);
+      const req    = {params: {userID: 42}};
+      const res    = {};
+      const next   = jasmine.createSpy('next');
+
+      spyOn(router, 'retrieveByID');
+      mounter.mount(router, app);
+
+      app.get.calls.argsFor(2)[1](req, res, next);
+      expect(router.retrieveByID).toHaveBeenCalledWith(req, res, next);
+    });
+  });
+});
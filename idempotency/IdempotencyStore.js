@@ -0,0 +1,94 @@
+'use strict';
+
+require('insulin').factory('IdempotencyStore', IdempotencyStoreProducer);
+
+function IdempotencyStoreProducer() {
+  /**
+   * An in-memory store of the responses to requests with an Idempotency-Key
+   * header.  A key is reserved (with the request's fingerprint) while the
+   * first request is in progress, and completed with its response.  Entries
+   * expire after a time to live (TTL).
+   *
+   * This is the default store of GenericRouter's idempotency option.  Other
+   * stores (e.g. one backed by Redis, which can be shared between processes)
+   * implement the same interface: reserve, complete, and release.  reserve
+   * must be atomic.  Each method can return a value or a promise.
+   */
+  class IdempotencyStore {
+    /**
+     * Initialize the store.
+     * @memberOf IdempotencyStore
+     */
+    constructor() {
+      this.entries = new Map();
+    }
+
+    /**
+     * Reserve a key, unless there is an entry for it already.
+     * @memberOf IdempotencyStore
+     * @param {string} key The key.
+     * @param {string} fingerprint The fingerprint of the request.
+     * @param {number} ttl The time to live, in seconds.
+     * @returns {Object} Null if the key was reserved, otherwise the existing
+     *          entry: an object with fingerprint and response properties.
+     *          The response is null while the first request is in progress,
+     *          and an object with status and body properties once it's
+     *          complete.
+     */
+    reserve(key, fingerprint, ttl) {
+      this._removeExpired();
+
+      const entry = this.entries.get(key);
+
+      if (entry !== undefined)
+        return {fingerprint: entry.fingerprint, response: entry.response};
+
+      this.entries.set(key, {fingerprint, response: null, expires: Date.now() + ttl * 1000});
+
+      return null;
+    }
+
+    /**
+     * Store the response of a reserved key.
+     * @memberOf IdempotencyStore
+     * @param {string} key The key.
+     * @param {Object} response The response, with status and body properties.
+     * @param {number} ttl The time to live, in seconds.
+     * @returns {void}
+     */
+    complete(key, response, ttl) {
+      const entry = this.entries.get(key);
+
+      if (entry === undefined)
+        return;
+
+      entry.response = response;
+      entry.expires  = Date.now() + ttl * 1000;
+    }
+
+    /**
+     * Release a reserved key (e.g. because the request failed), so that it
+     * can be retried.
+     * @memberOf IdempotencyStore
+     * @param {string} key The key.
+     * @returns {void}
+     */
+    release(key) {
+      this.entries.delete(key);
+    }
+
+    /**
+     * Private helper that removes expired entries.
+     */
+    _removeExpired() {
+      const now = Date.now();
+
+      this.entries.forEach((entry, key) => {
+        if (entry.expires <= now)
+          this.entries.delete(key);
+      });
+    }
+  }
+
+  return IdempotencyStore;
+}
@@ -0,0 +1,54 @@
+describe('IdempotencyStore()', function() {
+  'use strict';
+
+  const insulin          = require('insulin').mock();
+  const IdempotencyStore = insulin.get('IdempotencyStore');
+
+  let store;
+
+  beforeEach(function() {
+    insulin.forget();
+
+    store = new IdempotencyStore();
+  });
+
+  describe('.reserve()', function() {
+    it('checks that new keys are reserved.', function() {
+      expect(store.reserve('Users:create:abc', 'f1', 60)).toBeNull();
+      expect(store.reserve('Users:create:abc', 'f2', 60)).toEqual({fingerprint: 'f1', response: null});
+    });
+
+    it('checks that expired entries are removed.', function() {
+      spyOn(Date, 'now').and.returnValue(1000);
+      store.reserve('Users:create:abc', 'f1', 60);
+
+      Date.now.and.returnValue(61000);
+      expect(store.reserve('Users:create:abc', 'f2', 60)).toBeNull();
+      expect(store.entries.size).toBe(1);
+    });
+  });
+
+  describe('.complete()', function() {
+    it('checks that responses are stored.', function() {
+      store.reserve('Users:create:abc', 'f1', 60);
+      store.complete('Users:create:abc', {status: 201, body: {userID: 42}}, 60);
+
+      expect(store.reserve('Users:create:abc', 'f1', 60))
+        .toEqual({fingerprint: 'f1', response: {status: 201, body: {userID: 42}}});
+    });
+
+    it('checks that unreserved keys are ignored.', function() {
+      store.complete('Users:create:abc', {status: 201, body: {}}, 60);
+      expect(store.entries.size).toBe(0);
+    });
+  });
+
+  describe('.release()', function() {
+    it('checks that released keys can be reserved again.', function() {
+      store.reserve('Users:create:abc', 'f1', 60);
+      store.release('Users:create:abc');
+
+      expect(store.reserve('Users:create:abc', 'f2', 60)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,392 @@
+'use strict';
+
+require('insulin').factory('OpenAPIGenerator', OpenAPIGeneratorProducer);
+
+function OpenAPIGeneratorProducer(RouteMounter, ResourceValidator, FilterParser) {
+  // Media types of the formats that lists and resources can be sent in.
+  const MEDIA_TYPES = {
+    json:   'application/json',
+    csv:    'text/csv',
+    ndjson: 'application/x-ndjson'
+  };
+
+  // Query parameters, by router method.
+  const LIST_PARAMS = ['limit', 'offset', 'cursor', 'order', 'fields', 'format'];
+  const COND_PARAMS = ['where', 'params'];
+  const QUERY_PARAMS = {
+    retrieve:        LIST_PARAMS,
+    retrieveWhere:   COND_PARAMS.concat(LIST_PARAMS),
+    retrieveByID:    ['fields', 'format'],
+    retrieveDeleted: LIST_PARAMS,
+    aggregate:       ['groupBy', 'aggregate']
+  };
+
+  // Router methods that can include relations.
+  const INCLUDE_METHODS = ['retrieve', 'retrieveWhere', 'retrieveByID', 'retrieveDeleted'];
+
+  // Router methods that query a collection using the condition of
+  // retrieveWhere (if there's no parent table).
+  const COND_METHODS = ['count', 'head', 'aggregate'];
+
+  // Descriptions and schemas of the query parameters.
+  const PARAM_DEFS = {
+    where:     {description: 'An ndm condition object, as JSON.', schema: {type: 'string'}},
+    params:    {description: 'Parameters for the where condition, as JSON.', schema: {type: 'string'}},
+    limit:     {description: 'The page size.', schema: {type: 'integer', minimum: 1}},
+    offset:    {description: 'The number of resources to skip.', schema: {type: 'integer', minimum: 0}},
+    cursor:    {description: 'An opaque cursor from a next link.', schema: {type: 'string'}},
+    order:     {
+      description: 'Comma-separated column mappings to order by, each optionally prefixed with - (descending).',
+      schema:      {type: 'string'}
+    },
+    fields:    {description: 'Comma-separated column mappings to select.', schema: {type: 'string'}},
+    format:    {description: 'The response format, which overrides the Accept header.', schema: {type: 'string'}},
+    groupBy:   {description: 'Comma-separated column mappings to group by.', schema: {type: 'string'}},
+    aggregate: {
+      description: 'Comma-separated aggregates, each a function (count, sum, avg, min, or max), ' +
+        'optionally applied to a column mapping in parentheses, e.g. avg(numHoles).',
+      schema:      {type: 'string'}
+    }
+  };
+
+  /**
+   * Generates an OpenAPI 3 document that describes a set of GenericRouter
+   * instances.  Paths come from RouteMounter (including nested parent
+   * paths), and resource schemas come from the ndm table metadata (data
+   * types, nullability, and max lengths).
+   */
+  class OpenAPIGenerator {
+    /**
+     * Initialize the generator.
+     * @memberOf OpenAPIGenerator
+     * @param {Object} [options={}] Document options.
+     * @param {Object} [options.info={title: 'API', version: '1.0.0'}] The
+     *        OpenAPI info object.
+     * @param {Object[]} [options.servers] The OpenAPI servers array.
+     */
+    constructor(options={}) {
+      this.info    = Object.assign({title: 'API', version: '1.0.0'}, options.info);
+      this.servers = options.servers || null;
+      this.mounter = new RouteMounter();
+    }
+
+    /**
+     * Generate the document.
+     * @memberOf OpenAPIGenerator
+     * @param {GenericRouter[]} routers The routers to describe.
+     * @returns {Object} An OpenAPI 3 document.
+     */
+    generate(routers) {
+      const doc = {
+        openapi:    '3.0.3',
+        info:       this.info,
+        paths:      {},
+        components: {schemas: {}}
+      };
+
+      if (this.servers)
+        doc.servers = this.servers;
+
+      routers.forEach(router => {
+        const table = router.table;
+
+        doc.components.schemas[table.mapTo] = this.getSchema(router);
+        doc.components.schemas[`${table.mapTo}Patch`] = this.getSchema(router, true);
+
+        this.mounter.getRoutes(router).forEach(route => {
+          const path = route.path.replace(/:(\w+)/g, '{$1}');
+
+          doc.paths[path] = doc.paths[path] || {};
+          doc.paths[path][route.verb] = this._getOperation(router, route);
+        });
+      });
+
+      return doc;
+    }
+
+    /**
+     * Get the JSON schema of a router's resources.
+     * @memberOf OpenAPIGenerator
+     * @param {GenericRouter} router The router.
+     * @param {boolean} [partial=false] If true, no properties are required
+     *        (for patch).
+     * @returns {Object} An OpenAPI schema object.
+     */
+    getSchema(router, partial=false) {
+      const validator = new ResourceValidator(router.table);
+      const schema    = {type: 'object', properties: {}};
+      const required  = [];
+
+      router.table.columns.forEach(col => {
+        schema.properties[col.mapTo] = this._getColumnSchema(validator, col);
+
+        if (!partial && validator.isRequired(col))
+          required.push(col.mapTo);
+      });
+
+      if (required.length)
+        schema.required = required;
+
+      return schema;
+    }
+
+    /**
+     * Get an Express handler that serves the document.  The document is
+     * generated once, when the handler is created.
+     * @memberOf OpenAPIGenerator
+     * @param {GenericRouter[]} routers The routers to describe.
+     * @returns {function} An Express handler.
+     */
+    getHandler(routers) {
+      const doc = this.generate(routers);
+
+      return (req, res) => res.json(doc);
+    }
+
+    /**
+     * Serve the document from an Express app or Router.
+     * @memberOf OpenAPIGenerator
+     * @param {GenericRouter[]} routers The routers to describe.
+     * @param {Object} app An Express app or Router instance.
+     * @param {string} [path='/openapi.json'] The path of the document.
+     * @returns {void}
+     */
+    mount(routers, app, path='/openapi.json') {
+      app.get(path, this.getHandler(routers));
+    }
+
+    /**
+     * Private helper that converts a column to a schema.
+     */
+    _getColumnSchema(validator, col) {
+      const schema = {};
+
+      switch (validator.getType(col)) {
+        case 'integer':
+        case 'number':
+        case 'string':
+        case 'boolean':
+          schema.type = validator.getType(col);
+          break;
+
+        case 'date':
+          schema.type   = 'string';
+          schema.format = String(col.dataType).toLowerCase() === 'date' ? 'date' : 'date-time';
+          break;
+      }
+
+      if (schema.type === 'string' && typeof col.maxLength === 'number')
+        schema.maxLength = col.maxLength;
+
+      if (col.isNullable === true)
+        schema.nullable = true;
+
+      if (col.isPrimary)
+        schema.readOnly = true;
+
+      return schema;
+    }
+
+    /**
+     * Private helper that describes a single route.
+     */
+    _getOperation(router, route) {
+      const table  = router.table;
+      const ref    = {$ref: `#/components/schemas/${table.mapTo}`};
+      const list   = {type: 'array', items: ref};
+      const op     = {
+        operationId: `${table.mapTo}${route.method[0].toUpperCase()}${route.method.substring(1)}`,
+        tags:        [table.mapTo],
+        parameters:  this._getPathParams(router, route.path)
+          .concat(this._getQueryParams(router, route.method)),
+        responses:   {}
+      };
+
+      switch (route.method) {
+        case 'create':
+          op.requestBody = this._getBody(ref);
+          op.responses[201] = this._getResponse('The created resource.', ref);
+          break;
+
+        case 'retrieve':
+        case 'retrieveWhere':
+          op.responses[200] = this._getResponse('A list of resources.', list, router.formatter.formats);
+          break;
+
+        case 'count':
+          op.responses[200] = this._getResponse('The number of resources.', {type: 'integer', minimum: 0});
+          break;
+
+        case 'head':
+          op.responses[200] = {
+            description: 'The number of resources, in the X-Total-Count header.',
+            headers:     {'X-Total-Count': {schema: {type: 'integer', minimum: 0}}}
+          };
+          break;
+
+        case 'aggregate':
+          op.responses[200] = this._getResponse('The groups and computed values.',
+            {type: 'array', items: {type: 'object'}});
+          break;
+
+        case 'retrieveDeleted':
+          op.responses[200] = this._getResponse('A list of deleted resources.', list,
+            router.formatter.formats);
+          break;
+
+        case 'retrieveByID':
+          op.responses[200] = this._getResponse('The resource.', ref, router.formatter.formats);
+          break;
+
+        case 'update':
+          op.requestBody = this._getBody(ref);
+          op.responses[200] = this._getResponse('The updated resource.', ref);
+          break;
+
+        case 'patch':
+          op.requestBody = this._getBody({$ref: `#/components/schemas/${table.mapTo}Patch`});
+          op.responses[200] = this._getResponse('The updated resource.', ref);
+          break;
+
+        case 'delete':
+          op.responses[200] = this._getResponse('The deleted resource.', {type: 'object'});
+          break;
+
+        case 'restore':
+          op.responses[200] = this._getResponse('The restored resource.', ref);
+          break;
+
+        case 'purge':
+          op.responses[200] = this._getResponse('The purged resource.', {type: 'object'});
+          break;
+
+        case 'replace':
+          op.requestBody = this._getBody(list);
+          op.responses[201] = this._getResponse('The replacement resources.', list);
+          break;
+
+        case 'createMany':
+        case 'updateMany':
+          op.requestBody = this._getBody(list);
+          op.responses[207] = this._getResponse('Per-resource results.', this._getBulkSchema());
+          break;
+
+        case 'deleteMany':
+          op.requestBody = this._getBody({type: 'array', items: {}});
+          op.responses[207] = this._getResponse('Per-resource results.', this._getBulkSchema());
+          break;
+
+        case 'options':
+          op.responses[200] = this._getResponse('A description of the resource.', {type: 'object'});
+          break;
+      }
+
+      op.responses.default = {description: 'An error.'};
+
+      if (!op.parameters.length)
+        delete op.parameters;
+
+      return op;
+    }
+
+    /**
+     * Private helper that describes the parameters in a path.  Parameters are
+     * columns of the router's table, or of its parent table.
+     */
+    _getPathParams(router, path) {
+      const tables = [router.table].concat(router.parentTable || []);
+      const params = path.match(/:\w+/g) || [];
+
+      return params.map(param => {
+        const mapping   = param.substring(1);
+        const table     = tables.find(table => table.isColumnMapping(mapping));
+        const validator = new ResourceValidator(table);
+        const schema    = this._getColumnSchema(validator, table.getColumnByMapping(mapping));
+
+        delete schema.readOnly;
+        delete schema.nullable;
+
+        return {name: mapping, in: 'path', required: true, schema};
+      });
+    }
+
+    /**
+     * Private helper that describes the query parameters of a method,
+     * including the whitelisted filters of retrieveWhere, and the include
+     * parameter if the router has relations.  Top-level collections are
+     * counted and aggregated using the condition of retrieveWhere.
+     */
+    _getQueryParams(router, method) {
+      const counted = COND_METHODS.indexOf(method) !== -1 && !router.parentTable;
+      const params  = (counted ? COND_PARAMS : []).concat(QUERY_PARAMS[method] || [])
+        .map(name => Object.assign({name, in: 'query'}, PARAM_DEFS[name]));
+      const filters = router.config.filters || {};
+      const names   = Object.keys(router.relations || {});
+
+      if (INCLUDE_METHODS.indexOf(method) !== -1 && names.length) {
+        params.push({
+          name:        'include',
+          in:          'query',
+          description: `Comma-separated relations to include: ${names.join(', ')}.`,
+          schema:      {type: 'string'}
+        });
+      }
+
+      if (method === 'retrieveWhere' || counted) {
+        Object.keys(filters).forEach(mapping => {
+          const ops = filters[mapping] === true ?
+            FilterParser.getOperators() : filters[mapping];
+
+          ops.forEach(op => params.push({
+            name:        op === 'eq' ? mapping : `${mapping}[${op}]`,
+            in:          'query',
+            description: `Filter on ${mapping} (${op}).`,
+            schema:      {type: 'string'}
+          }));
+        });
+      }
+
+      return params;
+    }
+
+    /**
+     * Private helper that describes a JSON request body.
+     */
+    _getBody(schema) {
+      return {required: true, content: {'application/json': {schema}}};
+    }
+
+    /**
+     * Private helper that describes a response in one or more formats.
+     */
+    _getResponse(description, schema, formats=['json']) {
+      const content = {};
+
+      formats.forEach(format => {
+        content[MEDIA_TYPES[format]] = format === 'csv' ? {schema: {type: 'string'}} : {schema};
+      });
+
+      return {description, content};
+    }
+
+    /**
+     * Private helper that describes the per-resource results of a bulk
+     * operation.
+     */
+    _getBulkSchema() {
+      return {
+        type:  'array',
+        items: {
+          type:       'object',
+          properties: {
+            status:   {type: 'integer'},
+            resource: {type: 'object'},
+            error:    {type: 'object'}
+          }
+        }
+      };
+    }
+  }
+
+  return OpenAPIGenerator;
+}
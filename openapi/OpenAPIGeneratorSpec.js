@@ -0,0 +1,172 @@
+describe('OpenAPIGenerator()', function() {
+  'use strict';
+
+  const insulin          = require('insulin').mock();
+  const OpenAPIGenerator = insulin.get('OpenAPIGenerator');
+  const GenericRouter    = insulin.get('GenericRouter');
+  const database         = insulin.get('ndm_testDB');
+  const users            = database.getTableByMapping('users');
+  const usersCourses     = database.getTableByMapping('usersCourses');
+  const daoMethods       = [
+    'create', 'retrieve', 'retrieveByID', 'update', 'delete', 'replace', 'options'
+  ];
+
+  let generator, dao, routers;
+
+  beforeEach(function() {
+    insulin.forget();
+
+    generator = new OpenAPIGenerator({info: {title: 'Golf API'}});
+    dao       = jasmine.createSpyObj('dao', daoMethods);
+    routers   = [
+      new GenericRouter(dao, users),
+      new GenericRouter(dao, usersCourses, users, {filters: {state: ['eq', 'in']}})
+    ];
+  });
+
+  /**
+   * Generate.
+   */
+  describe('.generate()', function() {
+    it('checks the document header.', function() {
+      const doc = generator.generate(routers);
+
+      expect(doc.openapi).toBe('3.0.3');
+      expect(doc.info).toEqual({title: 'Golf API', version: '1.0.0'});
+      expect(doc.servers).toBeUndefined();
+      expect(new OpenAPIGenerator({servers: [{url: '/api'}]}).generate([]).servers)
+        .toEqual([{url: '/api'}]);
+    });
+
+    it('checks that each route has a path, including nested paths.', function() {
+      const doc = generator.generate(routers);
+
+      expect(Object.keys(doc.paths)).toEqual([
+        '/users',
+        '/users/count',
+        '/users/bulk',
+        '/users/{userID}',
+        '/users/{userID}/usersCourses',
+        '/users/{userID}/usersCourses/count',
+        '/users/{userID}/usersCourses/bulk',
+        '/users/{userID}/usersCourses/{userCourseID}'
+      ]);
+      expect(Object.keys(doc.paths['/users/{userID}/usersCourses']))
+        .toEqual(['post', 'head', 'get', 'put', 'options']);
+      expect(doc.paths['/users/{userID}/usersCourses'].get.operationId)
+        .toBe('usersCoursesRetrieve');
+    });
+
+    it('checks that path parameters come from the table and parent table.', function() {
+      const doc = generator.generate(routers);
+
+      expect(doc.paths['/users/{userID}/usersCourses/{userCourseID}'].get.parameters
+        .filter(param => param.in === 'path')).toEqual([
+        {name: 'userID',       in: 'path', required: true, schema: {type: 'integer'}},
+        {name: 'userCourseID', in: 'path', required: true, schema: {type: 'integer'}}
+      ]);
+    });
+
+    it('checks that query parameters are described, including filters.', function() {
+      const doc    = generator.generate(routers);
+      const where  = doc.paths['/users'].get.parameters.map(param => param.name);
+      const nested = doc.paths['/users/{userID}/usersCourses'].get.parameters
+        .filter(param => param.in === 'query')
+        .map(param => param.name);
+
+      expect(where).toEqual(['where', 'params', 'limit', 'offset', 'cursor', 'order',
+        'fields', 'format']);
+      expect(nested).toEqual(['limit', 'offset', 'cursor', 'order', 'fields', 'format']);
+      expect(doc.paths['/users/{userID}/usersCourses'].post.parameters.length).toBe(1);
+      expect(doc.paths['/users'].post.parameters).toBeUndefined();
+
+      routers[1] = new GenericRouter(dao, usersCourses, null, {filters: {state: ['eq', 'in']}});
+      expect(generator.generate(routers).paths['/usersCourses'].get.parameters
+        .map(param => param.name)).toContain('state[in]');
+
+      routers[0].addRelation('usersCourses', routers[1]);
+      expect(generator.generate(routers).paths['/users/{userID}'].get.parameters
+        .map(param => param.name)).toContain('include');
+      expect(generator.generate(routers).paths['/users/{userID}'].put.parameters
+        .map(param => param.name)).not.toContain('include');
+    });
+
+    it('checks that schemas are generated from the table metadata.', function() {
+      const doc = generator.generate(routers);
+
+      expect(doc.components.schemas.users).toEqual({
+        type:       'object',
+        properties: {
+          createdOn: {type: 'string', format: 'date-time'},
+          email:     {type: 'string', maxLength: 1000},
+          extUserID: {type: 'string', maxLength: 255},
+          lastLogin: {type: 'string', format: 'date-time'},
+          name:      {type: 'string', maxLength: 1000, nullable: true},
+          userID:    {type: 'integer', readOnly: true}
+        },
+        required: ['email', 'extUserID']
+      });
+      expect(doc.components.schemas.usersPatch.required).toBeUndefined();
+    });
+
+    it('checks the request bodies and responses.', function() {
+      const doc  = generator.generate(routers);
+      const item = doc.paths['/users/{userID}'];
+      const ref  = {$ref: '#/components/schemas/users'};
+
+      expect(doc.paths['/users'].post.requestBody.content['application/json'].schema).toEqual(ref);
+      expect(doc.paths['/users'].post.responses[201].content['application/json'].schema).toEqual(ref);
+      expect(item.patch.requestBody.content['application/json'].schema)
+        .toEqual({$ref: '#/components/schemas/usersPatch'});
+      expect(Object.keys(item.get.responses[200].content))
+        .toEqual(['application/json', 'text/csv', 'application/x-ndjson']);
+      expect(doc.paths['/users/bulk'].post.responses[207]).toBeDefined();
+      expect(doc.paths['/users/{userID}/usersCourses'].put.requestBody.content['application/json'].schema)
+        .toEqual({type: 'array', items: {$ref: '#/components/schemas/usersCourses'}});
+    });
+
+    it('checks the count routes.', function() {
+      const doc = generator.generate(routers);
+
+      expect(doc.paths['/users/count'].get.parameters.map(param => param.name))
+        .toEqual(['where', 'params']);
+      expect(doc.paths['/users/count'].get.responses[200].content['application/json'].schema)
+        .toEqual({type: 'integer', minimum: 0});
+      expect(doc.paths['/users'].head.responses[200].headers['X-Total-Count']).toBeDefined();
+      expect(doc.paths['/users/{userID}/usersCourses/count'].get.parameters.map(param => param.name))
+        .toEqual(['userID']);
+    });
+
+    it('checks the aggregate route.', function() {
+      dao.aggregate = () => null;
+      routers.push(new GenericRouter(dao, usersCourses, null,
+        {filters: {state: ['eq']}, aggregates: {groupBy: ['state']}}));
+
+      const op = generator.generate(routers).paths['/usersCourses/aggregate'].get;
+
+      expect(op.parameters.map(param => param.name))
+        .toEqual(['where', 'params', 'groupBy', 'aggregate', 'state']);
+      expect(op.responses[200].content['application/json'].schema)
+        .toEqual({type: 'array', items: {type: 'object'}});
+    });
+  });
+
+  /**
+   * Serving.
+   */
+  describe('.mount()', function() {
+    it('checks that the document is served.', function() {
+      const app = jasmine.createSpyObj('app', ['get']);
+      const res = jasmine.createSpyObj('res', ['json']);
+
+      generator.mount(routers, app);
+      expect(app.get.calls.argsFor(0)[0]).toBe('/openapi.json');
+
+      app.get.calls.argsFor(0)[1]({}, res);
+      expect(res.json).toHaveBeenCalledWith(generator.generate(routers));
+
+      generator.mount(routers, app, '/docs.json');
+      expect(app.get.calls.argsFor(1)[0]).toBe('/docs.json');
+    });
+  });
+});
@@ -0,0 +1,149 @@
+'use strict';
+
+require('insulin').factory('AggregateParser', AggregateParserProducer);
+
+function AggregateParserProducer(ValidationError) {
+  // Aggregate functions.
+  const FUNCTIONS = ['count', 'sum', 'avg', 'min', 'max'];
+
+  /**
+   * Helper class that parses groupBy and aggregate query parameters, e.g.
+   * groupBy=state,city&aggregate=count,avg(numHoles), into a description of
+   * an aggregate query.  Each aggregate is a function, optionally applied to
+   * a column mapping in parentheses.  count without a column (or count(*))
+   * counts the rows in each group.  Only whitelisted columns can be grouped
+   * and aggregated.
+   */
+  class AggregateParser {
+    /**
+     * Initialize the parser.
+     * @memberOf AggregateParser
+     * @param {ndm.Table} table The table that's being aggregated.
+     * @param {Object} [aggregates={}] A whitelist of columns.
+     * @param {string[]} [aggregates.groupBy=[]] The mappings of the columns
+     *        that can be grouped by.
+     * @param {Object} [aggregates.columns={}] The columns that can be
+     *        aggregated, keyed by column mapping.  Each value is an array of
+     *        allowed functions (e.g. ['avg', 'max']), or true to allow all
+     *        functions.
+     */
+    constructor(table, aggregates={}) {
+      this.table   = table;
+      this.groupBy = aggregates.groupBy || [];
+      this.columns = aggregates.columns || {};
+    }
+
+    /**
+     * Get the names of the supported functions.
+     * @memberOf AggregateParser
+     * @returns {string[]} The function names, e.g. count and avg.
+     */
+    static getFunctions() {
+      return FUNCTIONS.slice();
+    }
+
+    /**
+     * Parse the aggregate query out of a query.
+     * @memberOf AggregateParser
+     * @param {Object} query The query parameters (e.g. req.query).
+     * @returns {Object} An object with groupBy and aggregates properties.
+     *          groupBy is an array of {column, as} objects, where column is
+     *          a fully-qualified column name and as is the column mapping.
+     *          aggregates is an array of {fn, column, as} objects, where
+     *          column is a fully-qualified column name (or * for count), and
+     *          as is the name of the computed value, e.g. count or
+     *          avgNumHoles.  If there is no aggregate parameter, the rows in
+     *          each group are counted.
+     * @throws {ValidationError} If a column or function is not available, or
+     *         if a parameter is malformed.
+     */
+    parse(query) {
+      const groupBy    = this._split(query.groupBy)
+        .map(mapping => this._parseGroupBy(mapping));
+      const aggregates = this._split(query.aggregate === undefined ? 'count' : query.aggregate)
+        .map(term => this._parseAggregate(term));
+
+      if (aggregates.length === 0) {
+        throw new ValidationError('"aggregate" must contain at least one function.',
+          'VAL_AGGREGATE', 'aggregate');
+      }
+
+      return {groupBy, aggregates};
+    }
+
+    /**
+     * Private helper that splits a comma-separated parameter (or an array of
+     * them) into trimmed, non-empty terms.
+     */
+    _split(param) {
+      if (param === undefined)
+        return [];
+
+      return [].concat(param)
+        .join(',')
+        .split(',')
+        .map(term => term.trim())
+        .filter(term => term !== '');
+    }
+
+    /**
+     * Private helper to parse a single groupBy column.
+     */
+    _parseGroupBy(mapping) {
+      if (this.groupBy.indexOf(mapping) === -1 || !this.table.isColumnMapping(mapping)) {
+        throw new ValidationError(`Column "${mapping}" is not available for grouping.`,
+          'VAL_GROUP_BY', 'groupBy');
+      }
+
+      return {column: this._getColumnName(mapping), as: mapping};
+    }
+
+    /**
+     * Private helper to parse a single aggregate term, e.g. avg(numHoles).
+     */
+    _parseAggregate(term) {
+      const match = term.match(/^(\w+)(?:\(\s*([\w*]+)\s*\))?$/);
+
+      if (!match || FUNCTIONS.indexOf(match[1]) === -1) {
+        throw new ValidationError(`"${term}" is not a valid aggregate.  Functions are ${FUNCTIONS.join(', ')}.`,
+          'VAL_AGGREGATE', 'aggregate');
+      }
+
+      const fn      = match[1];
+      const mapping = match[2] === undefined ? '*' : match[2];
+
+      if (mapping === '*') {
+        if (fn !== 'count') {
+          throw new ValidationError(`"${fn}" requires a column.`,
+            'VAL_AGGREGATE', 'aggregate');
+        }
+
+        return {fn, column: '*', as: 'count'};
+      }
+
+      const allowed = Object.prototype.hasOwnProperty.call(this.columns, mapping) ?
+        this.columns[mapping] : false;
+
+      if (!allowed || !this.table.isColumnMapping(mapping) ||
+        (allowed !== true && allowed.indexOf(fn) === -1)) {
+        throw new ValidationError(`Function "${fn}" is not available for "${mapping}".`,
+          'VAL_AGGREGATE', 'aggregate');
+      }
+
+      return {
+        fn,
+        column: this._getColumnName(mapping),
+        as:     fn + mapping[0].toUpperCase() + mapping.substring(1)
+      };
+    }
+
+    /**
+     * Private helper that gets the fully-qualified name of a column.
+     */
+    _getColumnName(mapping) {
+      return `${this.table.name}.${this.table.getColumnByMapping(mapping).name}`;
+    }
+  }
+
+  return AggregateParser;
+}
@@ -0,0 +1,95 @@
+describe('AggregateParser()', function() {
+  'use strict';
+
+  const insulin         = require('insulin').mock();
+  const AggregateParser = insulin.get('AggregateParser');
+  const database        = insulin.get('ndm_testDB');
+  const usersCourses    = database.getTableByMapping('usersCourses');
+  const aggregates      = {
+    groupBy: ['state', 'city'],
+    columns: {numHoles: ['avg', 'sum'], createdOn: true}
+  };
+
+  let parser;
+
+  beforeEach(function() {
+    insulin.forget();
+
+    parser = new AggregateParser(usersCourses, aggregates);
+  });
+
+  /**
+   * Functions.
+   */
+  describe('.getFunctions()', function() {
+    it('checks the supported functions.', function() {
+      expect(AggregateParser.getFunctions()).toEqual(['count', 'sum', 'avg', 'min', 'max']);
+    });
+  });
+
+  /**
+   * Parse.
+   */
+  describe('.parse()', function() {
+    it('checks that rows are counted by default.', function() {
+      expect(parser.parse({})).toEqual({
+        groupBy:    [],
+        aggregates: [{fn: 'count', column: '*', as: 'count'}]
+      });
+    });
+
+    it('checks that group by columns and aggregates are parsed.', function() {
+      expect(parser.parse({groupBy: 'state, city', aggregate: 'count(*),avg(numHoles),max(createdOn)'}))
+        .toEqual({
+          groupBy: [
+            {column: 'UsersCourses.state', as: 'state'},
+            {column: 'UsersCourses.city',  as: 'city'}
+          ],
+          aggregates: [
+            {fn: 'count', column: '*',                     as: 'count'},
+            {fn: 'avg',   column: 'UsersCourses.numHoles',  as: 'avgNumHoles'},
+            {fn: 'max',   column: 'UsersCourses.createdOn', as: 'maxCreatedOn'}
+          ]
+        });
+
+      expect(parser.parse({groupBy: ['state'], aggregate: ['sum(numHoles)']}).aggregates)
+        .toEqual([{fn: 'sum', column: 'UsersCourses.numHoles', as: 'sumNumHoles'}]);
+    });
+
+    it('checks that only whitelisted columns can be grouped.', function() {
+      try {
+        parser.parse({groupBy: 'name'});
+        expect(true).toBe(false);
+      }
+      catch (err) {
+        expect(err.name).toBe('ValidationError');
+        expect(err.code).toBe('VAL_GROUP_BY');
+        expect(err.field).toBe('groupBy');
+        expect(err.message).toBe('Column "name" is not available for grouping.');
+      }
+    });
+
+    it('checks that only whitelisted functions can be applied.', function() {
+      try {
+        parser.parse({aggregate: 'min(numHoles)'});
+        expect(true).toBe(false);
+      }
+      catch (err) {
+        expect(err.code).toBe('VAL_AGGREGATE');
+        expect(err.field).toBe('aggregate');
+        expect(err.message).toBe('Function "min" is not available for "numHoles".');
+      }
+
+      expect(() => parser.parse({aggregate: 'avg(name)'})).toThrow();
+      expect(() => parser.parse({aggregate: 'avg(toString)'})).toThrow();
+      expect(() => new AggregateParser(usersCourses).parse({aggregate: 'avg(numHoles)'})).toThrow();
+    });
+
+    it('checks that malformed aggregates raise a ValidationError.', function() {
+      expect(() => parser.parse({aggregate: 'median(numHoles)'})).toThrow();
+      expect(() => parser.parse({aggregate: 'avg(numHoles'})).toThrow();
+      expect(() => parser.parse({aggregate: 'sum(*)'})).toThrow();
+      expect(() => parser.parse({aggregate: ''})).toThrow();
+    });
+  });
+});
@@ -0,0 +1,66 @@
+'use strict';
+
+require('insulin').factory('FieldParser', FieldParserProducer);
+
+function FieldParserProducer(ValidationError) {
+  /**
+   * Helper class that parses a fields query parameter, e.g.
+   * fields=userID,name, into a list of columns to select (a sparse
+   * fieldset).
+   */
+  class FieldParser {
+    /**
+     * Initialize the parser.
+     * @memberOf FieldParser
+     * @param {ndm.Table} table The table that's being selected from.  Only
+     *        columns of this table are available for selection.
+     */
+    constructor(table) {
+      this.table = table;
+    }
+
+    /**
+     * Parse the fields parameter out of a query.  The parameter is a
+     * comma-separated list of column mappings.  The primary key is always
+     * selected, whether or not it's in the list.
+     * @memberOf FieldParser
+     * @param {Object} query The query parameters (e.g. req.query).
+     * @returns {string[]} Null if there is no fields parameter, otherwise an
+     *          array of fully-qualified column names
+     *          (<table-alias>.<column-name>), suitable for ndm's select
+     *          method, in table order.
+     * @throws {ValidationError} If the parameter is malformed, or if a column
+     *         is not available for selection.
+     */
+    parse(query) {
+      if (query.fields === undefined)
+        return null;
+
+      const mappings = new Set();
+
+      [].concat(query.fields)
+        .join(',')
+        .split(',')
+        .map(field => field.trim())
+        .forEach(field => {
+          if (field === '') {
+            throw new ValidationError('"fields" contains an empty column.',
+              'VAL_FIELDS', 'fields');
+          }
+
+          if (!this.table.isColumnMapping(field)) {
+            throw new ValidationError(`Column "${field}" is not available for selection.`,
+              'VAL_FIELDS', 'fields');
+          }
+
+          mappings.add(field);
+        });
+
+      return this.table.columns
+        .filter(col => col.isPrimary || mappings.has(col.mapTo))
+        .map(col => `${this.table.name}.${col.name}`);
+    }
+  }
+
+  return FieldParser;
+}
@@ -0,0 +1,69 @@
+describe('FieldParser()', function() {
+  'use strict';
+
+  const insulin     = require('insulin').mock();
+  const FieldParser = insulin.get('FieldParser');
+  const database    = insulin.get('ndm_testDB');
+  const users       = database.getTableByMapping('users');
+
+  let parser;
+
+  beforeEach(function() {
+    insulin.forget();
+
+    parser = new FieldParser(users);
+  });
+
+  describe('.parse()', function() {
+    it('checks that null is returned if there is no fields parameter.', function() {
+      expect(parser.parse({})).toBeNull();
+    });
+
+    it('checks that the primary key is always selected.', function() {
+      expect(parser.parse({fields: 'name'}))
+        .toEqual(['Users.name', 'Users.userID']);
+    });
+
+    it('checks that columns are returned in table order without duplicates.', function() {
+      expect(parser.parse({fields: 'userID, name,email,name'}))
+        .toEqual(['Users.email', 'Users.name', 'Users.userID']);
+    });
+
+    it('checks that repeated fields parameters are combined.', function() {
+      expect(parser.parse({fields: ['name', 'email']}))
+        .toEqual(['Users.email', 'Users.name', 'Users.userID']);
+    });
+
+    it('checks that column mappings are translated to column names.', function() {
+      const Table  = insulin.get('ndm_Table');
+      const people = new Table({
+        name:    'people',
+        columns: [
+          {name: 'personID',   mapTo: 'id', isPrimary: true},
+          {name: 'first_name', mapTo: 'firstName'}
+        ]
+      });
+
+      expect(new FieldParser(people).parse({fields: 'firstName'}))
+        .toEqual(['people.personID', 'people.first_name']);
+    });
+
+    it('checks that unknown columns are rejected.', function() {
+      try {
+        parser.parse({fields: 'name,foo'});
+        expect(true).toBe(false);
+      }
+      catch (err) {
+        expect(err.name).toBe('ValidationError');
+        expect(err.code).toBe('VAL_FIELDS');
+        expect(err.field).toBe('fields');
+        expect(err.message).toBe('Column "foo" is not available for selection.');
+      }
+    });
+
+    it('checks that empty columns are rejected.', function() {
+      expect(() => parser.parse({fields: 'name,,email'}))
+        .toThrowError('"fields" contains an empty column.');
+    });
+  });
+});
@@ -0,0 +1,155 @@
+'use strict';
+
+require('insulin').factory('FilterParser', FilterParserProducer);
+
+function FilterParserProducer(ValidationError) {
+  // Filter operators, and the corresponding ndm condition operators.
+  const OPERATORS = {
+    eq:      '$eq',
+    neq:     '$neq',
+    lt:      '$lt',
+    lte:     '$lte',
+    gt:      '$gt',
+    gte:     '$gte',
+    like:    '$like',
+    notlike: '$notLike',
+    in:      '$in',
+    notin:   '$notIn'
+  };
+
+  // Query parameters that are used for other purposes, and are never filters.
+  const RESERVED = [
+    'where', 'params', 'limit', 'offset', 'cursor', 'order', 'fields', 'format',
+    'include', 'groupBy', 'aggregate'
+  ];
+
+  /**
+   * Helper class that parses flat filter query parameters, e.g.
+   * state=OR&numHoles[gte]=18&name[like]=Pine%, into an ndm condition and
+   * parameters.  Each parameter is a column mapping, optionally followed by
+   * an operator in brackets (eq by default).  The in and notin operators take
+   * a comma-separated list of values.  Filters are joined with $and.
+   */
+  class FilterParser {
+    /**
+     * Initialize the parser.
+     * @memberOf FilterParser
+     * @param {ndm.Table} table The table that's being filtered.
+     * @param {Object} [filters={}] A whitelist of filterable columns, keyed by
+     *        column mapping.  Each value is an array of allowed operators
+     *        (e.g. ['eq', 'in']), or true to allow all operators.  If the
+     *        whitelist is empty then filtering is disabled.
+     */
+    constructor(table, filters={}) {
+      this.table   = table;
+      this.filters = filters;
+    }
+
+    /**
+     * Get the names of the supported operators.
+     * @memberOf FilterParser
+     * @returns {string[]} The operator names, e.g. eq and gte.
+     */
+    static getOperators() {
+      return Object.keys(OPERATORS);
+    }
+
+    /**
+     * Parse the filters out of a query.  Both bracketed keys
+     * ('numHoles[gte]': '18') and nested objects ({numHoles: {gte: '18'}},
+     * as produced by Express's query parser) are supported.
+     * @memberOf FilterParser
+     * @param {Object} query The query parameters (e.g. req.query).
+     * @returns {Object} Null if there are no filters (or filtering is
+     *          disabled), otherwise an object with where and params
+     *          properties, suitable for ndm's Select.where method.
+     * @throws {ValidationError} If a column or operator is not available for
+     *         filtering, or if a value is malformed.
+     */
+    parse(query) {
+      const conds  = [];
+      const params = {};
+
+      if (Object.keys(this.filters).length === 0)
+        return null;
+
+      Object.keys(query)
+        .filter(key => RESERVED.indexOf(key) === -1)
+        .forEach(key => {
+          const match  = key.match(/^([^\[\]]+)(?:\[([^\[\]]*)\])?$/);
+          const value  = query[key];
+          const nested = value !== null && typeof value === 'object' && !Array.isArray(value);
+          let   terms;
+
+          // Other query parameters are ignored: only column mappings,
+          // bracketed keys, and nested objects are filters.
+          if (!match || (match[2] === undefined && !nested && !this.table.isColumnMapping(key)))
+            return;
+
+          if (match[2] !== undefined)
+            terms = [{op: match[2], value}];
+          else if (nested)
+            terms = Object.keys(value).map(op => ({op, value: value[op]}));
+          else
+            terms = [{op: 'eq', value}];
+
+          terms.forEach(term => conds.push(this._parseTerm(match[1], term.op, term.value, params)));
+        });
+
+      if (conds.length === 0)
+        return null;
+
+      return {
+        where: conds.length === 1 ? conds[0] : {$and: conds},
+        params
+      };
+    }
+
+    /**
+     * Private helper to parse a single filter term into a condition.  The
+     * parameter values are added to params.
+     */
+    _parseTerm(mapping, op, value, params) {
+      const allowed = this.filters[mapping];
+
+      if (!allowed || !this.table.isColumnMapping(mapping)) {
+        throw new ValidationError(`Column "${mapping}" is not available for filtering.`,
+          'VAL_FILTER', mapping);
+      }
+
+      if (OPERATORS[op] === undefined || (allowed !== true && allowed.indexOf(op) === -1)) {
+        throw new ValidationError(`Operator "${op}" is not available for "${mapping}".`,
+          'VAL_FILTER', mapping);
+      }
+
+      const col    = this.table.getColumnByMapping(mapping);
+      const column = `${this.table.name}.${col.name}`;
+      const name   = `filter_${mapping}_${op}`;
+      const cond   = {};
+
+      if (op === 'in' || op === 'notin') {
+        const values = [].concat(value).join(',').split(',');
+
+        cond[OPERATORS[op]] = {};
+        cond[OPERATORS[op]][column] = values.map((v, i) => {
+          params[`${name}_${i}`] = v;
+          return `:${name}_${i}`;
+        });
+      }
+      else {
+        if (typeof value !== 'string') {
+          throw new ValidationError(`"${mapping}" must have a single value for "${op}".`,
+            'VAL_FILTER', mapping);
+        }
+
+        params[name] = value;
+        cond[OPERATORS[op]] = {};
+        cond[OPERATORS[op]][column] = `:${name}`;
+      }
+
+      return cond;
+    }
+  }
+
+  return FilterParser;
+}
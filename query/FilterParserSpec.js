@@ -0,0 +1,158 @@
+describe('FilterParser()', function() {
+  'use strict';
+
+  const insulin      = require('insulin').mock();
+  const FilterParser = insulin.get('FilterParser');
+  const From         = insulin.get('ndm_From');
+  const MySQLEscaper = insulin.get('ndm_MySQLEscaper');
+  const database     = insulin.get('ndm_testDB');
+  const usersCourses = database.getTableByMapping('usersCourses');
+  const filters      = {
+    state:    ['eq', 'in'],
+    numHoles: ['eq', 'gte', 'lte'],
+    name:     true
+  };
+
+  beforeEach(function() {
+    insulin.forget();
+  });
+
+  /**
+   * Operators.
+   */
+  describe('.getOperators()', function() {
+    it('checks the supported operators.', function() {
+      expect(FilterParser.getOperators()).toEqual(
+        ['eq', 'neq', 'lt', 'lte', 'gt', 'gte', 'like', 'notlike', 'in', 'notin']);
+    });
+  });
+
+  /**
+   * Parse.
+   */
+  describe('.parse()', function() {
+    it('checks that null is returned if there are no filters.', function() {
+      const parser = new FilterParser(usersCourses, filters);
+      expect(parser.parse({limit: '10', order: 'name'})).toBeNull();
+    });
+
+    it('checks that filtering is disabled without a whitelist.', function() {
+      const parser = new FilterParser(usersCourses);
+      expect(parser.parse({state: 'OR'})).toBeNull();
+    });
+
+    it('checks that a plain parameter is an equality filter.', function() {
+      const parser = new FilterParser(usersCourses, filters);
+
+      expect(parser.parse({state: 'OR'})).toEqual({
+        where:  {$eq: {'UsersCourses.state': ':filter_state_eq'}},
+        params: {filter_state_eq: 'OR'}
+      });
+    });
+
+    it('checks that multiple filters are joined with $and.', function() {
+      const parser = new FilterParser(usersCourses, filters);
+
+      expect(parser.parse({state: 'OR', 'numHoles[gte]': '18', 'name[like]': 'Pine%'})).toEqual({
+        where: {$and: [
+          {$eq:   {'UsersCourses.state':    ':filter_state_eq'}},
+          {$gte:  {'UsersCourses.numHoles': ':filter_numHoles_gte'}},
+          {$like: {'UsersCourses.name':     ':filter_name_like'}}
+        ]},
+        params: {
+          filter_state_eq:     'OR',
+          filter_numHoles_gte: '18',
+          filter_name_like:    'Pine%'
+        }
+      });
+    });
+
+    it('checks that nested query objects are supported.', function() {
+      const parser = new FilterParser(usersCourses, filters);
+
+      expect(parser.parse({numHoles: {gte: '9', lte: '18'}})).toEqual({
+        where: {$and: [
+          {$gte: {'UsersCourses.numHoles': ':filter_numHoles_gte'}},
+          {$lte: {'UsersCourses.numHoles': ':filter_numHoles_lte'}}
+        ]},
+        params: {filter_numHoles_gte: '9', filter_numHoles_lte: '18'}
+      });
+    });
+
+    it('checks that in takes a list of values.', function() {
+      const parser = new FilterParser(usersCourses, filters);
+
+      expect(parser.parse({'state[in]': 'OR,WA'})).toEqual({
+        where:  {$in: {'UsersCourses.state': [':filter_state_in_0', ':filter_state_in_1']}},
+        params: {filter_state_in_0: 'OR', filter_state_in_1: 'WA'}
+      });
+    });
+
+    it('checks that every operator can be compiled by ndm.', function() {
+      const parser = new FilterParser(usersCourses, filters);
+
+      FilterParser.getOperators().forEach(op => {
+        const cond = parser.parse({[`name[${op}]`]: 'Pine%,Bend'});
+        const from = new From(database, new MySQLEscaper(), {}, usersCourses.name);
+
+        expect(() => from.where(cond.where, cond.params)).not.toThrow();
+      });
+    });
+
+    it('checks that notlike is compiled to NOT LIKE.', function() {
+      const parser = new FilterParser(usersCourses, filters);
+      const cond   = parser.parse({'name[notlike]': 'Pine%'});
+      const from   = new From(database, new MySQLEscaper(), {}, usersCourses.name)
+        .where(cond.where, cond.params);
+
+      expect(from.toString()).toContain('`UsersCourses`.`name` NOT LIKE :filter_name_notlike');
+    });
+
+    it('checks that unrelated parameters are ignored.', function() {
+      const parser = new FilterParser(usersCourses, filters);
+      expect(parser.parse({foo: 'bar', where: '{}', fields: 'name'})).toBeNull();
+    });
+
+    it('checks that columns that are not whitelisted are rejected.', function() {
+      const parser = new FilterParser(usersCourses, filters);
+
+      ['city', 'foo[eq]'].forEach(key => {
+        try {
+          parser.parse({[key]: 'Bend'});
+          expect(true).toBe(false);
+        }
+        catch (err) {
+          const mapping = key.replace('[eq]', '');
+
+          expect(err.name).toBe('ValidationError');
+          expect(err.code).toBe('VAL_FILTER');
+          expect(err.field).toBe(mapping);
+          expect(err.message).toBe(`Column "${mapping}" is not available for filtering.`);
+        }
+      });
+    });
+
+    it('checks that operators that are not whitelisted are rejected.', function() {
+      const parser = new FilterParser(usersCourses, filters);
+
+      ['state[like]', 'name[between]'].forEach(key => {
+        try {
+          parser.parse({[key]: 'x'});
+          expect(true).toBe(false);
+        }
+        catch (err) {
+          expect(err.name).toBe('ValidationError');
+          expect(err.code).toBe('VAL_FILTER');
+          expect(err.field).toBe(key.split('[')[0]);
+        }
+      });
+    });
+
+    it('checks that comparisons require a single value.', function() {
+      const parser = new FilterParser(usersCourses, filters);
+
+      expect(() => parser.parse({state: ['OR', 'WA']}))
+        .toThrowError('"state" must have a single value for "eq".');
+    });
+  });
+});
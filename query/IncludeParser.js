@@ -0,0 +1,87 @@
+'use strict';
+
+require('insulin').factory('IncludeParser', IncludeParserProducer);
+
+function IncludeParserProducer(ValidationError) {
+  /**
+   * Helper class that parses an include query parameter, e.g.
+   * include=usersCourses,usersCourses.rounds, into a tree of relations to
+   * expand.  Nested relations are separated by dots.
+   */
+  class IncludeParser {
+    /**
+     * Initialize the parser.
+     * @memberOf IncludeParser
+     * @param {Object} relations The relations that can be included, keyed by
+     *        name.  Each value is a GenericRouter, and its relations can be
+     *        nested under it.
+     * @param {number} [maxDepth=1] The maximum nesting depth.
+     */
+    constructor(relations, maxDepth=1) {
+      this.relations = relations || {};
+      this.maxDepth  = maxDepth;
+    }
+
+    /**
+     * Parse the include parameter out of a query.
+     * @memberOf IncludeParser
+     * @param {Object} query The query parameters (e.g. req.query).
+     * @returns {Object} Null if there is no include parameter, otherwise a
+     *          tree of relation names, e.g. {usersCourses: {rounds: {}}}.
+     * @throws {ValidationError} If the parameter is malformed, a relation is
+     *         unknown, or the maximum depth is exceeded.
+     */
+    parse(query) {
+      if (query.include === undefined)
+        return null;
+
+      const tree = {};
+
+      [].concat(query.include)
+        .join(',')
+        .split(',')
+        .map(path => path.trim())
+        .forEach(path => {
+          const names = path.split('.');
+
+          if (names.some(name => name === '')) {
+            throw new ValidationError('"include" contains an empty relation.',
+              'VAL_INCLUDE', 'include');
+          }
+
+          if (names.length > this.maxDepth) {
+            throw new ValidationError(`"include" exceeds the maximum depth of ${this.maxDepth}.`,
+              'VAL_INCLUDE', 'include');
+          }
+
+          this._addPath(tree, names, this.relations, []);
+        });
+
+      return tree;
+    }
+
+    /**
+     * Private helper that adds a path of relation names to the tree,
+     * verifying that each relation is available.
+     */
+    _addPath(tree, names, relations, parents) {
+      const name = names[0];
+
+      if (!Object.prototype.hasOwnProperty.call(relations, name)) {
+        const full = parents.concat(name).join('.');
+
+        throw new ValidationError(`Relation "${full}" is not available for inclusion.`,
+          'VAL_INCLUDE', 'include');
+      }
+
+      tree[name] = tree[name] || {};
+
+      if (names.length > 1) {
+        this._addPath(tree[name], names.slice(1),
+          relations[name].relations, parents.concat(name));
+      }
+    }
+  }
+
+  return IncludeParser;
+}
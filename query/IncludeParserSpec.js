@@ -0,0 +1,73 @@
+describe('IncludeParser()', function() {
+  'use strict';
+
+  const insulin       = require('insulin').mock();
+  const IncludeParser = insulin.get('IncludeParser');
+
+  let relations, parser;
+
+  beforeEach(function() {
+    insulin.forget();
+
+    relations = {
+      usersCourses: {relations: {user: {relations: {}}}},
+      friends:      {relations: {}}
+    };
+    parser = new IncludeParser(relations);
+  });
+
+  describe('.parse()', function() {
+    it('checks that null is returned if there is no include parameter.', function() {
+      expect(parser.parse({})).toBeNull();
+    });
+
+    it('checks that relations are parsed into a tree.', function() {
+      expect(parser.parse({include: 'usersCourses'})).toEqual({usersCourses: {}});
+      expect(parser.parse({include: 'usersCourses, friends'}))
+        .toEqual({usersCourses: {}, friends: {}});
+      expect(parser.parse({include: ['usersCourses', 'friends']}))
+        .toEqual({usersCourses: {}, friends: {}});
+    });
+
+    it('checks that nested relations are parsed.', function() {
+      parser = new IncludeParser(relations, 2);
+
+      expect(parser.parse({include: 'usersCourses.user,usersCourses,friends'}))
+        .toEqual({usersCourses: {user: {}}, friends: {}});
+    });
+
+    it('checks that unknown relations raise a ValidationError.', function() {
+      parser = new IncludeParser(relations, 2);
+
+      try {
+        parser.parse({include: 'usersCourses.course'});
+        expect(true).toBe(false);
+      }
+      catch (err) {
+        expect(err.name).toBe('ValidationError');
+        expect(err.code).toBe('VAL_INCLUDE');
+        expect(err.field).toBe('include');
+        expect(err.message).toBe('Relation "usersCourses.course" is not available for inclusion.');
+      }
+
+      expect(() => parser.parse({include: 'toString'})).toThrow();
+      expect(() => new IncludeParser().parse({include: 'usersCourses'})).toThrow();
+    });
+
+    it('checks that the maximum depth is enforced.', function() {
+      try {
+        parser.parse({include: 'usersCourses.user'});
+        expect(true).toBe(false);
+      }
+      catch (err) {
+        expect(err.code).toBe('VAL_INCLUDE');
+        expect(err.message).toBe('"include" exceeds the maximum depth of 1.');
+      }
+    });
+
+    it('checks that empty relations raise a ValidationError.', function() {
+      expect(() => parser.parse({include: 'usersCourses,'})).toThrow();
+      expect(() => parser.parse({include: ''})).toThrow();
+    });
+  });
+});
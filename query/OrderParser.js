@@ -0,0 +1,72 @@
+'use strict';
+
+require('insulin').factory('OrderParser', OrderParserProducer);
+
+function OrderParserProducer(ValidationError) {
+  /**
+   * Helper class that parses an order query parameter, e.g.
+   * order=-createdOn,name, into a structured order-by that can be passed to
+   * ndm's Select.orderBy method.
+   */
+  class OrderParser {
+    /**
+     * Initialize the parser.
+     * @memberOf OrderParser
+     * @param {ndm.Table} table The table that's being ordered.  Only columns
+     *        of this table are available for ordering.
+     */
+    constructor(table) {
+      this.table = table;
+    }
+
+    /**
+     * Parse the order parameter out of a query.  The parameter is a
+     * comma-separated list of column mappings, each optionally prefixed with
+     * - (descending) or + (ascending, the default).
+     * @memberOf OrderParser
+     * @param {Object} query The query parameters (e.g. req.query).
+     * @returns {Object[]} Null if there is no order parameter, otherwise an
+     *          array of objects, each with a fully-qualified column name
+     *          (<table-alias>.<column-name>) and a dir (ASC or DESC).
+     * @throws {ValidationError} If the parameter is malformed, or if a column
+     *         is not available for ordering.
+     */
+    parse(query) {
+      if (query.order === undefined)
+        return null;
+
+      return [].concat(query.order)
+        .join(',')
+        .split(',')
+        .map(term => this._parseTerm(term.trim()));
+    }
+
+    /**
+     * Private helper to parse a single order term (e.g. -createdOn).
+     */
+    _parseTerm(term) {
+      let dir = 'ASC';
+
+      if (term[0] === '-' || term[0] === '+') {
+        dir  = term[0] === '-' ? 'DESC' : 'ASC';
+        term = term.substring(1);
+      }
+
+      if (term === '') {
+        throw new ValidationError('"order" contains an empty column.',
+          'VAL_ORDER', 'order');
+      }
+
+      if (!this.table.isColumnMapping(term)) {
+        throw new ValidationError(`Column "${term}" is not available for ordering.`,
+          'VAL_ORDER', 'order');
+      }
+
+      const col = this.table.getColumnByMapping(term);
+
+      return {column: `${this.table.name}.${col.name}`, dir};
+    }
+  }
+
+  return OrderParser;
+}
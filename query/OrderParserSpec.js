@@ -0,0 +1,76 @@
+describe('OrderParser()', function() {
+  'use strict';
+
+  const insulin     = require('insulin').mock();
+  const OrderParser = insulin.get('OrderParser');
+  const database    = insulin.get('ndm_testDB');
+  const users       = database.getTableByMapping('users');
+
+  let parser;
+
+  beforeEach(function() {
+    insulin.forget();
+
+    parser = new OrderParser(users);
+  });
+
+  describe('.parse()', function() {
+    it('checks that null is returned if there is no order parameter.', function() {
+      expect(parser.parse({})).toBeNull();
+    });
+
+    it('checks that columns default to ascending order.', function() {
+      expect(parser.parse({order: 'name'}))
+        .toEqual([{column: 'Users.name', dir: 'ASC'}]);
+    });
+
+    it('checks that multiple columns and directions are parsed.', function() {
+      expect(parser.parse({order: '-createdOn,+name, email'})).toEqual([
+        {column: 'Users.createdOn', dir: 'DESC'},
+        {column: 'Users.name',      dir: 'ASC'},
+        {column: 'Users.email',     dir: 'ASC'}
+      ]);
+    });
+
+    it('checks that repeated order parameters are combined.', function() {
+      expect(parser.parse({order: ['-createdOn', 'name']})).toEqual([
+        {column: 'Users.createdOn', dir: 'DESC'},
+        {column: 'Users.name',      dir: 'ASC'}
+      ]);
+    });
+
+    it('checks that column mappings are translated to column names.', function() {
+      const Table  = insulin.get('ndm_Table');
+      const people = new Table({
+        name:    'people',
+        columns: [
+          {name: 'personID',   mapTo: 'id', isPrimary: true},
+          {name: 'first_name', mapTo: 'firstName'}
+        ]
+      });
+
+      expect(new OrderParser(people).parse({order: '-firstName'}))
+        .toEqual([{column: 'people.first_name', dir: 'DESC'}]);
+    });
+
+    it('checks that unknown columns are rejected.', function() {
+      try {
+        parser.parse({order: 'name,-foo'});
+        expect(true).toBe(false);
+      }
+      catch (err) {
+        expect(err.name).toBe('ValidationError');
+        expect(err.code).toBe('VAL_ORDER');
+        expect(err.field).toBe('order');
+        expect(err.message).toBe('Column "foo" is not available for ordering.');
+      }
+    });
+
+    it('checks that empty columns are rejected.', function() {
+      expect(() => parser.parse({order: 'name,'}))
+        .toThrowError('"order" contains an empty column.');
+      expect(() => parser.parse({order: '-'}))
+        .toThrowError('"order" contains an empty column.');
+    });
+  });
+});
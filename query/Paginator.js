@@ -0,0 +1,239 @@
+'use strict';
+
+require('insulin').factory('Paginator', PaginatorProducer);
+
+function PaginatorProducer(ValidationError) {
+  const querystring = require('querystring');
+
+  /**
+   * Helper class for paging through lists of resources.  Pages are requested
+   * using limit and offset query parameters, or using an opaque cursor that is
+   * keyed on the primary key of the last resource in the previous page.  An
+   * empty cursor requests the first page in cursor mode.
+   */
+  class Paginator {
+    /**
+     * Initialize the paginator.
+     * @memberOf Paginator
+     * @param {ndm.Table} table The table that's being paged.  Cursors are
+     *        keyed on the table's primary key.
+     * @param {Object} [options={}] Paging options.
+     * @param {number} [options.defaultLimit=options.maxLimit] The page size
+     *        that is used when no limit is supplied.  If neither defaultLimit
+     *        nor maxLimit is set, lists are not paged unless a limit, offset,
+     *        or cursor is supplied.
+     * @param {number} [options.maxLimit=null] The maximum page size that a
+     *        client can request, or null for no maximum.
+     * @param {bool} [options.cursor=false] Whether or not lists are paged
+     *        using cursors by default: when true, next links carry a cursor
+     *        unless the client supplies an offset (or an order).
+     */
+    constructor(table, options={}) {
+      this.table        = table;
+      this.maxLimit     = options.maxLimit     || null;
+      this.defaultLimit = options.defaultLimit || this.maxLimit;
+      this.cursor       = !!options.cursor;
+    }
+
+    /**
+     * Parse the paging parameters out of a query.
+     * @memberOf Paginator
+     * @param {Object} query The query parameters (e.g. req.query), which may
+     *        contain limit, offset, and cursor properties.
+     * @returns {Object} Null if the list is not paged, otherwise an object
+     *          with limit, offset, and after properties.  after is the decoded
+     *          cursor: an object keyed by primary key mapping, or null if
+     *          there is no cursor (or the cursor is empty).
+     * @throws {ValidationError} If any of the parameters are invalid.
+     */
+    parse(query) {
+      const page = {
+        limit:  this.defaultLimit,
+        offset: 0,
+        after:  null
+      };
+
+      if (query.limit === undefined && query.offset === undefined &&
+        query.cursor === undefined && this.defaultLimit === null) {
+        return null;
+      }
+
+      if (query.limit !== undefined)
+        page.limit = this._parseInt(query.limit, 'limit', 1);
+
+      if (this.maxLimit !== null && page.limit > this.maxLimit) {
+        throw new ValidationError(`"limit" must not exceed ${this.maxLimit}.`,
+          'VAL_MAX_LIMIT', 'limit');
+      }
+
+      if (query.offset !== undefined)
+        page.offset = this._parseInt(query.offset, 'offset', 0);
+
+      if (query.cursor !== undefined) {
+        if (query.offset !== undefined) {
+          throw new ValidationError('"cursor" and "offset" cannot be combined.',
+            'VAL_CURSOR', 'cursor');
+        }
+
+        if (query.cursor !== '')
+          page.after = this.decodeCursor(query.cursor);
+      }
+
+      return page;
+    }
+
+    /**
+     * Create an opaque cursor from a resource.
+     * @memberOf Paginator
+     * @param {Object} resource The resource, which must contain each part of
+     *        the table's primary key.
+     * @returns {string} The cursor, a base64-encoded string.
+     */
+    encodeCursor(resource) {
+      const key = {};
+
+      this.table.primaryKey.forEach(col => key[col.mapTo] = resource[col.mapTo]);
+
+      return Buffer.from(JSON.stringify(key)).toString('base64');
+    }
+
+    /**
+     * Decode a cursor.
+     * @memberOf Paginator
+     * @param {string} cursor The cursor, as created by encodeCursor.
+     * @returns {Object} An object keyed by primary key mapping.
+     * @throws {ValidationError} If the cursor is invalid.
+     */
+    decodeCursor(cursor) {
+      let key;
+
+      try {
+        key = JSON.parse(Buffer.from(String(cursor), 'base64').toString());
+      }
+      catch (e) {
+        key = null;
+      }
+
+      if (key === null || typeof key !== 'object' ||
+        !this.table.primaryKey.every(col => key[col.mapTo] !== undefined)) {
+        throw new ValidationError('"cursor" is not valid.', 'VAL_CURSOR', 'cursor');
+      }
+
+      return key;
+    }
+
+    /**
+     * Set the paging headers on a response.  If total is defined then it is
+     * set in an X-Total-Count header.  Next and previous page links are set in
+     * a Link header (RFC 8288).  In cursor mode (a cursor was supplied, or
+     * cursors are the default) there is only a next link.
+     * @memberOf Paginator
+     * @param {Object} req An Express request object.
+     * @param {Object} res An Express response object.
+     * @param {Object} page The page, as returned by parse.  If the page has
+     *        an order then cursors are not used by default.
+     * @param {Object[]} resources The resources in the page.
+     * @param {number} [total] The total number of resources in the list.
+     * @returns {void}
+     */
+    setHeaders(req, res, page, resources, total) {
+      const links = [];
+
+      if (total !== undefined)
+        res.set('X-Total-Count', String(total));
+
+      if (page.limit !== null) {
+        if (this._isCursorMode(req.query || {}, page)) {
+          // Cursor paging only moves forward.
+          if (resources.length === page.limit) {
+            links.push(this._createLink(req, 'next', {
+              cursor: this.encodeCursor(resources[resources.length - 1])
+            }));
+          }
+        }
+        else {
+          const hasNext = total !== undefined ?
+            page.offset + resources.length < total :
+            resources.length === page.limit;
+
+          if (hasNext) {
+            links.push(this._createLink(req, 'next',
+              {offset: page.offset + page.limit}));
+          }
+
+          if (page.offset > 0) {
+            links.push(this._createLink(req, 'prev',
+              {offset: Math.max(0, page.offset - page.limit)}));
+          }
+        }
+      }
+
+      if (links.length)
+        res.set('Link', links.join(', '));
+    }
+
+    /**
+     * Private helper to check if a page is in cursor mode.  Cursors are keyed
+     * on the primary key, so ordered lists use offsets unless a cursor is
+     * explicitly supplied.
+     */
+    _isCursorMode(query, page) {
+      if (page.after !== null || query.cursor !== undefined)
+        return true;
+
+      return this.cursor && query.offset === undefined && page.order === undefined;
+    }
+
+    /**
+     * Private helper to parse a non-negative integer out of a query parameter.
+     */
+    _parseInt(value, name, min) {
+      const num = Number(value);
+
+      if (!/^\d+$/.test(String(value)) || num < min) {
+        const desc = min === 0 ? 'a non-negative' : 'a positive';
+
+        throw new ValidationError(`"${name}" must be ${desc} integer.`,
+          'VAL_INT', name);
+      }
+
+      return num;
+    }
+
+    /**
+     * Private helper to create a link to another page.  The link keeps the
+     * request's query parameters, and overrides the paging parameters.
+     */
+    _createLink(req, rel, override) {
+      const path  = (req.originalUrl || req.url || '').split('?')[0];
+      const query = Object.assign(this._flattenQuery(req.query || {}), override);
+
+      // Offset and cursor are mutually exclusive.
+      if (override.cursor !== undefined)
+        delete query.offset;
+
+      return `<${path}?${querystring.stringify(query)}>; rel="${rel}"`;
+    }
+
+    /**
+     * Private helper to flatten a parsed query back into bracket form (e.g.
+     * {numHoles: {gte: '18'}} becomes {'numHoles[gte]': '18'}), which is how
+     * the query parser reads nested parameters.
+     */
+    _flattenQuery(query, prefix, flat={}) {
+      Object.keys(query).forEach(key => {
+        const name  = prefix === undefined ? key : `${prefix}[${key}]`;
+        const value = query[key];
+
+        if (value !== null && typeof value === 'object' && !Array.isArray(value))
+          this._flattenQuery(value, name, flat);
+        else
+          flat[name] = value;
+      });
+
+      return flat;
+    }
+  }
+
+  return Paginator;
+}
@@ -0,0 +1,246 @@
+describe('Paginator()', function() {
+  'use strict';
+
+  const insulin   = require('insulin').mock();
+  const Paginator = insulin.get('Paginator');
+  const database  = insulin.get('ndm_testDB');
+  const users     = database.getTableByMapping('users');
+
+  let req, res;
+
+  beforeEach(function() {
+    insulin.forget();
+
+    req = {
+      originalUrl: '/users?limit=2',
+      query:       {}
+    };
+
+    res = jasmine.createSpyObj('res', ['set']);
+  });
+
+  /**
+   * Parse.
+   */
+  describe('.parse()', function() {
+    it('checks that null is returned if there is no paging.', function() {
+      const paginator = new Paginator(users);
+      expect(paginator.parse({})).toBeNull();
+    });
+
+    it('checks that the default limit is used.', function() {
+      const paginator = new Paginator(users, {defaultLimit: 20});
+      expect(paginator.parse({})).toEqual({limit: 20, offset: 0, after: null});
+    });
+
+    it('checks that the max limit is used if there is no default.', function() {
+      const paginator = new Paginator(users, {maxLimit: 50});
+      expect(paginator.parse({})).toEqual({limit: 50, offset: 0, after: null});
+    });
+
+    it('checks that limit and offset are parsed.', function() {
+      const paginator = new Paginator(users);
+      expect(paginator.parse({limit: '10', offset: '30'}))
+        .toEqual({limit: 10, offset: 30, after: null});
+    });
+
+    it('checks that an offset can be used without a limit.', function() {
+      const paginator = new Paginator(users);
+      expect(paginator.parse({offset: '30'}))
+        .toEqual({limit: null, offset: 30, after: null});
+    });
+
+    ['0', '-1', '1.5', 'ten'].forEach(function(limit) {
+      it(`checks that a limit of "${limit}" is invalid.`, function() {
+        const paginator = new Paginator(users);
+
+        try {
+          paginator.parse({limit});
+          expect(true).toBe(false);
+        }
+        catch (err) {
+          expect(err.name).toBe('ValidationError');
+          expect(err.code).toBe('VAL_INT');
+          expect(err.field).toBe('limit');
+          expect(err.message).toBe('"limit" must be a positive integer.');
+        }
+      });
+    });
+
+    it('checks that an offset must be a non-negative integer.', function() {
+      const paginator = new Paginator(users);
+
+      expect(() => paginator.parse({offset: '0'})).not.toThrow();
+      expect(() => paginator.parse({offset: '-2'}))
+        .toThrowError('"offset" must be a non-negative integer.');
+    });
+
+    it('checks that the limit cannot exceed the max.', function() {
+      const paginator = new Paginator(users, {maxLimit: 100});
+
+      try {
+        paginator.parse({limit: '101'});
+        expect(true).toBe(false);
+      }
+      catch (err) {
+        expect(err.name).toBe('ValidationError');
+        expect(err.code).toBe('VAL_MAX_LIMIT');
+        expect(err.field).toBe('limit');
+        expect(err.message).toBe('"limit" must not exceed 100.');
+      }
+    });
+
+    it('checks that a cursor is decoded.', function() {
+      const paginator = new Paginator(users);
+      const cursor    = paginator.encodeCursor({userID: 42, name: 'Joe'});
+
+      expect(paginator.parse({limit: '5', cursor}))
+        .toEqual({limit: 5, offset: 0, after: {userID: 42}});
+    });
+
+    it('checks that an empty cursor is the first page.', function() {
+      const paginator = new Paginator(users);
+
+      expect(paginator.parse({limit: '5', cursor: ''}))
+        .toEqual({limit: 5, offset: 0, after: null});
+    });
+
+    it('checks that a cursor cannot be combined with an offset.', function() {
+      const paginator = new Paginator(users);
+      const cursor    = paginator.encodeCursor({userID: 42});
+
+      expect(() => paginator.parse({offset: '5', cursor}))
+        .toThrowError('"cursor" and "offset" cannot be combined.');
+    });
+
+    it('checks that invalid cursors are rejected.', function() {
+      const paginator = new Paginator(users);
+      const noKey     = Buffer.from(JSON.stringify({foo: 1})).toString('base64');
+
+      ['garbage', noKey, Buffer.from('null').toString('base64')].forEach(cursor => {
+        try {
+          paginator.parse({cursor});
+          expect(true).toBe(false);
+        }
+        catch (err) {
+          expect(err.name).toBe('ValidationError');
+          expect(err.code).toBe('VAL_CURSOR');
+          expect(err.field).toBe('cursor');
+        }
+      });
+    });
+  });
+
+  /**
+   * Headers.
+   */
+  describe('.setHeaders()', function() {
+    it('checks that the total count is set.', function() {
+      const paginator = new Paginator(users);
+
+      paginator.setHeaders(req, res, {limit: 2, offset: 0, after: null}, [{}], 1);
+      expect(res.set).toHaveBeenCalledWith('X-Total-Count', '1');
+      expect(res.set.calls.count()).toBe(1);
+    });
+
+    it('checks that next and prev links are set.', function() {
+      const paginator = new Paginator(users);
+
+      req.query = {limit: '2', offset: '2'};
+      paginator.setHeaders(req, res, {limit: 2, offset: 2, after: null}, [{}, {}], 10);
+      expect(res.set).toHaveBeenCalledWith('Link',
+        '</users?limit=2&offset=4>; rel="next", ' +
+        '</users?limit=2&offset=0>; rel="prev"');
+    });
+
+    it('checks that there is no next link on the last page.', function() {
+      const paginator = new Paginator(users);
+
+      paginator.setHeaders(req, res, {limit: 2, offset: 8, after: null}, [{}, {}], 10);
+      expect(res.set).toHaveBeenCalledWith('Link',
+        '</users?offset=6>; rel="prev"');
+    });
+
+    it('checks that a full page has a next link if the total is unknown.', function() {
+      const paginator = new Paginator(users);
+
+      paginator.setHeaders(req, res, {limit: 2, offset: 0, after: null}, [{}, {}]);
+      expect(res.set.calls.count()).toBe(1);
+      expect(res.set).toHaveBeenCalledWith('Link',
+        '</users?offset=2>; rel="next"');
+    });
+
+    it('checks that other query parameters are preserved.', function() {
+      const paginator = new Paginator(users);
+
+      req.query = {where: '{}', limit: '2'};
+      paginator.setHeaders(req, res, {limit: 2, offset: 0, after: null}, [{}, {}]);
+      expect(res.set).toHaveBeenCalledWith('Link',
+        '</users?where=%7B%7D&limit=2&offset=2>; rel="next"');
+    });
+
+    it('checks that nested filters are kept in bracket form.', function() {
+      const paginator = new Paginator(users);
+
+      req.originalUrl = '/users?numHoles%5Bgte%5D=18&state=CA&limit=2';
+      req.query       = {numHoles: {gte: '18'}, state: 'CA', limit: '2'};
+      paginator.setHeaders(req, res, {limit: 2, offset: 2, after: null}, [{}, {}], 10);
+      expect(res.set).toHaveBeenCalledWith('Link',
+        '</users?numHoles%5Bgte%5D=18&state=CA&limit=2&offset=4>; rel="next", ' +
+        '</users?numHoles%5Bgte%5D=18&state=CA&limit=2&offset=0>; rel="prev"');
+    });
+
+    it('checks that cursor pages link to the next cursor.', function() {
+      const paginator = new Paginator(users);
+      const cursor    = paginator.encodeCursor({userID: 7});
+
+      req.query = {limit: '2', cursor: 'abc'};
+      paginator.setHeaders(req, res, {limit: 2, offset: 0, after: {userID: 3}},
+        [{userID: 5}, {userID: 7}]);
+      expect(res.set).toHaveBeenCalledWith('Link',
+        `</users?limit=2&cursor=${encodeURIComponent(cursor)}>; rel="next"`);
+    });
+
+    it('checks that an empty cursor links to the next cursor.', function() {
+      const paginator = new Paginator(users);
+      const cursor    = paginator.encodeCursor({userID: 5});
+
+      req.query = {limit: '2', cursor: ''};
+      paginator.setHeaders(req, res, {limit: 2, offset: 0, after: null},
+        [{userID: 3}, {userID: 5}], 10);
+      expect(res.set).toHaveBeenCalledWith('Link',
+        `</users?limit=2&cursor=${encodeURIComponent(cursor)}>; rel="next"`);
+    });
+
+    it('checks that the first page links to a cursor in cursor mode.', function() {
+      const paginator = new Paginator(users, {defaultLimit: 2, cursor: true});
+      const cursor    = paginator.encodeCursor({userID: 5});
+      const page      = paginator.parse(req.query);
+
+      paginator.setHeaders(req, res, page, [{userID: 3}, {userID: 5}], 10);
+      expect(res.set).toHaveBeenCalledWith('Link',
+        `</users?cursor=${encodeURIComponent(cursor)}>; rel="next"`);
+    });
+
+    it('checks that offsets and orders are not linked by cursor.', function() {
+      const paginator = new Paginator(users, {cursor: true});
+      const order     = [{column: 'Users.name', dir: 'ASC'}];
+
+      req.query = {offset: '0'};
+      paginator.setHeaders(req, res, {limit: 2, offset: 0, after: null}, [{}, {}]);
+      expect(res.set).toHaveBeenCalledWith('Link', '</users?offset=2>; rel="next"');
+
+      req.query = {order: 'name'};
+      paginator.setHeaders(req, res, {limit: 2, offset: 0, after: null, order}, [{}, {}]);
+      expect(res.set).toHaveBeenCalledWith('Link',
+        '</users?order=name&offset=2>; rel="next"');
+    });
+
+    it('checks that no links are set if the page is not limited.', function() {
+      const paginator = new Paginator(users);
+
+      paginator.setHeaders(req, res, {limit: null, offset: 2, after: null}, [{}]);
+      expect(res.set).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,167 @@
+'use strict';
+
+require('insulin').factory('ResourceValidator', ResourceValidatorProducer);
+
+function ResourceValidatorProducer(ValidationError) {
+  // Data types, grouped by the JavaScript type that is expected.
+  const INT_TYPES    = ['tinyint', 'smallint', 'mediumint', 'int', 'integer', 'bigint'];
+  const NUM_TYPES    = ['decimal', 'numeric', 'float', 'double', 'real'];
+  const STRING_TYPES = ['char', 'varchar', 'tinytext', 'text', 'mediumtext',
+    'longtext', 'enum', 'set'];
+  const DATE_TYPES   = ['date', 'datetime', 'timestamp'];
+  const BOOL_TYPES   = ['bit', 'bool', 'boolean'];
+
+  /**
+   * Validates resources against the metadata of an ndm table (dataType,
+   * maxLength, isNullable, defaultValue, and isPrimary).  Columns that lack
+   * the metadata are not checked.
+   */
+  class ResourceValidator {
+    /**
+     * Initialize the validator.
+     * @memberOf ResourceValidator
+     * @param {ndm.Table} table The table that resources are validated
+     *        against.
+     */
+    constructor(table) {
+      this.table = table;
+    }
+
+    /**
+     * Validate a resource.
+     * @memberOf ResourceValidator
+     * @param {Object} resource The resource to validate.
+     * @param {Object} [options={}] Validation options.
+     * @param {string} [options.prefix=''] A prefix for the field names in the
+     *        resulting errors, e.g. [0]. for the first resource in an array.
+     * @param {string[]} [options.exclude=[]] An array of column mappings that
+     *        are not required (e.g. foreign keys that are populated by the
+     *        dao).
+     * @param {boolean} [options.partial=false] If true, the resource is a
+     *        partial update, so only the columns that are present are
+     *        validated (nothing is required).
+     * @returns {ValidationError[]} An array of errors, one for each failing
+     *          field.  The array is empty if the resource is valid.
+     */
+    validate(resource, options={}) {
+      const prefix  = options.prefix  || '';
+      const exclude = options.exclude || [];
+      const partial = !!options.partial;
+      const errors  = [];
+
+      if (resource === null || typeof resource !== 'object' || Array.isArray(resource)) {
+        const field = prefix.replace(/\.$/, '') || 'body';
+
+        errors.push(new ValidationError(`"${field}" must be an object.`,
+          'VAL_OBJECT', field));
+
+        return errors;
+      }
+
+      this.table.columns.forEach(col => {
+        const field = `${prefix}${col.mapTo}`;
+        const value = resource[col.mapTo];
+
+        if (value === undefined) {
+          if (!partial && this.isRequired(col) && exclude.indexOf(col.mapTo) === -1) {
+            errors.push(new ValidationError(`"${field}" is required.`,
+              'VAL_REQUIRED', field));
+          }
+        }
+        else if (value === null) {
+          if (col.isNullable === false && !col.isPrimary) {
+            errors.push(new ValidationError(`"${field}" cannot be null.`,
+              'VAL_NULL', field));
+          }
+        }
+        else {
+          const err = this._checkType(col, field, value);
+
+          if (err)
+            errors.push(err);
+        }
+      });
+
+      return errors;
+    }
+
+    /**
+     * Check if a column is required.  Columns are required if they are not
+     * nullable and have no default value.  Primary keys are never required.
+     * @memberOf ResourceValidator
+     * @param {ndm.Column} col The column.
+     * @returns {boolean}
+     */
+    isRequired(col) {
+      return !col.isPrimary && col.isNullable === false &&
+        (col.defaultValue === null || col.defaultValue === undefined);
+    }
+
+    /**
+     * Get the type of value that a column expects, based on its data type.
+     * @memberOf ResourceValidator
+     * @param {ndm.Column} col The column.
+     * @returns {string} integer, number, string, date, or boolean, or null if
+     *          the data type is missing or unknown.
+     */
+    getType(col) {
+      const dataType = String(col.dataType).toLowerCase();
+
+      if (INT_TYPES.indexOf(dataType) !== -1)
+        return 'integer';
+
+      if (NUM_TYPES.indexOf(dataType) !== -1)
+        return 'number';
+
+      if (STRING_TYPES.indexOf(dataType) !== -1)
+        return 'string';
+
+      if (DATE_TYPES.indexOf(dataType) !== -1)
+        return 'date';
+
+      if (BOOL_TYPES.indexOf(dataType) !== -1)
+        return 'boolean';
+
+      return null;
+    }
+
+    /**
+     * Private helper that checks a value against a column's data type and
+     * max length.  Returns a ValidationError, or null if the value is valid.
+     */
+    _checkType(col, field, value) {
+      const type = this.getType(col);
+
+      if (type === 'integer') {
+        if (typeof value !== 'number' || value % 1 !== 0)
+          return new ValidationError(`"${field}" must be an integer.`, 'VAL_INT', field);
+      }
+      else if (type === 'number') {
+        if (typeof value !== 'number' || !isFinite(value))
+          return new ValidationError(`"${field}" must be a number.`, 'VAL_NUMBER', field);
+      }
+      else if (type === 'string') {
+        if (typeof value !== 'string')
+          return new ValidationError(`"${field}" must be a string.`, 'VAL_STRING', field);
+
+        if (typeof col.maxLength === 'number' && value.length > col.maxLength) {
+          return new ValidationError(
+            `"${field}" must be at most ${col.maxLength} characters.`,
+            'VAL_MAX_LENGTH', field);
+        }
+      }
+      else if (type === 'date') {
+        if (!(value instanceof Date) && (typeof value !== 'string' || isNaN(Date.parse(value))))
+          return new ValidationError(`"${field}" must be a valid date.`, 'VAL_DATE', field);
+      }
+      else if (type === 'boolean') {
+        if (typeof value !== 'boolean' && value !== 0 && value !== 1)
+          return new ValidationError(`"${field}" must be a boolean.`, 'VAL_BOOLEAN', field);
+      }
+
+      return null;
+    }
+  }
+
+  return ResourceValidator;
+}
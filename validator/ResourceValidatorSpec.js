@@ -0,0 +1,149 @@
+describe('ResourceValidator()', function() {
+  'use strict';
+
+  const insulin           = require('insulin').mock();
+  const ResourceValidator = insulin.get('ResourceValidator');
+  const Table             = insulin.get('ndm_Table');
+  const database          = insulin.get('ndm_testDB');
+  const users             = database.getTableByMapping('users');
+  const usersCourses      = database.getTableByMapping('usersCourses');
+
+  let validator;
+
+  beforeEach(function() {
+    insulin.forget();
+
+    validator = new ResourceValidator(users);
+  });
+
+  describe('.validate()', function() {
+    it('checks that a valid resource has no errors.', function() {
+      expect(validator.validate({
+        email:     'joe.tester@gmail.com',
+        extUserID: 'ext-1',
+        name:      null,
+        createdOn: '2016-09-01T12:00:00Z'
+      })).toEqual([]);
+    });
+
+    it('checks that the resource must be an object.', function() {
+      [null, 'joe', [], 42].forEach(resource => {
+        const errors = validator.validate(resource);
+
+        expect(errors.length).toBe(1);
+        expect(errors[0].code).toBe('VAL_OBJECT');
+        expect(errors[0].field).toBe('body');
+      });
+    });
+
+    it('checks that every missing required column is reported.', function() {
+      const errors = validator.validate({});
+
+      expect(errors.length).toBe(2);
+      expect(errors[0].name).toBe('ValidationError');
+      expect(errors[0].code).toBe('VAL_REQUIRED');
+      expect(errors[0].field).toBe('email');
+      expect(errors[0].message).toBe('"email" is required.');
+      expect(errors[1].field).toBe('extUserID');
+    });
+
+    it('checks that excluded columns are not required.', function() {
+      const errors = new ResourceValidator(usersCourses)
+        .validate({name: 'Pine Hills'}, {exclude: ['userID']});
+
+      expect(errors).toEqual([]);
+    });
+
+    it('checks that nothing is required in partial resources.', function() {
+      expect(validator.validate({name: 'Joe'}, {partial: true})).toEqual([]);
+      expect(validator.validate({email: null}, {partial: true})[0].code).toBe('VAL_NULL');
+    });
+
+    it('checks that non-nullable columns cannot be null.', function() {
+      const errors = validator.validate({email: null, extUserID: 'ext-1', userID: null});
+
+      expect(errors.length).toBe(1);
+      expect(errors[0].code).toBe('VAL_NULL');
+      expect(errors[0].field).toBe('email');
+      expect(errors[0].message).toBe('"email" cannot be null.');
+    });
+
+    it('checks the max length of strings.', function() {
+      const errors = validator.validate({
+        email:     new Array(1002).join('a'),
+        extUserID: 'ext-1'
+      });
+
+      expect(errors.length).toBe(1);
+      expect(errors[0].code).toBe('VAL_MAX_LENGTH');
+      expect(errors[0].message).toBe('"email" must be at most 1000 characters.');
+    });
+
+    it('checks the data types.', function() {
+      const errors = validator.validate({
+        email:     42,
+        extUserID: 'ext-1',
+        createdOn: 'yesterday',
+        userID:    1.5
+      });
+
+      expect(errors.map(err => err.code)).toEqual(['VAL_DATE', 'VAL_STRING', 'VAL_INT']);
+      expect(errors.map(err => err.field)).toEqual(['createdOn', 'email', 'userID']);
+    });
+
+    it('checks numeric and boolean types.', function() {
+      const products = new Table({
+        name:    'Products',
+        columns: [
+          {name: 'productID', dataType: 'int',     isPrimary: true},
+          {name: 'price',     dataType: 'decimal', isNullable: false},
+          {name: 'isActive',  dataType: 'bit',     isNullable: false}
+        ]
+      });
+      const prodValidator = new ResourceValidator(products);
+
+      expect(prodValidator.validate({price: 9.99, isActive: true})).toEqual([]);
+      expect(prodValidator.validate({price: 9, isActive: 1})).toEqual([]);
+      expect(prodValidator.validate({price: '9.99', isActive: 'yes'})
+        .map(err => err.code)).toEqual(['VAL_NUMBER', 'VAL_BOOLEAN']);
+    });
+
+    it('checks that columns without metadata are not checked.', function() {
+      const tags = new Table({
+        name:    'Tags',
+        columns: [{name: 'tagID', isPrimary: true}, {name: 'tag'}]
+      });
+
+      expect(new ResourceValidator(tags).validate({tag: {}})).toEqual([]);
+    });
+
+    it('checks that the prefix is applied to field names.', function() {
+      const errors = validator.validate({extUserID: 'ext-1'}, {prefix: '[3].'});
+
+      expect(errors[0].field).toBe('[3].email');
+      expect(errors[0].message).toBe('"[3].email" is required.');
+      expect(validator.validate(null, {prefix: '[3].'})[0].field).toBe('[3]');
+    });
+  });
+
+  describe('.isRequired()', function() {
+    it('checks that primary keys and columns with defaults are not required.', function() {
+      expect(validator.isRequired(users.getColumnByName('userID'))).toBe(false);
+      expect(validator.isRequired(users.getColumnByName('createdOn'))).toBe(false);
+      expect(validator.isRequired(users.getColumnByName('name'))).toBe(false);
+      expect(validator.isRequired(users.getColumnByName('email'))).toBe(true);
+    });
+  });
+
+  describe('.getType()', function() {
+    it('checks that data types are grouped by value type.', function() {
+      expect(validator.getType(users.getColumnByName('userID'))).toBe('integer');
+      expect(validator.getType(users.getColumnByName('email'))).toBe('string');
+      expect(validator.getType(users.getColumnByName('createdOn'))).toBe('date');
+      expect(validator.getType({dataType: 'DECIMAL'})).toBe('number');
+      expect(validator.getType({dataType: 'bit'})).toBe('boolean');
+      expect(validator.getType({dataType: 'blob'})).toBeNull();
+      expect(validator.getType({})).toBeNull();
+    });
+  });
+});